@@ -0,0 +1,136 @@
+const log = require('../log');
+const chalk = require('chalk');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const MiioProtocolHelper = require('../../lib/tools/MiioProtocolHelper');
+const MiotDeviceDiagnostics = require('../../lib/protocol/MiotDeviceDiagnostics');
+
+exports.command = 'diag <ip>';
+exports.description = 'Show the connection health and diagnostics of a device';
+exports.builder = {
+  prefsDir: {
+    required: false,
+    alias: 'p',
+    type: 'string',
+    description: 'The plugin preferences directory where the diagnostics of the running plugin are stored',
+    default: path.join(os.homedir(), '.homebridge', '.xiaomiMiot')
+  },
+  probe: {
+    required: false,
+    alias: 'n',
+    type: 'number',
+    description: 'Send the specified number of requests to the device and show the measured diagnostics'
+  },
+  token: {
+    required: false,
+    alias: 't',
+    type: 'string',
+    description: 'The device token, required for the probe'
+  },
+  timeout: {
+    required: false,
+    alias: 'T',
+    type: 'number',
+    description: 'Timeout of the probe requests'
+  },
+  debug: {
+    required: false,
+    alias: 'd',
+    type: 'boolean',
+    description: 'Enable debug output'
+  }
+};
+
+exports.handler = async argv => {
+  const {
+    ip,
+    prefsDir,
+    probe,
+    token,
+    timeout,
+    debug
+  } = argv;
+
+  // diagnostics saved by the running plugin
+  const storedReport = findStoredReport(prefsDir, ip);
+  if (storedReport) {
+    log.success(`Found diagnostics of ${chalk.cyan.bold(storedReport.name)} (${storedReport.model}) saved at ${new Date(storedReport.updated).toLocaleString()}`);
+    printReport(storedReport);
+  } else {
+    log.warn(`No stored diagnostics for the device ${chalk.yellow(ip)} found in ${chalk.yellow(prefsDir)}! Make sure the plugin is running or use the --prefsDir argument!`);
+  }
+
+  if (probe > 0) {
+    const tokenToUse = token || MiioProtocolHelper.getStoredToken(ip);
+    if (!tokenToUse) {
+      log.error(`No stored token for the device ${chalk.yellow(ip)} found! Please store a token or use the --token argument!`);
+      process.exit(0);
+    }
+
+    try {
+      log.info(`Probing device at ${chalk.yellow(ip)} with ${probe} requests...`);
+      const diagnostics = new MiotDeviceDiagnostics();
+      await MiioProtocolHelper.connect(ip, tokenToUse);
+      diagnostics.recordConnected('local');
+      for (let i = 0; i < probe; i++) {
+        const startTime = Date.now();
+        try {
+          await MiioProtocolHelper.getInfo(ip, 0, timeout, debug);
+          diagnostics.recordRequestSuccess(Date.now() - startTime);
+        } catch (err) {
+          diagnostics.recordRequestFailure(err, Date.now() - startTime);
+        }
+      }
+      log.success(`Probe finished!`);
+      printReport(diagnostics.getReport());
+    } catch (err) {
+      log.plain(err.message);
+      log.error(`Could not connect to the device at ${chalk.yellow(ip)}! Make sure the ip and token are correct!`);
+    }
+  }
+
+  process.exit(0);
+};
+
+function findStoredReport(prefsDir, ip) {
+  let fileNames = [];
+  try {
+    fileNames = fs.readdirSync(prefsDir).filter(fileName => fileName.startsWith('diag_'));
+  } catch (err) {
+    return null;
+  }
+  // skip a corrupt report instead of failing all of them
+  const reports = fileNames.map((fileName) => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(prefsDir, fileName), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  });
+  return reports.find(report => report && report.ip === ip) || null;
+}
+
+function printReport(report) {
+  const latency = report.latency;
+  log.plain(`Health: ${report.healthy ? chalk.green.bold('healthy') : chalk.red.bold('unhealthy')}`);
+  if (report.connected !== undefined) {
+    log.plain(`Connection: ${report.connected ? chalk.bold(report.connectionType) : chalk.red.bold('disconnected')} (preferred: ${report.preferredConnectionType})${report.failoverActive ? chalk.yellow(' - MiCloud failover active') : ''}`);
+  }
+  log.plain(`Latency: ${latency ? `last ${latency.last}ms, avg ${latency.avg}ms, min ${latency.min}ms, max ${latency.max}ms (${latency.samples} requests)` : '-'}`);
+  log.plain(`Requests: ${report.requests}, failed: ${report.failedRequests}, recent error rate: ${Math.round(report.errorRate * 100)}%`);
+  log.plain(`Connects: ${report.connects}, reconnects: ${report.reconnects}, connection failures: ${report.connectionFailures}, local/cloud switches: ${report.transportSwitches}`);
+  if (report.pollingInterval !== undefined) {
+    log.plain(`Polling interval: ${report.pollingInterval}ms${report.reducedPollingInterval ? ' (reduced)' : ''}, failed polls in a row: ${report.pollRetries}`);
+  }
+  if (report.lastExecTime) {
+    log.plain(`Last execution time reported by the device: ${report.lastExecTime}ms`);
+  }
+  if (report.lastError) {
+    log.plain(`Last error: (${report.lastError.code}) ${report.lastError.message} at ${new Date(report.lastError.time).toLocaleString()}`);
+  }
+  if (report.errors && report.errors.length > 0) {
+    log.plain(`Errors:`);
+    log.table(report.errors);
+  }
+}
@@ -0,0 +1,57 @@
+const log = require('../log');
+const chalk = require('chalk');
+const MiioProtocolHelper = require('../../lib/tools/MiioProtocolHelper');
+
+exports.command = 'discover';
+exports.description = 'Discover devices in the local network';
+exports.builder = {
+  timeout: {
+    required: false,
+    alias: 'T',
+    type: 'number',
+    description: 'How long to wait for device responses in milliseconds'
+  },
+  debug: {
+    required: false,
+    alias: 'd',
+    type: 'boolean',
+    description: 'Enable debug output'
+  }
+};
+
+exports.handler = async argv => {
+  const {
+    timeout,
+    debug
+  } = argv;
+
+  try {
+    log.info(`Broadcasting handshake in the local network...`);
+    let devices = await MiioProtocolHelper.discover(timeout, debug);
+
+    if (devices && devices.length > 0) {
+      devices = devices.map(({
+        address,
+        did,
+        stamp,
+        token
+      }) => {
+        return {
+          ip: address,
+          did: String(did),
+          stamp,
+          token: token || MiioProtocolHelper.getStoredToken(address) || '-'
+        };
+      });
+
+      log.success(`Found ${chalk.bold.underline(devices.length)} devices!`);
+      log.table(devices);
+    } else {
+      log.warn(`No device found! Make sure that your devices are in the same network!`);
+    }
+  } catch (err) {
+    log.error(err.message);
+  }
+
+  process.exit(0);
+};
@@ -0,0 +1,6 @@
+const path = require('path');
+
+exports.command = 'spec <command>';
+exports.description = 'Manage the local miot spec catalog';
+exports.builder = yargs => yargs.commandDir(path.join(__dirname, 'spec'));
+exports.handler = () => {};
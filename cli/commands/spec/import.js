@@ -0,0 +1,34 @@
+const log = require('../../log');
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const MiotSpecCatalog = require('../../../lib/protocol/MiotSpecCatalog');
+
+exports.command = 'import <archive>';
+exports.description = 'Import a spec catalog archive created with "miot spec sync --output" into the local catalog';
+exports.builder = {
+  dir: {
+    required: false,
+    alias: 'd',
+    type: 'string',
+    description: 'The spec catalog directory',
+    default: path.join(os.homedir(), '.homebridge', '.xiaomiMiot', 'catalog')
+  }
+};
+
+exports.handler = async argv => {
+  const {
+    archive,
+    dir
+  } = argv;
+
+  try {
+    log.info(`Importing ${chalk.yellow.bold(archive)} into the spec catalog in ${chalk.yellow.bold(dir)}...`);
+    const result = await new MiotSpecCatalog(dir).importArchive(archive);
+    log.success(`Imported ${chalk.bold(result.instances)} spec instances and ${chalk.bold(result.specs)} specs!`);
+  } catch (err) {
+    log.error(err.message);
+  }
+
+  process.exit(0);
+};
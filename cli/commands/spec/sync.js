@@ -0,0 +1,54 @@
+const log = require('../../log');
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const MiotSpecFetcher = require('../../../lib/protocol/MiotSpecFetcher');
+
+exports.command = 'sync [models..]';
+exports.description = 'Download the miot spec index and the specs of the specified models to the local catalog';
+exports.builder = {
+  dir: {
+    required: false,
+    alias: 'd',
+    type: 'string',
+    description: 'The spec catalog directory',
+    default: path.join(os.homedir(), '.homebridge', '.xiaomiMiot', 'catalog')
+  },
+  all: {
+    required: false,
+    alias: 'a',
+    type: 'boolean',
+    description: 'Download the specs of all devices, this takes a long time'
+  },
+  output: {
+    required: false,
+    alias: 'o',
+    type: 'string',
+    description: 'Also write the catalog to the specified archive file, use the .gz extension to compress the archive'
+  }
+};
+
+exports.handler = async argv => {
+  const {
+    dir,
+    all,
+    output
+  } = argv;
+  const models = argv.models || [];
+
+  try {
+    MiotSpecFetcher.setCatalog(dir);
+    log.info(`Syncing the spec catalog in ${chalk.yellow.bold(dir)} with miot-spec.org...`);
+    const result = await MiotSpecFetcher.syncCatalog(models, all);
+    log.success(`Synced ${chalk.bold(result.instances)} spec instances and downloaded ${chalk.bold(result.specs)} new specs!`);
+
+    if (output) {
+      const exported = await MiotSpecFetcher.getCatalog().exportArchive(output);
+      log.success(`Written ${chalk.bold(exported.instances)} spec instances and ${chalk.bold(exported.specs)} specs to ${chalk.yellow.bold(output)}`);
+    }
+  } catch (err) {
+    log.error(err.message);
+  }
+
+  process.exit(0);
+};
@@ -1,12 +1,17 @@
 const {
   HomebridgePluginUiServer
 } = require('@homebridge/plugin-ui-utils');
+const fs = require('fs').promises;
+const path = require('path');
 const MiCloud = require('../lib/protocol/MiCloud');
+const MiioProtocol = require('../lib/protocol/MiioProtocol');
 const Errors = require("../lib/utils/Errors.js");
 const MiotSpecClassGenerator = require('../lib/tools/MiotSpecClassGenerator');
 const MiotSpecFetcher = require('../lib/protocol/MiotSpecFetcher');
 const Logger = require("../lib/utils/Logger");
 
+const PLATFORM_NAME = 'miot';
+
 class UiServer extends HomebridgePluginUiServer {
   constructor() {
     // super must be called first
@@ -15,6 +20,8 @@ class UiServer extends HomebridgePluginUiServer {
     this.onRequest('/get-all-devices', this.getAllDevices.bind(this));
     this.onRequest('/generate-device-class', this.generateDeviceClass.bind(this));
     this.onRequest('/get-device-metadata', this.getDeviceMetadata.bind(this));
+    this.onRequest('/discover-local-devices', this.discoverLocalDevices.bind(this));
+    this.onRequest('/get-device-diagnostics', this.getDeviceDiagnostics.bind(this));
 
     // this.ready() must be called to let the UI know you are ready to accept api calls
     this.ready();
@@ -81,7 +88,8 @@ class UiServer extends HomebridgePluginUiServer {
   }
 
   async generateDeviceClass(params) {
-    const storagePath = this.homebridgeStoragePath + '/miotSpecClassGenerator/devices/';
+    // the plugin loads the classes from the user devices dir, so generated classes can be used right away
+    const storagePath = params.userDevicesDir || this.homebridgeStoragePath + '/miotSpecClassGenerator/devices/';
     const miotSpecClassGenerator = new MiotSpecClassGenerator(params.deviceModel, null, params.deviceName, null, params.isMiCloudRequired, storagePath);
     try {
       await miotSpecClassGenerator.generate();
@@ -124,6 +132,70 @@ class UiServer extends HomebridgePluginUiServer {
     }
   }
 
+  async discoverLocalDevices(params) {
+    const miioProtocol = new MiioProtocol(new Logger());
+    try {
+      const devices = await miioProtocol.discover(params.timeout);
+      return {
+        success: true,
+        devices: devices.map(device => {
+          return {
+            ip: device.address,
+            deviceId: String(device.did),
+            stamp: device.stamp,
+            token: device.token
+          }
+        })
+      }
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message
+      }
+    } finally {
+      miioProtocol.destroy();
+    }
+  }
+
+  // the diagnostics are saved by the running plugin to the prefs dir of every device
+  async getDeviceDiagnostics() {
+    const reports = [];
+    try {
+      const prefsDirs = [path.join(this.homebridgeStoragePath, '.xiaomiMiot'), ...(await this._getConfiguredPrefsDirs())];
+      for (const prefsDir of [...new Set(prefsDirs.map(dir => path.resolve(dir)))]) {
+        const fileNames = await fs.readdir(prefsDir).catch(() => []);
+        for (const fileName of fileNames.filter(name => name.startsWith('diag_'))) {
+          // skip a corrupt report instead of failing all of them
+          try {
+            reports.push(JSON.parse(await fs.readFile(path.join(prefsDir, fileName), 'utf8')));
+          } catch (err) {
+            continue;
+          }
+        }
+      }
+      return {
+        success: true,
+        reports: reports.sort((a, b) => String(a.name).localeCompare(String(b.name)))
+      }
+    } catch (err) {
+      return {
+        success: false,
+        error: err.message
+      }
+    }
+  }
+
+  // devices can use a custom prefs dir, only the dirs from the homebridge config are read
+  async _getConfiguredPrefsDirs() {
+    try {
+      const config = JSON.parse(await fs.readFile(this.homebridgeConfigPath, 'utf8'));
+      const platforms = (config.platforms || []).filter(platform => platform.platform === PLATFORM_NAME);
+      return platforms.flatMap(platform => platform.devices || []).map(device => device.prefsDir).filter(prefsDir => !!prefsDir);
+    } catch (err) {
+      return [];
+    }
+  }
+
 }
 
 // start the instance of the class
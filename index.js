@@ -1,16 +1,25 @@
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const MiotDevice = require('./lib/protocol/MiotDevice.js');
 const DeviceFactory = require('./lib/factories/DeviceFactory.js');
 const DevTypes = require('./lib/constants/DevTypes.js');
 const Constants = require('./lib/constants/Constants.js');
 const Logger = require('./lib/utils/Logger.js');
 const Events = require('./lib/constants/Events.js');
+const RestApiServer = require('./lib/api/RestApiServer.js');
+const MqttBridge = require('./lib/api/MqttBridge.js');
+const MiotSpecFetcher = require('./lib/protocol/MiotSpecFetcher.js');
+const MiCloudSessionManager = require('./lib/protocol/MiCloudSessionManager.js');
+const EveHistory = require('./lib/history/EveHistory.js');
 
 let Service, Characteristic, Homebridge, Accessory;
 
 const PLUGIN_NAME = 'homebridge-miot';
 const PLATFORM_NAME = 'miot';
 const PLUGIN_VERSION = '1.7.4';
+const PROPERTY_VALUES_SAVE_DELAY = 5000; // in milliseconds
+const DIAGNOSTICS_SAVE_INTERVAL = 60000; // in milliseconds
+const ENERGY_COUNTER_SAVE_DELAY = 60000; // in milliseconds
 
 module.exports = function(homebridge) {
   Service = homebridge.hap.Service;
@@ -22,16 +31,17 @@ module.exports = function(homebridge) {
 
 
 class miotDeviceController {
-  constructor(log, config, globalmicloudconfig, api) {
+  constructor(log, config, globalmicloudconfig, api, parentController = null) {
     this.log = log;
     this.config = config;
     this.api = api;
+    this.parentController = parentController;
 
     this.logger = new Logger(log, config.name);
 
     // check if we have mandatory device info
     try {
-      if (!config.ip) throw new Error(`'ip' is required but not defined for ${config.name}!`);
+      if (!config.ip && !config.deviceId) throw new Error(`'ip' or 'deviceId' is required but not defined for ${config.name}!`);
       if (!config.token) throw new Error(`'token' is required but not defined for ${config.name}!`);
     } catch (error) {
       this.logger.error(error);
@@ -54,6 +64,9 @@ class miotDeviceController {
       this.pollingInterval = this.pollingInterval * 1000; // if less then 500 then probably those are seconds so multiply by 1000 to convert to miliseconds
     }
     this.propertyChunkSize = config.propertyChunkSize;
+    this.writeRetries = config.writeRetries || 0;
+    this.pollingClasses = config.pollingClasses;
+    this.pollingRequestBudget = config.pollingRequestBudget;
     this.prefsDir = config.prefsDir || api.user.storagePath() + '/.xiaomiMiot/';
     this.isCustomAccessory = config.customAccessory;
     if (this.isCustomAccessory === undefined) {
@@ -71,6 +84,15 @@ class miotDeviceController {
     if (this.deviceEnabled === undefined) {
       this.deviceEnabled = true;
     }
+    this.subDevicesEnabled = config.subDevices;
+    if (this.subDevicesEnabled === undefined) {
+      this.subDevicesEnabled = false;
+    }
+    this.excludedSubDevices = config.excludedSubDevices || [];
+    this.historyEnabled = config.history;
+    if (this.historyEnabled === undefined) {
+      this.historyEnabled = false;
+    }
 
     this.logger.info(`Got device configuration, initializing device with name: ${this.name}`);
 
@@ -86,20 +108,38 @@ class miotDeviceController {
     //spec dir to store device specs
     this.specDir = this.prefsDir + 'spec/';
 
-    // create device model info file name
-    this.deviceInfoFile = this.prefsDir + 'info_' + this.ip.split('.').join('') + '_' + this.token;
-
-    // generate uuid
-    if (this.deviceId) {
-      this.UUID = Homebridge.hap.uuid.generate(this.token + this.ip + this.deviceId + PLATFORM_NAME);
-    } else {
-      this.UUID = Homebridge.hap.uuid.generate(this.token + this.ip + PLATFORM_NAME);
+    // definitions dir where users can add declarative device definitions for new models
+    this.definitionsDir = this.prefsDir + 'definitions/';
+
+    // create device model info, property values and diagnostics file names, prefer the deviceId since the ip of the device might change
+    const deviceFileSuffix = (this.deviceId || this.ip.split('.').join('')) + '_' + this.token;
+    this.deviceInfoFile = this.prefsDir + 'info_' + deviceFileSuffix;
+    this.propertyValuesFile = this.prefsDir + 'values_' + deviceFileSuffix;
+    this.diagnosticsFile = this.prefsDir + 'diag_' + deviceFileSuffix;
+    this.diagnosticsTempFile = this.prefsDir + '.diag_' + deviceFileSuffix + '.tmp'; // not picked up by the readers of the diag_ files
+    this.historyFile = this.prefsDir + 'history_' + deviceFileSuffix;
+    this.energyCounterFile = this.prefsDir + 'energy_' + deviceFileSuffix;
+
+    // older versions always used the ip for the device info file name, that file is still read when the deviceId is known
+    if (this.ip) {
+      this.legacyDeviceInfoFile = this.prefsDir + 'info_' + this.ip.split('.').join('') + '_' + this.token;
     }
 
     // prepare variables
+    this.UUID = undefined;
     this.miotDevice = undefined;
     this.device = undefined;
     this.cachedDeviceInfo = {};
+    this.cachedPropertyValues = null;
+    this.cachedHistory = null;
+    this.history = null;
+    this.cachedEnergyCounter = null;
+    this.saveEnergyCounterTimeout = null;
+    this.energyCounter = null;
+    this.savePropertyValuesTimeout = null;
+    this.saveDiagnosticsInterval = null;
+    this.subDeviceFoundHandler = null;
+    this.subDevicesFetched = false;
 
     //restored cashed accessory
     this.restoredCachedAccessory = null;
@@ -108,16 +148,46 @@ class miotDeviceController {
 
   /*----------========== SETUP ==========----------*/
 
-  async setupController() {
+  async prepareController() {
     // check if the preferences directory exists, if not then create it
     await this._createDirIfNeeded(this.prefsDir);
 
     // check if the spec directory exists, if not then create it recursively
     await this._createDirIfNeeded(this.specDir);
 
+    // check if the definitions directory exists, if not then create it so users know where to put definitions
+    await this._createDirIfNeeded(this.definitionsDir);
+
     // first try to load cached device info
     await this._loadDeviceInfo();
 
+    // load the last known property values, they are reported until the device responds
+    await this._loadPropertyValues();
+
+    // load the total energy consumption of metered outlets
+    await this._loadEnergyCounter();
+
+    // load the recorded history, it is restored when the accessory is created
+    if (this.historyEnabled) {
+      await this._loadHistory();
+    }
+
+    // use the last known ip of the device, unless the ip in the config was changed in the meantime
+    if (this.cachedDeviceInfo.ip && this.cachedDeviceInfo.configIp === this.config.ip) {
+      this.ip = this.cachedDeviceInfo.ip;
+    }
+
+    // generate uuid, the ip is not part of the uuid when the deviceId is known so that the accessory survives ip changes
+    if (this.cachedDeviceInfo.uuid) {
+      this.UUID = this.cachedDeviceInfo.uuid;
+    } else if (this.deviceId) {
+      this.UUID = Homebridge.hap.uuid.generate(this.token + this.deviceId + PLATFORM_NAME);
+    } else {
+      this.UUID = Homebridge.hap.uuid.generate(this.token + this.ip + PLATFORM_NAME);
+    }
+  }
+
+  async setupController() {
     //init the device and start the device discovery
     this._initMiotDevice();
   }
@@ -129,8 +199,21 @@ class miotDeviceController {
 
     this.miotDevice = new MiotDevice(this.ip, this.token, deviceId, model, this.name, this.logger);
     this.miotDevice.setPollingInterval(this.pollingInterval);
+    this.miotDevice.setPollingClassOverrides(this.pollingClasses);
+    this.miotDevice.setPollingRequestBudget(this.pollingRequestBudget);
+    this.miotDevice.setWriteRetries(this.writeRetries);
     this.miotDevice.setMiCloudConfig(this.miCloudConfig);
 
+    // sub devices are controlled through the local connection of the gateway
+    if (this.parentController) {
+      const parentMiotDevice = this.parentController.getMiotDevice();
+      this.miotDevice.setParentDeviceId(this.config.parentDeviceId);
+      this.miotDevice.setMiioProtocol(parentMiotDevice.getMiioProtocol());
+      parentMiotDevice.on(Events.MIOT_DEVICE_IP_CHANGED, (parentDevice) => {
+        this.miotDevice.updateIp(parentDevice.getIp());
+      });
+    }
+
     this.miotDevice.on(Events.MIOT_DEVICE_IDENTIFIED, async (miotDevice) => {
       // init the actual device
       this._initDevice(miotDevice);
@@ -144,17 +227,49 @@ class miotDeviceController {
     this.miotDevice.on(Events.MIOT_DEVICE_CONNECTED, (miotDevice) => {
       // save device information
       this._saveDeviceInfo(miotDevice);
+      this._saveDiagnostics(miotDevice);
+    });
+
+    this.miotDevice.on(Events.MIOT_DEVICE_DISCONNECTED, (miotDevice) => {
+      this._saveDiagnostics(miotDevice);
+    });
+
+    this.miotDevice.on(Events.MIOT_DEVICE_IP_CHANGED, (miotDevice) => {
+      // remember the new ip of the device
+      this.ip = miotDevice.getIp();
+      this._saveDeviceInfo(miotDevice);
+    });
+
+    this.miotDevice.on(Events.MIOT_DEVICE_INITIAL_PROPERTY_FETCH_DONE, (miotDevice) => {
+      // check for new sub devices
+      this._updateSubDevices();
     });
 
+    this.miotDevice.on(Events.MIOT_DEVICE_ALL_PROPERTIES_UPDATED, (miotDevice) => {
+      // remember the property values for the next start
+      this._savePropertyValues(miotDevice);
+    });
+
+    this.miotDevice.on(Events.MIOT_DEVICE_PROPERTY_VALUE_SET, () => {
+      this._savePropertyValues(this.miotDevice);
+    });
+
+    // the diagnostics are saved periodically, so that the cli and the Homebridge UI can show them
+    this.saveDiagnosticsInterval = setInterval(() => {
+      this._saveDiagnostics(this.miotDevice);
+    }, DIAGNOSTICS_SAVE_INTERVAL);
+
     this.miotDevice.identify();
   }
 
   async _initDevice(miotDevice) {
     if (!this.device) {
       this.logger.info('Initializing device!');
-      this.device = await DeviceFactory.createDevice(miotDevice, this.specDir, this.name, this.isCustomAccessory, this.logger);
+      this.device = await DeviceFactory.createDevice(miotDevice, this.specDir, this.definitionsDir, this.name, this.isCustomAccessory, this.logger);
       if (this.device) {
         await this.device.initDevice(this.propertyChunkSize);
+        miotDevice.restorePropertyValues(this.cachedPropertyValues);
+        this.cachedPropertyValues = null;
         if (this.device.getType() === DevTypes.UNKNOWN) {
           this.logger.warn(`Device not supported! Using a generic device with limited properties! Consider requesting device support!`);
         } else if (this.device.getType() === DevTypes.CUSTOM) {
@@ -184,6 +299,14 @@ class miotDeviceController {
     this.device.initDeviceAccessory(this.getAccessoryUuid(), this.config, this.api, this.cachedDeviceInfo);
 
     if (this.device.getAccessoryWrapper() && this.device.getAccessories().length > 0) {
+      // the history service needs to be added before the accessories are registered
+      if (this.historyEnabled) {
+        this._setupHistory();
+      }
+
+      this._setupEnergyCounter();
+
+
       this.logger.info(`Registering ${this.device.getAccessories().length} accessories!`);
       this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, this.device.getAccessories());
 
@@ -196,16 +319,186 @@ class miotDeviceController {
     }
   }
 
+  _setupHistory() {
+    const accessoryWrapper = this.device.getAccessoryWrapper();
+    const historyType = accessoryWrapper.getHistoryType();
+    if (!historyType) {
+      this.logger.warn(`History is not supported by this device! Only sensors, thermostats and outlets with power consumption reporting record a history!`);
+      return;
+    }
+
+    this.history = new EveHistory(historyType, this.logger);
+    if (this.history.restore(this.cachedHistory)) {
+      this.logger.debug(`Restored ${this.history.entries.length} history entries!`);
+    }
+    this.cachedHistory = null;
+    accessoryWrapper.addHistoryService(this.history);
+
+    this.miotDevice.on(Events.MIOT_DEVICE_ALL_PROPERTIES_UPDATED, (miotDevice) => {
+      // do not record the last known values while the device is offline
+      if (miotDevice.isConnected() && this.history.addSample(accessoryWrapper.getHistorySample())) {
+        this._saveHistory();
+      }
+    });
+  }
+
+
+  _setupEnergyCounter() {
+    const energyCounter = this.device.getAccessoryWrapper().getEnergyCounter();
+    if (!energyCounter) {
+      return;
+    }
+
+    if (energyCounter.restore(this.cachedEnergyCounter)) {
+      this.logger.debug(`Restored the total energy consumption: ${energyCounter.getTotalConsumption()} kWh`);
+    }
+    this.cachedEnergyCounter = null;
+
+    energyCounter.setPollingInterval(this.pollingInterval);
+    this.energyCounter = energyCounter;
+
+    // the counter is updated by the accessory with every poll
+    this.miotDevice.on(Events.MIOT_DEVICE_ALL_PROPERTIES_UPDATED, () => {
+      this._saveEnergyCounter(energyCounter);
+    });
+
+    this.miotDevice.on(Events.MIOT_DEVICE_DISCONNECTED, () => {
+      energyCounter.clearLastSample();
+      this._saveEnergyCounter(energyCounter);
+    });
+
+    // a reset is saved right away, so that it is not undone by a restart
+    energyCounter.on(Events.ENERGY_COUNTER_RESET, () => {
+      this._clearSaveEnergyCounterTimeout();
+      this._writeEnergyCounter(energyCounter);
+    });
+  }
+
+
   /*----------========== PUBLIC ==========----------*/
 
   getAccessoryUuid() {
     return this.UUID;
   }
 
+  setAccessoryUuid(uuid) {
+    this.UUID = uuid;
+  }
+
+  getLegacyAccessoryUuid() {
+    // older versions always included the ip in the uuid
+    if (this.config.ip && this.deviceId) {
+      return Homebridge.hap.uuid.generate(this.token + this.config.ip + this.deviceId + PLATFORM_NAME);
+    }
+    return null;
+  }
+
   setRestoredCachedAccessory(accessory) {
     this.restoredCachedAccessory = accessory;
   }
 
+  getName() {
+    return this.name;
+  }
+
+  getMiotDevice() {
+    return this.miotDevice;
+  }
+
+  getDevice() {
+    return this.device;
+  }
+
+  getSubDeviceConfigs() {
+    if (!this.subDevicesEnabled || !this.cachedDeviceInfo.subDevices) {
+      return [];
+    }
+    return this.cachedDeviceInfo.subDevices.map(subDevice => this._createSubDeviceConfig(subDevice));
+  }
+
+  setSubDeviceFoundHandler(handler) {
+    this.subDeviceFoundHandler = handler;
+  }
+
+  shutdown() {
+    if (this.miotDevice) {
+      this.miotDevice.shutdown();
+    }
+    if (this.saveDiagnosticsInterval) {
+      clearInterval(this.saveDiagnosticsInterval);
+      this.saveDiagnosticsInterval = null;
+    }
+    // homebridge does not wait for async work on shutdown, so the property values and the energy counter are written synchronously
+    clearTimeout(this.savePropertyValuesTimeout);
+    this.savePropertyValuesTimeout = null;
+    if (this.miotDevice) {
+      const propertyValues = this.miotDevice.getPropertyValuesSnapshot();
+      if (Object.keys(propertyValues).length > 0) {
+        try {
+          fsSync.writeFileSync(this.propertyValuesFile, JSON.stringify(propertyValues), 'utf8');
+        } catch (err) {
+          this.logger.debug(`Could not write property values! Error: ${err}`);
+        }
+      }
+    }
+    if (this.energyCounter) {
+      this._clearSaveEnergyCounterTimeout();
+      try {
+        fsSync.writeFileSync(this.energyCounterFile, JSON.stringify(this.energyCounter.getData()), 'utf8');
+      } catch (err) {
+        this.logger.debug(`Could not write the energy counter! Error: ${err}`);
+      }
+    }
+  }
+
+
+  /*----------========== SUB DEVICES ==========----------*/
+
+  async _updateSubDevices() {
+    if (!this.subDevicesEnabled || this.subDevicesFetched || !this.device || !this.device.supportsSubDevices()) {
+      return;
+    }
+
+    try {
+      this.logger.debug('Fetching sub devices from MiCloud!');
+      const subDevices = (await this.device.fetchSubDevices()).filter(subDevice => !this.excludedSubDevices.includes(subDevice.deviceId));
+      this.subDevicesFetched = true;
+      this.logger.info(`Found ${subDevices.length} sub devices: ${subDevices.map(subDevice => `${subDevice.name} (${subDevice.model})`).join(', ')}`);
+
+      // create the sub devices which are not known yet
+      const knownSubDeviceIds = (this.cachedDeviceInfo.subDevices || []).map(subDevice => subDevice.deviceId);
+      const newSubDevices = subDevices.filter(subDevice => !knownSubDeviceIds.includes(subDevice.deviceId));
+      if (this.subDeviceFoundHandler) {
+        newSubDevices.forEach((subDevice) => {
+          this.logger.info(`New sub device ${subDevice.name} found! Creating!`);
+          this.subDeviceFoundHandler(this._createSubDeviceConfig(subDevice));
+        });
+      }
+
+      this.cachedDeviceInfo.subDevices = subDevices;
+      this._saveDeviceInfo(this.miotDevice);
+    } catch (err) {
+      this.logger.warn(`Failed to fetch sub devices! Sub devices require MiCloud credentials! ${err.message}`);
+    }
+  }
+
+  _createSubDeviceConfig(subDevice) {
+    return {
+      name: subDevice.name,
+      ip: this.ip,
+      token: this.token,
+      deviceId: subDevice.deviceId,
+      model: subDevice.model,
+      parentDeviceId: this.deviceId || this.cachedDeviceInfo.deviceId,
+      micloud: this.config.micloud,
+      pollingInterval: this.config.pollingInterval,
+      propertyChunkSize: this.config.propertyChunkSize,
+      prefsDir: this.config.prefsDir,
+      deepDebugLog: this.deepDebugLog,
+      silentLog: this.silentLog
+    };
+  }
+
 
   /*----------========== HELPERS ==========----------*/
 
@@ -214,6 +507,9 @@ class miotDeviceController {
       this.cachedDeviceInfo.model = miotDevice.getModel();
       this.cachedDeviceInfo.deviceId = miotDevice.getDeviceId();
       this.cachedDeviceInfo.firmwareRev = miotDevice.getFirmwareRevision();
+      this.cachedDeviceInfo.ip = miotDevice.getIp();
+      this.cachedDeviceInfo.configIp = this.config.ip;
+      this.cachedDeviceInfo.uuid = this.getAccessoryUuid();
       const deviceInfo = JSON.stringify(this.cachedDeviceInfo);
       fs.writeFile(this.deviceInfoFile, deviceInfo, 'utf8').then(() => {
         this.logger.debug('Successfully saved device info!');
@@ -225,7 +521,7 @@ class miotDeviceController {
 
   async _loadDeviceInfo() {
     try {
-      const deviceInfo = await fs.readFile(this.deviceInfoFile, 'utf8');
+      const deviceInfo = await this._readFileWithLegacyFallback(this.deviceInfoFile, this.legacyDeviceInfoFile);
       if (deviceInfo) {
         this.cachedDeviceInfo = JSON.parse(deviceInfo);
         this.logger.debug(`Found cached device information: ${this.cachedDeviceInfo.model}`);
@@ -235,6 +531,127 @@ class miotDeviceController {
     }
   }
 
+  async _readFileWithLegacyFallback(file, legacyFile) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (!legacyFile || legacyFile === file) {
+        throw err;
+      }
+      this.logger.debug(`${file} not found! Trying the legacy file ${legacyFile}!`);
+      return fs.readFile(legacyFile, 'utf8');
+    }
+  }
+
+  // the values change on every poll, so write them at most once within the save delay
+  _savePropertyValues(miotDevice) {
+    if (this.savePropertyValuesTimeout) {
+      return;
+    }
+    this.savePropertyValuesTimeout = setTimeout(() => {
+      this.savePropertyValuesTimeout = null;
+      const propertyValues = JSON.stringify(miotDevice.getPropertyValuesSnapshot());
+      fs.writeFile(this.propertyValuesFile, propertyValues, 'utf8').then(() => {
+        this.logger.deepDebug('Successfully saved property values!');
+      }).catch((err) => {
+        this.logger.debug(`Could not write property values! Error: ${err}`);
+      });
+    }, PROPERTY_VALUES_SAVE_DELAY);
+  }
+
+  async _loadPropertyValues() {
+    try {
+      const propertyValues = await fs.readFile(this.propertyValuesFile, 'utf8');
+      if (propertyValues) {
+        this.cachedPropertyValues = JSON.parse(propertyValues);
+        this.logger.debug(`Found last known property values!`);
+      }
+    } catch (err) {
+      this.logger.debug('No last known property values found!');
+    }
+  }
+
+  _saveDiagnostics(miotDevice) {
+    if (miotDevice) {
+      const diagnostics = JSON.stringify({
+        name: this.name,
+        ip: miotDevice.getIp(),
+        deviceId: miotDevice.getDeviceId(),
+        model: miotDevice.getModel(),
+        updated: Date.now(),
+        ...miotDevice.getDiagnosticsReport()
+      }, null, 2);
+      // the cli and the Homebridge UI read the file at any time, so replace it at once instead of rewriting it
+      fs.writeFile(this.diagnosticsTempFile, diagnostics, 'utf8').then(() => {
+        return fs.rename(this.diagnosticsTempFile, this.diagnosticsFile);
+      }).then(() => {
+        this.logger.deepDebug('Successfully saved diagnostics!');
+      }).catch((err) => {
+        this.logger.debug(`Could not write diagnostics! Error: ${err}`);
+      });
+    }
+  }
+
+  _saveEnergyCounter(energyCounter) {
+    if (this.saveEnergyCounterTimeout) {
+      return;
+    }
+    this.saveEnergyCounterTimeout = setTimeout(() => {
+      this.saveEnergyCounterTimeout = null;
+      this._writeEnergyCounter(energyCounter);
+    }, ENERGY_COUNTER_SAVE_DELAY);
+  }
+
+  _clearSaveEnergyCounterTimeout() {
+    clearTimeout(this.saveEnergyCounterTimeout);
+    this.saveEnergyCounterTimeout = null;
+  }
+
+  _writeEnergyCounter(energyCounter) {
+    const energy = JSON.stringify(energyCounter.getData());
+    fs.writeFile(this.energyCounterFile, energy, 'utf8').then(() => {
+      this.logger.deepDebug('Successfully saved the energy counter!');
+    }).catch((err) => {
+      this.logger.debug(`Could not write the energy counter! Error: ${err}`);
+    });
+  }
+
+  async _loadEnergyCounter() {
+    try {
+      const energy = await fs.readFile(this.energyCounterFile, 'utf8');
+      if (energy) {
+        this.cachedEnergyCounter = JSON.parse(energy);
+        this.logger.debug(`Found the total energy consumption!`);
+      }
+    } catch (err) {
+      this.logger.debug('No total energy consumption found!');
+    }
+  }
+
+  // a new entry is only written every few minutes, so the history is saved with every entry
+  _saveHistory() {
+    if (this.history) {
+      const history = JSON.stringify(this.history.getData());
+      fs.writeFile(this.historyFile, history, 'utf8').then(() => {
+        this.logger.deepDebug('Successfully saved history!');
+      }).catch((err) => {
+        this.logger.debug(`Could not write history! Error: ${err}`);
+      });
+    }
+  }
+
+  async _loadHistory() {
+    try {
+      const history = await fs.readFile(this.historyFile, 'utf8');
+      if (history) {
+        this.cachedHistory = JSON.parse(history);
+        this.logger.debug(`Found recorded history!`);
+      }
+    } catch (err) {
+      this.logger.debug('No recorded history found!');
+    }
+  }
+
   _saveMiotSpec(miotDevice) {
     if (miotDevice && miotDevice.getMiotSpec()) {
       let fileName = this.specDir + miotDevice.getModel() + '.spec.json';
@@ -266,10 +683,42 @@ class miotPlatform {
   constructor(log, config, api) {
 
     this.cachedAccessories = [];
+    this.deviceControllers = [];
+    this.restApiServer = null;
+    this.mqttBridge = null;
     this.log = log;
     this.api = api;
     this.config = config;
 
+    // resolve the miot specs against the local spec catalog first
+    if (this.api) {
+      const specCatalogDir = this.config.specCatalogDir || this.api.user.storagePath() + '/.xiaomiMiot/catalog/';
+      const specCatalogTtl = this.config.specCatalogTtl !== undefined ? this.config.specCatalogTtl * 60 * 60 * 1000 : undefined; // in hours
+      MiotSpecFetcher.setCatalog(specCatalogDir, specCatalogTtl);
+
+      // user device classes are searched before the built-in modules, by default the classes created by the device class generator
+      DeviceFactory.setUserDevicesDir(this.config.userDevicesDir || this.api.user.storagePath() + '/miotSpecClassGenerator/devices/');
+
+      // all devices share the MiCloud sessions, the service tokens are persisted to prevent a new login on every restart
+      MiCloudSessionManager.setStorageDir(this.api.user.storagePath() + '/.xiaomiMiot/');
+    }
+
+    if (this.config.restApi) {
+      try {
+        this.restApiServer = new RestApiServer(new Logger(log), this.config.restApi);
+      } catch (err) {
+        this.log.warn(`Cannot start the rest api! ${err.message}`);
+      }
+    }
+
+    if (this.config.mqtt) {
+      try {
+        this.mqttBridge = new MqttBridge(new Logger(log), this.config.mqtt);
+      } catch (err) {
+        this.log.warn(`Cannot start the mqtt bridge! ${err.message}`);
+      }
+    }
+
     if (this.api) {
       /*
        * When this event is fired, homebridge restored all cached accessories from disk and did call their respective
@@ -277,8 +726,24 @@ class miotPlatform {
        * after this event was fired, in order to ensure they weren't added to homebridge already.
        * This event can also be used to start discovery of new accessories.
        */
-      this.api.on("didFinishLaunching", () => {
-        this.initDevices();
+      this.api.on("didFinishLaunching", async () => {
+        await this.initDevices();
+        if (this.restApiServer) {
+          this.restApiServer.start();
+        }
+        if (this.mqttBridge) {
+          this.mqttBridge.start();
+        }
+      });
+
+      this.api.on("shutdown", () => {
+        this.deviceControllers.forEach(devCtrl => devCtrl.shutdown());
+        if (this.restApiServer) {
+          this.restApiServer.stop();
+        }
+        if (this.mqttBridge) {
+          this.mqttBridge.stop();
+        }
       });
     }
 
@@ -295,14 +760,14 @@ class miotPlatform {
 
   // ------------ CUSTOM METHODS ------------
 
-  initDevices() {
+  async initDevices() {
     this.log.info('Initializing devices');
 
     // read from config.devices
     if (this.config.devices && Array.isArray(this.config.devices)) {
       for (let deviceConfig of this.config.devices) {
         if (deviceConfig) {
-          this.initDevice(deviceConfig);
+          await this.initDevice(deviceConfig);
         }
       }
     } else if (this.config.devices) {
@@ -321,14 +786,49 @@ class miotPlatform {
 
   }
 
-  initDevice(deviceConfig) {
-    const newDevCtrl = new miotDeviceController(this.log, deviceConfig, this.config.micloud, this.api);
-    const restoredAccessory = this.cachedAccessories.find(accessory => accessory.UUID === newDevCtrl.getAccessoryUuid());
+  async initDevice(deviceConfig, parentDevCtrl = null) {
+    if (parentDevCtrl && this._isDeviceConfigured(deviceConfig.deviceId)) {
+      this.log.info(`Sub device ${deviceConfig.name} is already configured as a separate device! Skipping!`);
+      return;
+    }
+    const newDevCtrl = new miotDeviceController(this.log, deviceConfig, this.config.micloud, this.api, parentDevCtrl);
+    try {
+      await newDevCtrl.prepareController(); // loads the cached device info which is required for the accessory uuid
+    } catch (err) {
+      this.log.error(`Failed to prepare device ${deviceConfig.name}! ${err}`);
+      return;
+    }
+    let restoredAccessory = this.cachedAccessories.find(accessory => accessory.UUID === newDevCtrl.getAccessoryUuid());
+    if (!restoredAccessory && newDevCtrl.getLegacyAccessoryUuid()) {
+      // keep accessories created by older versions so that the HomeKit setup of the user is preserved
+      restoredAccessory = this.cachedAccessories.find(accessory => accessory.UUID === newDevCtrl.getLegacyAccessoryUuid());
+      if (restoredAccessory) {
+        newDevCtrl.setAccessoryUuid(restoredAccessory.UUID);
+      }
+    }
     if (restoredAccessory) {
       newDevCtrl.setRestoredCachedAccessory(restoredAccessory);
       this.cachedAccessories = this.cachedAccessories.filter(item => item !== restoredAccessory); // remove the cached accessory from the list since the controller will remove it later.
     }
+    newDevCtrl.setSubDeviceFoundHandler((subDeviceConfig) => this.initDevice(subDeviceConfig, newDevCtrl));
     newDevCtrl.setupController(); // begin the controller setup
+    this.deviceControllers.push(newDevCtrl);
+    if (this.restApiServer) {
+      this.restApiServer.addDeviceController(newDevCtrl);
+    }
+    if (this.mqttBridge) {
+      this.mqttBridge.addDeviceController(newDevCtrl);
+    }
+
+    // sub devices, for example zigbee devices paired to a gateway, get their own accessories
+    for (const subDeviceConfig of newDevCtrl.getSubDeviceConfigs()) {
+      await this.initDevice(subDeviceConfig, newDevCtrl);
+    }
+  }
+
+  _isDeviceConfigured(deviceId) {
+    const devices = Array.isArray(this.config.devices) ? this.config.devices : [];
+    return devices.some(deviceConfig => deviceConfig && deviceConfig.deviceId && String(deviceConfig.deviceId) === String(deviceId));
   }
 
   removeAccessories() {
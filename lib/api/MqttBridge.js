@@ -0,0 +1,233 @@
+const mqtt = require('mqtt');
+const Events = require('../constants/Events.js');
+
+const DEFAULT_BASE_TOPIC = 'miot';
+const AVAILABILITY_ONLINE = 'online';
+const AVAILABILITY_OFFLINE = 'offline';
+
+// publishes the property values of all devices to a mqtt broker and accepts commands
+// topics:
+//   <base>/<device>/<property>                     -> property value
+//   <base>/<device>/<property>/set                 <- set the property value
+//   <base>/<device>/action/<action>                <- execute an action, payload is an optional json array of params
+//   <base>/<device>/availability                   -> online/offline
+//   <base>/bridge/availability                     -> online/offline
+class MqttBridge {
+  constructor(logger, mqttConfig = {}) {
+    this.logger = logger;
+
+    // config
+    this.url = mqttConfig.url;
+    this.username = mqttConfig.username;
+    this.password = mqttConfig.password;
+    this.baseTopic = (mqttConfig.baseTopic || DEFAULT_BASE_TOPIC).replace(/\/+$/, '');
+    this.retain = mqttConfig.retain !== false;
+
+    if (!this.url) {
+      throw new Error(`Missing url! The mqtt bridge requires the url of the mqtt broker!`);
+    }
+
+    // variables
+    this.client = null;
+    this.deviceControllers = [];
+    this.monitoredProperties = new WeakSet();
+  }
+
+
+  /*----------========== CONNECTION ==========----------*/
+
+  start() {
+    if (this.client) {
+      return;
+    }
+
+    const bridgeAvailabilityTopic = this._getTopic('bridge', 'availability');
+    this.client = mqtt.connect(this.url, {
+      username: this.username,
+      password: this.password,
+      will: {
+        topic: bridgeAvailabilityTopic,
+        payload: AVAILABILITY_OFFLINE,
+        retain: true
+      }
+    });
+
+    this.client.on('connect', () => {
+      this.logger.info(`Connected to mqtt broker ${this.url}`);
+      this.client.publish(bridgeAvailabilityTopic, AVAILABILITY_ONLINE, {
+        retain: true
+      });
+      this.client.subscribe([this._getTopic('+', '+', 'set'), this._getTopic('+', 'action', '+')], (err) => {
+        if (err) {
+          this.logger.warn(`Failed to subscribe to the command topics! ${err.message}`);
+        }
+      });
+      // make sure the broker has the current state, also after a reconnect
+      this.deviceControllers.forEach(deviceController => this._publishDeviceState(deviceController));
+    });
+
+    this.client.on('message', (topic, payload) => {
+      this._handleMessage(topic, payload.toString()).catch((err) => {
+        this.logger.warn(`Failed to handle mqtt message on topic ${topic}! ${err.message}`);
+      });
+    });
+
+    this.client.on('error', (err) => {
+      this.logger.debug(`Mqtt error! ${err.message}`);
+    });
+
+    this.client.on('offline', () => {
+      this.logger.debug(`Mqtt broker ${this.url} offline! Reconnecting!`);
+    });
+  }
+
+  stop() {
+    if (this.client) {
+      // the device availability is retained, so it has to be reset before disconnecting, the will only covers the bridge
+      this.deviceControllers.forEach((deviceController) => {
+        this.client.publish(this._getTopic(this._getDeviceTopicName(deviceController), 'availability'), AVAILABILITY_OFFLINE, {
+          retain: true
+        });
+      });
+      this.client.publish(this._getTopic('bridge', 'availability'), AVAILABILITY_OFFLINE, {
+        retain: true
+      });
+      this.client.end();
+      this.client = null;
+    }
+  }
+
+  addDeviceController(deviceController) {
+    this.deviceControllers.push(deviceController);
+
+    const miotDevice = deviceController.getMiotDevice();
+    if (miotDevice) {
+      miotDevice.on(Events.MIOT_DEVICE_CONNECTED, () => {
+        this._publishAvailability(deviceController);
+      });
+
+      miotDevice.on(Events.MIOT_DEVICE_DISCONNECTED, () => {
+        this._publishAvailability(deviceController);
+      });
+
+      // the properties are created when the device is identified, start monitoring them as soon as the values are known
+      miotDevice.on(Events.MIOT_DEVICE_INITIAL_PROPERTY_FETCH_DONE, () => {
+        this._publishDeviceState(deviceController);
+      });
+
+      this._publishAvailability(deviceController);
+    }
+  }
+
+
+  /*----------========== PUBLISH ==========----------*/
+
+  _publishDeviceState(deviceController) {
+    this._publishAvailability(deviceController);
+    const device = deviceController.getDevice();
+    if (device) {
+      Object.values(device.getAllProperties()).forEach((prop) => {
+        this._monitorProperty(deviceController, prop);
+        if (prop.isReadable() && prop.isValueSynced()) {
+          this._publishPropertyValue(deviceController, prop);
+        }
+      });
+    }
+  }
+
+  _monitorProperty(deviceController, prop) {
+    if (this.monitoredProperties.has(prop)) {
+      return;
+    }
+    this.monitoredProperties.add(prop);
+    prop.on(Events.PROP_VALUE_CHANGED, (changedProp) => {
+      this._publishPropertyValue(deviceController, changedProp);
+    });
+  }
+
+  _publishPropertyValue(deviceController, prop) {
+    const value = prop.getValue();
+    if (value === undefined || value === null) {
+      return;
+    }
+    this._publish(this._getTopic(this._getDeviceTopicName(deviceController), this._sanitizeTopicLevel(prop.getName())), typeof value === 'string' ? value : JSON.stringify(value));
+  }
+
+  _publishAvailability(deviceController) {
+    const miotDevice = deviceController.getMiotDevice();
+    const availability = miotDevice && miotDevice.isConnected() ? AVAILABILITY_ONLINE : AVAILABILITY_OFFLINE;
+    this._publish(this._getTopic(this._getDeviceTopicName(deviceController), 'availability'), availability, true);
+  }
+
+  _publish(topic, payload, retain = this.retain) {
+    if (this.client && this.client.connected) {
+      this.client.publish(topic, payload, {
+        retain
+      });
+    }
+  }
+
+
+  /*----------========== COMMANDS ==========----------*/
+
+  async _handleMessage(topic, payload) {
+    const levels = topic.substring(this.baseTopic.length + 1).split('/');
+    if (levels.length !== 3) {
+      return;
+    }
+
+    const deviceController = this.deviceControllers.find(ctrl => this._getDeviceTopicName(ctrl) === levels[0]);
+    const device = deviceController ? deviceController.getDevice() : null;
+    if (!device) {
+      this.logger.debug(`Received mqtt command for unknown or not ready device ${levels[0]}! Ignoring!`);
+      return;
+    }
+
+    if (levels[1] === 'action') {
+      const action = Object.values(device.getAllActions()).find(tmpAction => this._sanitizeTopicLevel(tmpAction.getName()) === levels[2]);
+      if (!action) {
+        throw new Error(`Action ${levels[2]} not found!`);
+      }
+      const params = payload.length > 0 ? this._parsePayload(payload) : [];
+      this.logger.debug(`Mqtt: executing ${action.getName()} action of ${device.getName()} with params ${JSON.stringify(params)}`);
+      await deviceController.getMiotDevice().executeAction(action, Array.isArray(params) ? params : [params]);
+    } else if (levels[2] === 'set') {
+      const prop = Object.values(device.getAllProperties()).find(tmpProp => this._sanitizeTopicLevel(tmpProp.getName()) === levels[1]);
+      if (!prop) {
+        throw new Error(`Property ${levels[1]} not found!`);
+      }
+      if (!prop.isWritable()) {
+        throw new Error(`Property ${prop.getName()} is not writable!`);
+      }
+      const value = prop.adjustValueToPropRange(this._parsePayload(payload));
+      this.logger.debug(`Mqtt: setting ${prop.getName()} property of ${device.getName()} to ${JSON.stringify(value)}`);
+      await deviceController.getMiotDevice().setProperty(prop, value);
+    }
+  }
+
+  _parsePayload(payload) {
+    try {
+      return JSON.parse(payload);
+    } catch (err) {
+      return payload; // plain strings are used as is
+    }
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _getTopic(...levels) {
+    return [this.baseTopic, ...levels].join('/');
+  }
+
+  _getDeviceTopicName(deviceController) {
+    return this._sanitizeTopicLevel(deviceController.getName()).toLowerCase().replace(/\s+/g, '_');
+  }
+
+  _sanitizeTopicLevel(level) {
+    return String(level).replace(/[\/+#]/g, '_');
+  }
+
+}
+
+module.exports = MqttBridge;
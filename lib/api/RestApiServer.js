@@ -0,0 +1,397 @@
+const http = require('http');
+const crypto = require('crypto');
+const Events = require('../constants/Events.js');
+
+const DEFAULT_PORT = 8586;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_SIZE = 64 * 1024; // in bytes
+const SSE_KEEP_ALIVE_INTERVAL = 30000; // in milliseconds
+
+class RestApiError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// a small http json api which exposes the properties and actions of all configured devices
+// all requests require the configured token, either as "Authorization: Bearer <token>" header or as "token" query parameter
+class RestApiServer {
+  constructor(logger, apiConfig = {}) {
+    this.logger = logger;
+
+    // config
+    this.port = parseInt(apiConfig.port) || DEFAULT_PORT;
+    this.host = apiConfig.host || DEFAULT_HOST;
+    this.token = apiConfig.token;
+
+    if (!this.token) {
+      throw new Error(`Missing token! The rest api requires a token for authentication!`);
+    }
+
+    // variables
+    this.deviceControllers = [];
+    this.eventStreams = new Set();
+    this.server = null;
+    this.keepAliveInterval = null;
+  }
+
+
+  /*----------========== SERVER ==========----------*/
+
+  start() {
+    if (this.server) {
+      return;
+    }
+
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch((err) => {
+        this._sendError(res, err);
+        // the rest of a too large body is discarded after the response, so that the client receives the response
+        if (err.statusCode === 413) {
+          req.resume();
+        }
+      });
+    });
+
+    this.server.on('error', (err) => {
+      this.logger.error(`Rest api server error! ${err.message}`);
+    });
+
+    this.server.listen(this.port, this.host, () => {
+      this.logger.info(`Rest api listening on ${this.host}:${this.port}`);
+    });
+
+    this.keepAliveInterval = setInterval(() => {
+      this.eventStreams.forEach(stream => stream.res.write(': keep-alive\n\n'));
+    }, SSE_KEEP_ALIVE_INTERVAL);
+    this.keepAliveInterval.unref();
+  }
+
+  stop() {
+    clearInterval(this.keepAliveInterval);
+    this.keepAliveInterval = null;
+    this.eventStreams.forEach(stream => stream.res.end());
+    this.eventStreams.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  addDeviceController(deviceController) {
+    this.deviceControllers.push(deviceController);
+
+    const miotDevice = deviceController.getMiotDevice();
+    if (miotDevice) {
+      miotDevice.on(Events.MIOT_DEVICE_PROPERTY_VALUE_UPDATED, (prop) => {
+        this._broadcastEvent('propertyUpdated', deviceController, {
+          property: this._serializeProperty(prop)
+        });
+      });
+    }
+  }
+
+
+  /*----------========== REQUEST HANDLING ==========----------*/
+
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!this._isAuthorized(req, url)) {
+      throw new RestApiError(401, 'Unauthorized');
+    }
+
+    // routes: /api/devices[/<id>[/properties[/<prop>]|/actions[/<action>]|/diagnostics]] and /api/events
+    const parts = url.pathname.split('/').filter(part => part.length > 0).map(part => decodeURIComponent(part));
+    if (parts[0] !== 'api') {
+      throw new RestApiError(404, 'Not found');
+    }
+
+    if (parts[1] === 'events' && parts.length === 2) {
+      this._assertMethod(req, 'GET');
+      this._openEventStream(req, res, url.searchParams.get('device'));
+      return;
+    }
+
+    if (parts[1] !== 'devices') {
+      throw new RestApiError(404, 'Not found');
+    }
+
+    if (parts.length === 2) {
+      this._assertMethod(req, 'GET');
+      this._sendJson(res, 200, this.deviceControllers.map(deviceController => this._serializeDeviceInfo(deviceController)));
+      return;
+    }
+
+    const deviceController = this._findDeviceController(parts[2]);
+    const device = this._getReadyDevice(deviceController);
+
+    if (parts.length === 3) {
+      this._assertMethod(req, 'GET');
+      this._sendJson(res, 200, this._serializeDevice(deviceController));
+    } else if (parts[3] === 'properties' && parts.length === 4) {
+      this._assertMethod(req, 'GET');
+      this._sendJson(res, 200, Object.values(device.getAllProperties()).map(prop => this._serializeProperty(prop)));
+    } else if (parts[3] === 'properties' && parts.length === 5) {
+      const prop = device.getProperty(parts[4]);
+      if (!prop) {
+        throw new RestApiError(404, `Property ${parts[4]} not found`);
+      }
+      if (req.method === 'PUT') {
+        await this._setProperty(device, prop, await this._readJsonBody(req));
+      } else {
+        this._assertMethod(req, 'GET');
+      }
+      this._sendJson(res, 200, this._serializeProperty(prop));
+    } else if (parts[3] === 'diagnostics' && parts.length === 4) {
+      this._assertMethod(req, 'GET');
+      this._sendJson(res, 200, device.getMiotDevice().getDiagnosticsReport());
+    } else if (parts[3] === 'actions' && parts.length === 4) {
+      this._assertMethod(req, 'GET');
+      this._sendJson(res, 200, Object.values(device.getAllActions()).map(action => this._serializeAction(action)));
+    } else if (parts[3] === 'actions' && parts.length === 5) {
+      this._assertMethod(req, 'POST');
+      const action = device.getAction(parts[4]);
+      if (!action) {
+        throw new RestApiError(404, `Action ${parts[4]} not found`);
+      }
+      await this._fireAction(device, action, await this._readJsonBody(req));
+      this._sendJson(res, 200, this._serializeAction(action));
+    } else {
+      throw new RestApiError(404, 'Not found');
+    }
+  }
+
+  async _setProperty(device, prop, body) {
+    if (!body || body.value === undefined) {
+      throw new RestApiError(400, `Missing value! Expected a body in the format {"value": <value>}`);
+    }
+    if (!prop.isWritable()) {
+      throw new RestApiError(400, `Property ${prop.getName()} is not writable`);
+    }
+    if (!device.isConnected()) {
+      throw new RestApiError(503, `Device not connected`);
+    }
+    this.logger.debug(`Rest api: setting ${prop.getName()} property of ${device.getName()} to ${JSON.stringify(body.value)}`);
+    try {
+      await device.setPropertyValue(prop, body.value);
+    } catch (err) {
+      throw new RestApiError(502, `Failed to set ${prop.getName()} property`);
+    }
+  }
+
+  async _fireAction(device, action, body) {
+    const params = body && body.params !== undefined ? body.params : [];
+    if (!Array.isArray(params)) {
+      throw new RestApiError(400, `Invalid params! Expected a body in the format {"params": [<values>]}`);
+    }
+    if (!device.isConnected()) {
+      throw new RestApiError(503, `Device not connected`);
+    }
+    this.logger.debug(`Rest api: executing ${action.getName()} action of ${device.getName()} with params ${JSON.stringify(params)}`);
+    try {
+      await device.fireAction(action, params);
+    } catch (err) {
+      throw new RestApiError(502, `Failed to execute ${action.getName()} action`);
+    }
+  }
+
+
+  /*----------========== EVENT STREAM ==========----------*/
+
+  _openEventStream(req, res, deviceFilter) {
+    let deviceController = null;
+    if (deviceFilter) {
+      deviceController = this._findDeviceController(deviceFilter);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const stream = {
+      res,
+      deviceController
+    };
+    this.eventStreams.add(stream);
+    this.logger.debug(`Rest api: event stream opened! Open streams: ${this.eventStreams.size}`);
+
+    req.on('close', () => {
+      this.eventStreams.delete(stream);
+      this.logger.debug(`Rest api: event stream closed! Open streams: ${this.eventStreams.size}`);
+    });
+  }
+
+  _broadcastEvent(eventName, deviceController, data) {
+    if (this.eventStreams.size === 0) {
+      return;
+    }
+    const message = `event: ${eventName}\ndata: ${JSON.stringify({
+      device: this._getDeviceKey(deviceController),
+      ...data
+    })}\n\n`;
+    this.eventStreams.forEach((stream) => {
+      if (!stream.deviceController || stream.deviceController === deviceController) {
+        stream.res.write(message);
+      }
+    });
+  }
+
+
+  /*----------========== SERIALIZATION ==========----------*/
+
+  _serializeDeviceInfo(deviceController) {
+    const miotDevice = deviceController.getMiotDevice();
+    const device = deviceController.getDevice();
+    return {
+      id: this._getDeviceKey(deviceController),
+      name: deviceController.getName(),
+      model: miotDevice ? miotDevice.getModel() : null,
+      type: device ? device.getType() : null,
+      ip: miotDevice ? miotDevice.getIp() : null,
+      connected: miotDevice ? miotDevice.isConnected() : false,
+      ready: !!device
+    };
+  }
+
+  _serializeDevice(deviceController) {
+    const device = deviceController.getDevice();
+    return {
+      ...this._serializeDeviceInfo(deviceController),
+      properties: Object.values(device.getAllProperties()).map(prop => this._serializeProperty(prop)),
+      actions: Object.values(device.getAllActions()).map(action => this._serializeAction(action))
+    };
+  }
+
+  _serializeProperty(prop) {
+    return {
+      name: prop.getName(),
+      id: prop.getSpecId(),
+      type: prop.getType(),
+      description: prop.getDescription(),
+      format: prop.getFormat(),
+      unit: prop.getUnit(),
+      readable: prop.isReadable(),
+      writable: prop.isWritable(),
+      valueRange: prop.getValueRange(),
+      valueList: prop.getValueList(),
+      value: prop.getValue()
+    };
+  }
+
+  _serializeAction(action) {
+    return {
+      name: action.getName(),
+      id: action.getSpecId(),
+      type: action.getType(),
+      description: action.getDescription(),
+      in: action.getInDef(),
+      out: action.getOut(),
+      lastResult: action.getLastResult()
+    };
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _isAuthorized(req, url) {
+    let requestToken = url.searchParams.get('token');
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      requestToken = authHeader.substring('Bearer '.length).trim();
+    }
+    if (!requestToken) {
+      return false;
+    }
+    // compare the hashes so that the comparison takes the same time regardless of the token length
+    const expected = crypto.createHash('sha256').update(String(this.token)).digest();
+    const actual = crypto.createHash('sha256').update(requestToken).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  _getDeviceKey(deviceController) {
+    const miotDevice = deviceController.getMiotDevice();
+    return (miotDevice && miotDevice.getDeviceId()) || deviceController.getName();
+  }
+
+  _findDeviceController(deviceKey) {
+    const deviceController = this.deviceControllers.find(ctrl => String(this._getDeviceKey(ctrl)) === deviceKey) ||
+      this.deviceControllers.find(ctrl => ctrl.getName() === deviceKey);
+    if (!deviceController) {
+      throw new RestApiError(404, `Device ${deviceKey} not found`);
+    }
+    return deviceController;
+  }
+
+  _getReadyDevice(deviceController) {
+    const device = deviceController.getDevice();
+    if (!device) {
+      throw new RestApiError(503, `Device not ready`);
+    }
+    return device;
+  }
+
+  _assertMethod(req, method) {
+    if (req.method !== method) {
+      throw new RestApiError(405, `Method ${req.method} not allowed`);
+    }
+  }
+
+  _readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      const onData = (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+          req.removeListener('data', onData);
+          req.pause();
+          reject(new RestApiError(413, 'Request body too large'));
+        }
+      };
+      req.on('data', onData);
+      req.on('end', () => {
+        if (body.length === 0) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(new RestApiError(400, `Invalid json body! ${err.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _sendJson(res, statusCode, data) {
+    const body = JSON.stringify(data);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  _sendError(res, err) {
+    const statusCode = err.statusCode || 500;
+    if (statusCode === 500) {
+      this.logger.debug(`Rest api request failed! ${err}`);
+    }
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    this._sendJson(res, statusCode, {
+      error: err.message
+    });
+  }
+
+}
+
+module.exports = RestApiServer;
@@ -3,11 +3,13 @@ const Constants = require('../constants/Constants.js');
 const DevTypes = require('../constants/DevTypes.js');
 const HomeKitUtils = require('../utils/HomeKitUtils.js');
 const PropertyWrapper = require('../wrappers/PropertyWrapper.js');
+const SceneWrapper = require('../wrappers/SceneWrapper.js');
 const PropertyMonitorWrapper = require('../wrappers/PropertyMonitorWrapper.js');
 const PropValueListWrapper = require('../wrappers/PropValueListWrapper.js');
 const OffDelayWrapper = require('../wrappers/OffDelayWrapper.js');
 const OutletService = require('../services/OutletService.js');
 const LightService = require('../services/LightService.js');
+const EveHistoryService = require('../history/EveHistoryService.js');
 
 
 class AbstractAccessory {
@@ -125,6 +127,28 @@ class AbstractAccessory {
     // called by index.js on device status update
     this.updateAllCustomWrapperStatus();
     this.updateAllCustomServiceStatus();
+    this.updateStatusFault();
+  }
+
+  // while the restored values of the last session are reported, flag all services which support it with a fault
+  updateStatusFault() {
+    const statusFault = this.getStatusFault();
+    this.getAccessories().forEach((accessory) => {
+      accessory.services.filter(service => this.isStatusFaultSupported(service)).forEach((service) => {
+        service.getCharacteristic(Characteristic.StatusFault).updateValue(statusFault);
+      });
+    });
+  }
+
+  getStatusFault() {
+    if (this.getDevice() && this.getDevice().hasStalePropertyValues()) {
+      return Characteristic.StatusFault.GENERAL_FAULT;
+    }
+    // optionally also report a fault when the device is not reachable or most of the recent requests fail
+    if (this.getConfigValue('reportConnectionHealth', false) && this.getDevice() && !this.getDevice().isConnectionHealthy()) {
+      return Characteristic.StatusFault.GENERAL_FAULT;
+    }
+    return Characteristic.StatusFault.NO_FAULT;
   }
 
 
@@ -154,10 +178,10 @@ class AbstractAccessory {
       .getCharacteristic(Characteristic.On)
       .onGet(this.isStatelessSwitchOn.bind(this))
       .onSet((value) => {
-        setterFn.bind(this)(value);
         setTimeout(() => {
           if (newStatelessSwitch) newStatelessSwitch.getCharacteristic(Characteristic.On).updateValue(false);
         }, Constants.BUTTON_RESET_TIMEOUT);
+        return setterFn.bind(this)(value);
       });
 
     return newStatelessSwitch;
@@ -288,6 +312,17 @@ class AbstractAccessory {
     return null;
   }
 
+  addSceneWrapper(wrapperName, sceneProperties, sceneActions) {
+    const mainSceneProp = sceneProperties && sceneProperties.length > 0 ? sceneProperties[0].prop : null;
+    const newSceneWrapper = this.createWrapper(SceneWrapper, wrapperName, mainSceneProp);
+    if (newSceneWrapper) {
+      newSceneWrapper.setSceneProperties(sceneProperties);
+      newSceneWrapper.setSceneActions(sceneActions);
+      return this.initAndAddWrapper(newSceneWrapper);
+    }
+    return null;
+  }
+
   addOffDelayWrapper(wrapperName, prop, linkedProp) {
     const newOffDelayWrapper = this.createWrapper(OffDelayWrapper, wrapperName, prop);
     if (newOffDelayWrapper) {
@@ -351,6 +386,7 @@ class AbstractAccessory {
   addLightService(serviceId, serviceName, miotService) {
     const newLightService = this.createCustomService(LightService, serviceId, serviceName, miotService);
     if (newLightService) {
+      newLightService.setAdaptiveLightingEnabled(this.getConfigValue('adaptiveLighting', true));
       return this.initAndAddCustomService(newLightService);
     }
     return null;
@@ -363,6 +399,32 @@ class AbstractAccessory {
   }
 
 
+  /*----------========== HISTORY ==========----------*/
+
+  // the HistoryType of the accessory, null when the accessory does not record a history
+  getHistoryType() {
+    return null;
+  }
+
+  // the values recorded after every poll, the keys depend on the history type
+  getHistorySample() {
+    return null;
+  }
+
+  addHistoryService(history) {
+    this.historyService = new EveHistoryService(history, this.api, this.logger);
+    this.addAccessoryService(this.historyService.getService());
+  }
+
+
+  /*----------========== ENERGY METERING ==========----------*/
+
+  // the EnergyCounter of the accessory, null when the accessory does not meter the energy consumption
+  getEnergyCounter() {
+    return null;
+  }
+
+
   /*----------========== PROPERTY HELPERS ==========----------*/
 
 
@@ -391,14 +453,27 @@ class AbstractAccessory {
     this.getAccessory().addService(service);
   }
 
+  removeAccessoryService(service) {
+    this.getAccessory().removeService(service);
+  }
+
   hasAccessoryServiceById(serviceId) {
     return !!this.getAccessory().getService(serviceId);
   }
 
+  isStatusFaultSupported(service) {
+    return service.testCharacteristic(Characteristic.StatusFault) || service.optionalCharacteristics.some(characteristic => characteristic.UUID === Characteristic.StatusFault.UUID);
+  }
+
   isMiotDeviceConnected() {
     return this.getDevice() && this.getDevice().isConnected();
   }
 
+  // the last known state can also be reported while the device is offline after a restart
+  isMiotDeviceStateAvailable() {
+    return this.isMiotDeviceConnected() || (this.getDevice() && this.getDevice().hasStalePropertyValues());
+  }
+
 
 }
 
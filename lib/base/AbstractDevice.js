@@ -1,3 +1,4 @@
+let HapStatusError, HAPStatus;
 const EventEmitter = require('events');
 const MiotDevice = require('../protocol/MiotDevice.js');
 const MiotService = require('../protocol/MiotService.js');
@@ -81,6 +82,10 @@ class AbstractDevice extends EventEmitter {
       this.updateAccessoryStatus();
     });
 
+    this.getMiotDevice().on(Events.MIOT_DEVICE_PROPERTIES_UPDATED, (miotDevice, propNames) => {
+      this.updateAccessoryStatus();
+    });
+
     this.getMiotDevice().on(Events.MIOT_DEVICE_PROPERTY_VALUE_SET, (property) => {
       this.propertyValueSet(property);
       this.updateAccessoryStatus();
@@ -91,6 +96,10 @@ class AbstractDevice extends EventEmitter {
       //  this.updateAccessoryStatus(); // no need to update accessory status since an action does not change properties directly
     });
 
+    this.getMiotDevice().on(Events.MIOT_DEVICE_EVENT_OCCURRED, (event) => {
+      this.eventOccurred(event);
+    });
+
     // set which properties to monitor initially
     const propsToMonitor = this._getInitialPropsToMonitor();
     this.getMiotDevice().setPropertiesToMonitor(propsToMonitor);
@@ -99,9 +108,21 @@ class AbstractDevice extends EventEmitter {
     // set whether the device requires a mi cloud connection
     this.getMiotDevice().setRequiresMiCloud(this.requiresMiCloud());
 
+    // legacy miio devices are controlled through the property mapping of the device
+    this.getMiotDevice().setLegacyMiioMapping(this.legacyMiioMapping());
+
     // set whether the action params should be parsed for this device
     this.getMiotDevice().setParseActionParams(this.parseActionParams());
 
+    // set the polling classes, for example counters do not need to be polled as often as the device state
+    const pollingClasses = this.propertyPollingClasses() || {};
+    Object.keys(pollingClasses).forEach((propName) => {
+      const prop = this.getProperty(propName);
+      if (prop) {
+        prop.setPollingClass(pollingClasses[propName]);
+      }
+    });
+
     // set the all property request chunk size, for devices with less processing power this needs to be low
     const chunkSize = parseInt(propertyChunkSize) || this.allPropRequestChunkSize();
     if (chunkSize) {
@@ -110,10 +131,16 @@ class AbstractDevice extends EventEmitter {
   }
 
   initDeviceAccessory(uuid, config, api, cachedDeviceInfo) {
+    HapStatusError = api.hap.HapStatusError;
+    HAPStatus = api.hap.HAPStatus;
+
     this.logger.info('Initializing accessory!');
     this.accessoryWrapper = AccessoryFactory.createAccessory(this.getName(), this, uuid, config, api, this.logger);
     if (this.accessoryWrapper) {
       this.updateAccessoryInformationService(cachedDeviceInfo);
+      if (this.hasStalePropertyValues()) {
+        this.updateAccessoryStatus(); // report the restored values right away
+      }
       this.logger.info('Accessory successfully initialized!');
       this._logPropsToMonitor('Final');
     } else {
@@ -175,6 +202,10 @@ class AbstractDevice extends EventEmitter {
     // implemented by devices
   }
 
+  eventOccurred(event) {
+    // implemented by devices
+  }
+
 
   /*----------========== DEVICE INFO ==========----------*/
 
@@ -204,6 +235,15 @@ class AbstractDevice extends EventEmitter {
     return this.getMiotDevice().isConnected();
   }
 
+  isConnectionHealthy() {
+    return this.getMiotDevice().isConnectionHealthy();
+  }
+
+  // true while the property values are restored from the last session and not yet confirmed by the device
+  hasStalePropertyValues() {
+    return this.getMiotDevice().hasStalePropertyValues();
+  }
+
   isLocallyConnected() {
     return this.getMiotDevice().isLocallyConnected();
   }
@@ -278,6 +318,14 @@ class AbstractDevice extends EventEmitter {
     return null; // when null then use default from miot device
   }
 
+  legacyMiioMapping() {
+    return null; // only legacy miio devices which do not support the miot protocol return a mapping, for details see MiioLegacyAdapter
+  }
+
+  propertyPollingClasses() {
+    return {}; // property name -> polling class, properties which are not specified use the normal polling class
+  }
+
   devicePropertiesToMonitor() {
     return null; //needs to be null to know if a device did override properties to monitor
   }
@@ -286,6 +334,10 @@ class AbstractDevice extends EventEmitter {
     return [];
   }
 
+  supportsSubDevices() {
+    return false;
+  }
+
 
   /*----------========== VALUES ==========----------*/
 
@@ -412,13 +464,49 @@ class AbstractDevice extends EventEmitter {
         this.logger.debug(`Trying to set ${prop.getName()} property with an out of range value: ${value} Range: ${JSON.stringify(propRange)}. Adjusting value to: ${adjustedValue}`);
       }
       if (prop.getValue() !== adjustedValue) {
-        return this.getMiotDevice().setProperty(prop, adjustedValue);
+        try {
+          return await this.getMiotDevice().setProperty(prop, adjustedValue);
+        } catch (err) {
+          throw this._createCommunicationError(err);
+        }
       } else {
         this.logger.debug(`Property ${prop.getName()} seems to have already the value: ${adjustedValue}. Set not needed! Skipping...`);
       }
     }
   }
 
+  // sets multiple property values with a single request, accepts a Map or an object of property -> value
+  async setPropertyValues(propValues) {
+    const propValuesToSet = new Map();
+    const entries = propValues instanceof Map ? [...propValues.entries()] : Object.entries(propValues || {});
+    entries.forEach(([propObj, value]) => {
+      let prop = this.getProperty(propObj);
+      if (prop) {
+        let adjustedValue = prop.adjustValueToPropRange(value);
+        if (adjustedValue !== value) {
+          this.logger.debug(`Trying to set ${prop.getName()} property with an out of range value: ${value} Range: ${JSON.stringify(prop.getValueRange())}. Adjusting value to: ${adjustedValue}`);
+        }
+        if (prop.getValue() !== adjustedValue) {
+          propValuesToSet.set(prop, adjustedValue);
+        }
+      }
+    });
+    if (propValuesToSet.size > 0) {
+      let results = [];
+      try {
+        results = await this.getMiotDevice().setProperties(propValuesToSet);
+      } catch (err) {
+        throw this._createCommunicationError(err);
+      }
+      const failedPropNames = results.filter(result => !result.success).map(result => result.name);
+      if (failedPropNames.length > 0) {
+        throw this._createCommunicationError(new Error(`Failed to set properties ${failedPropNames.join(', ')}!`));
+      }
+      return results;
+    }
+    return [];
+  }
+
   getPropertyUnit(propObj) {
     let prop = this.getProperty(propObj);
     if (prop) {
@@ -433,7 +521,11 @@ class AbstractDevice extends EventEmitter {
   async fireAction(actionObj, paramValues = []) {
     let action = this.getAction(actionObj);
     if (action) {
-      return this.getMiotDevice().executeAction(action, paramValues);
+      try {
+        return await this.getMiotDevice().executeAction(action, paramValues);
+      } catch (err) {
+        throw this._createCommunicationError(err);
+      }
     }
   }
 
@@ -452,6 +544,14 @@ class AbstractDevice extends EventEmitter {
 
   /*----------========== INTERNAL HELPERS ==========----------*/
 
+  // failed writes are reported to HomeKit, the original error is already logged by the miot device
+  _createCommunicationError(err) {
+    if (HapStatusError) {
+      return new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+    return err;
+  }
+
   _logPropsToMonitor(status) {
     const propsToMonitor = this.getMiotDevice().getPropertiesToMonitor();
     if (propsToMonitor.length > 0) {
@@ -701,6 +801,10 @@ class AbstractDevice extends EventEmitter {
     this.getMiotDevice().addPropertyToMonitor(miotProp);
   }
 
+  addEventToMonitor(miotEvent) {
+    this.getMiotDevice().addEventToMonitor(miotEvent);
+  }
+
 
 }
 
@@ -2,6 +2,9 @@ let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
 const AbstractAccessory = require('./AbstractAccessory.js');
 const Constants = require('../constants/Constants.js');
 const DevTypes = require('../constants/DevTypes.js');
+const Events = require('../constants/Events.js');
+const ValueOperator = require('../constants/ValueOperator.js');
+const CameraStreamingDelegate = require('../camera/CameraStreamingDelegate.js');
 
 
 class BaseAccessory extends AbstractAccessory {
@@ -34,6 +37,8 @@ class BaseAccessory extends AbstractAccessory {
     this.methodButtons = this.getConfigValue('methodButtons', []);
     this.propertyControl = this.getConfigValue('propertyControl', []);
     this.propertyMonitor = this.getConfigValue('propertyMonitor', []);
+    this.eventTriggers = this.getConfigValue('eventTriggers', []);
+    this.scenes = this.getConfigValue('scenes', []);
 
     super.initAccessoryObject();
   }
@@ -66,6 +71,8 @@ class BaseAccessory extends AbstractAccessory {
     if (this.methodButtons) this.prepareMethodButtonServices(this.methodButtons);
     if (this.propertyControl) this.preparePropertyControlervices(this.propertyControl);
     if (this.propertyMonitor) this.preparePropertyMonitorServices(this.propertyMonitor);
+    if (this.eventTriggers) this.prepareEventTriggerServices(this.eventTriggers);
+    if (this.scenes) this.prepareSceneServices(this.scenes);
   }
 
 
@@ -400,7 +407,7 @@ class BaseAccessory extends AbstractAccessory {
         //only if action exists
         if (action) {
           const tmpActionSwitch = this.createStatlessSwitch(actionDisplayName, actionId, (value) => {
-            this.setActionSwitchOn(value, actionName, paramValues);
+            return this.setActionSwitchOn(value, actionName, paramValues);
           });
           this.addAccessoryService(tmpActionSwitch);
           this.getLogger().deepDebug(`=AB= Successfully created action button for action: ${actionName}!`);
@@ -425,7 +432,7 @@ class BaseAccessory extends AbstractAccessory {
 
         if (methodName && methodName.length > 0) {
           const tmpMethodSwitch = this.createStatlessSwitch(methodDisplayName, methodId, (value) => {
-            this.setMethodSwitchOn(value, methodName, paramValues);
+            return this.setMethodSwitchOn(value, methodName, paramValues);
           });
           this.addAccessoryService(tmpMethodSwitch);
           this.getLogger().deepDebug(`=MB= Successfully created method button for method: ${methodName}!`);
@@ -504,6 +511,177 @@ class BaseAccessory extends AbstractAccessory {
   }
 
 
+  // ----- scenes
+
+  prepareSceneServices(scenesUserConfig) {
+    if (scenesUserConfig && Array.isArray(scenesUserConfig) && scenesUserConfig.length > 0) {
+      this.getLogger().debug(`=SC= Creating user specified scenes!`);
+      // create the scene switches
+      scenesUserConfig.forEach((userScene, i) => {
+        let sceneName = userScene.name || `Scene ${i + 1}`; // get name from "name" else generate one
+
+        // get the actual properties, if a property does not exist then the whole scene is skipped since it cannot be applied
+        let missingItem = null;
+        let sceneProperties = (userScene.properties || []).map((item) => {
+          let tmpProp = this.getDevice().getProperty(item.property);
+          if (!tmpProp) missingItem = item.property;
+          let valueOperator = ValueOperator.lookupByName(item.valueOperator);
+          let value = item.value;
+          if (valueOperator === ValueOperator.CONTAINS && typeof value === 'string') {
+            value = value.split(',').map(tmpValue => tmpValue.trim()); // the homebridge ui saves the values as a comma separated string
+          }
+          return {
+            prop: tmpProp,
+            value: tmpProp ? tmpProp.convertValueToFormat(value) : value, // the values are compared strictly, so they need the format of the property
+            valueOperator: valueOperator
+          };
+        });
+        let sceneActions = (userScene.actions || []).map((item) => {
+          let actionName = item.action || item; // get the action name, if array of objects then get "action" else use the item
+          let tmpAction = this.getDevice().getAction(actionName);
+          if (!tmpAction) missingItem = actionName;
+          return {
+            action: tmpAction,
+            params: item.params || [] // get params from "params" or leave empty
+          };
+        });
+
+        if (missingItem) {
+          this.getLogger().warn(`=SC= Property or action ${missingItem} does not exist on this device. Skipping ${sceneName} scene!`);
+        } else if (sceneProperties.length === 0) {
+          this.getLogger().warn(`=SC= The ${sceneName} scene requires at least one property. Use actionButtons for action only buttons! Skipping ${sceneName} scene!`);
+        } else {
+          const tmpWrapper = this.addSceneWrapper(sceneName, sceneProperties, sceneActions);
+          if (tmpWrapper) {
+            this.getLogger().deepDebug(`=SC= Successfully created ${sceneName} scene!`);
+          }
+        }
+      });
+    }
+  }
+
+
+  // ----- camera streaming
+
+  createCameraStreamingDelegate() {
+    const cameraSource = this.getConfigValue('cameraSource', null);
+    if (!cameraSource) {
+      this.getLogger().debug(`No camera source specified! Camera streaming not available!`);
+      return null;
+    }
+
+    try {
+      return new CameraStreamingDelegate(this.api, this.getLogger(), {
+        source: cameraSource,
+        stillImageSource: this.getConfigValue('cameraStillImageSource', null),
+        videoProcessor: this.getConfigValue('videoProcessor', null),
+        maxStreams: this.getConfigValue('cameraMaxStreams', null),
+        maxWidth: this.getConfigValue('cameraMaxWidth', null),
+        maxHeight: this.getConfigValue('cameraMaxHeight', null),
+        maxFps: this.getConfigValue('cameraMaxFps', null),
+        maxBitrate: this.getConfigValue('cameraMaxBitrate', null),
+        audio: this.getConfigValue('cameraAudio', false)
+      });
+    } catch (err) {
+      this.getLogger().warn(`Failed to create camera streaming! ${err.message}`);
+      return null;
+    }
+  }
+
+  // ----- event triggers
+
+  prepareEventTriggerServices(eventTriggersUserConfig) {
+    if (this.getDevice().hasEvents()) {
+      let eventTriggers = eventTriggersUserConfig;
+
+      // if user specified true then use all events
+      if (eventTriggers && eventTriggers === true) {
+        eventTriggers = this.getDevice().getAllEventNames();
+      }
+
+      // at this point we should have an array of events, if not then something went wrong
+      if (!eventTriggers || !Array.isArray(eventTriggers)) {
+        this.getLogger().debug(`=ET= Failed to create event triggers...`);
+        return;
+      }
+
+      this.getLogger().debug(`=ET= Creating user specified event triggers!`);
+
+      // create the event triggers
+      eventTriggers.forEach((item, i) => {
+        let eventName = item.event || item; // get the event name or id, if array of objects then get "event" else use the item
+        let eventDisplayName = item.name || this.getDevice().getEventFriendlyName(eventName); // get name from "name" else get friendly name
+        let eventTriggerType = item.type || 'button'; // get the type of the trigger, button, motion or contact
+        let eventTriggerId = eventName + 'EventTriggerService' + i; // generate event trigger id
+
+        const event = this.getDevice().getEvent(eventName);
+
+        //only if event exists
+        if (event) {
+          const tmpEventTrigger = this.createEventTriggerService(eventDisplayName, eventTriggerId, eventTriggerType);
+          if (tmpEventTrigger) {
+            this.addAccessoryService(tmpEventTrigger);
+            this.getDevice().addEventToMonitor(event);
+            event.on(Events.EVENT_OCCURRED, () => {
+              this.getLogger().info(`=ET= Event ${event.getName()} occurred! Triggering ${eventDisplayName}!`);
+              this.fireEventTriggerService(tmpEventTrigger, eventTriggerType);
+            });
+            this.getLogger().deepDebug(`=ET= Successfully created event trigger for event: ${eventName}!`);
+          } else {
+            this.getLogger().warn(`=ET= Unknown event trigger type ${eventTriggerType}! Supported types: button, motion, contact. Skipping event trigger!`);
+          }
+        } else {
+          this.getLogger().warn(`=ET= Event ${eventName} does not exist on this device. Skipping event trigger!`);
+        }
+      });
+    }
+  }
+
+  createEventTriggerService(name, id, type) {
+    let eventTriggerService = null;
+    if (type === 'button') {
+      eventTriggerService = new Service.StatelessProgrammableSwitch(this.sanitizeName(name), id);
+      eventTriggerService
+        .getCharacteristic(Characteristic.ProgrammableSwitchEvent)
+        .setProps({
+          validValues: [Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS]
+        });
+    } else if (type === 'motion') {
+      eventTriggerService = new Service.MotionSensor(this.sanitizeName(name), id);
+      eventTriggerService
+        .getCharacteristic(Characteristic.MotionDetected)
+        .onGet(() => !!eventTriggerService.pulseTimeout);
+    } else if (type === 'contact') {
+      eventTriggerService = new Service.ContactSensor(this.sanitizeName(name), id);
+      eventTriggerService
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .onGet(() => eventTriggerService.pulseTimeout ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED);
+    }
+    if (eventTriggerService) {
+      this.setServiceConfiguredName(eventTriggerService, name);
+    }
+    return eventTriggerService;
+  }
+
+  fireEventTriggerService(eventTriggerService, type) {
+    if (type === 'button') {
+      eventTriggerService.getCharacteristic(Characteristic.ProgrammableSwitchEvent).updateValue(Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS);
+      return;
+    }
+
+    // motion and contact sensors are pulsed, the state is reset after the pulse duration
+    const characteristic = type === 'motion' ? Characteristic.MotionDetected : Characteristic.ContactSensorState;
+    const triggeredValue = type === 'motion' ? true : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
+    const resetValue = type === 'motion' ? false : Characteristic.ContactSensorState.CONTACT_DETECTED;
+    clearTimeout(eventTriggerService.pulseTimeout);
+    eventTriggerService.getCharacteristic(characteristic).updateValue(triggeredValue);
+    eventTriggerService.pulseTimeout = setTimeout(() => {
+      eventTriggerService.pulseTimeout = null;
+      eventTriggerService.getCharacteristic(characteristic).updateValue(resetValue);
+    }, Constants.EVENT_TRIGGER_PULSE_DURATION);
+  }
+
+
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   // temperature
@@ -515,7 +693,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getCurrentTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTemperature();
     }
     return 0;
@@ -530,7 +708,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getCurrentRelativeHumidity() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getRelativeHumidity();
     }
     return 0;
@@ -545,7 +723,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getCurrentAmbientLightLevel() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getIllumination();
     }
     return 0;
@@ -554,7 +732,7 @@ class BaseAccessory extends AbstractAccessory {
   // battery
   getStatusLowBatteryState() {
     if (this.getDevice().supportsBatteryLevelReporting()) {
-      if (this.isMiotDeviceConnected()) {
+      if (this.isMiotDeviceStateAvailable()) {
         return this.getDevice().getBatteryLevel() > Constants.BATTERY_LOW_THRESHOLD ? Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL : Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW;
       }
     }
@@ -562,14 +740,14 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getBatteryChargingState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isDeviceCharging() ? Characteristic.ChargingState.CHARGING : Characteristic.ChargingState.NOT_CHARGING;
     }
     return Characteristic.ChargingState.NOT_CHARGEABLE;
   }
 
   getBatteryLevel() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getBatteryLevel();
     }
     return 0;
@@ -577,7 +755,7 @@ class BaseAccessory extends AbstractAccessory {
 
   // filter maintenance
   getFilterChangeIndicationState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       let lifeLevel = this.getDevice().getFilterLifeLevel();
       if (lifeLevel <= Constants.FILTER_CHANGE_INDICATION_THRESHOLD) {
         return Characteristic.FilterChangeIndication.CHANGE_FILTER;
@@ -587,7 +765,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getFilterLifeLevel() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       let safeLifeLevel = Math.min(100, this.getDevice().getFilterLifeLevel()); // some device return a value greater than 100
       return safeLifeLevel;
     }
@@ -596,7 +774,7 @@ class BaseAccessory extends AbstractAccessory {
 
   resetFilterIndication(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().resetFilterLife();
+      return this.getDevice().resetFilterLife();
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -611,7 +789,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getAirQuality() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       let pm25Density = this.getDevice().getPm25Density();
       if (pm25Density <= this.excellentBreakpoint) {
         return Characteristic.AirQuality.EXCELLENT;
@@ -629,21 +807,21 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getPM25Density() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getPm25Density();
     }
     return 0;
   }
 
   getVOCDensity() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getVOCDenstiyValue();
     }
     return 0;
   }
 
   getPM10DensityChar() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getPm10Density();
     }
     return 0;
@@ -658,7 +836,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getCarbonDioxideDetected() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       let co2Density = this.getDevice().getCo2Density();
       if (co2Density > this.co2AbnormalThreshold) {
         return Characteristic.CarbonDioxideDetected.CO2_LEVELS_ABNORMAL;
@@ -670,7 +848,7 @@ class BaseAccessory extends AbstractAccessory {
   }
 
   getCarbonDioxideLevel() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getCo2Density();
     }
     return 0;
@@ -680,7 +858,7 @@ class BaseAccessory extends AbstractAccessory {
   // ----- characteristics
 
   getLockPhysicalControlsState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isChildLockActive() ? Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED : Characteristic.LockPhysicalControls.CONTROL_LOCK_DISABLED;
     }
     return Characteristic.LockPhysicalControls.CONTROL_LOCK_DISABLED;
@@ -689,14 +867,14 @@ class BaseAccessory extends AbstractAccessory {
   setLockPhysicalControlsState(state) {
     if (this.isMiotDeviceConnected()) {
       let isChildLockActive = state === Characteristic.LockPhysicalControls.CONTROL_LOCK_ENABLED;
-      this.getDevice().setChildLock(isChildLockActive);
+      return this.getDevice().setChildLock(isChildLockActive);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getRotationSpeed() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getRotationSpeedPercentage();
     }
     return 0;
@@ -706,7 +884,7 @@ class BaseAccessory extends AbstractAccessory {
     if (this.isMiotDeviceConnected()) {
       // use debounce to limit the number of calls when the user slides the rotation slider
       if (this.rotationSpeedTimeout) clearTimeout(this.rotationSpeedTimeout);
-      this.rotationSpeedTimeout = setTimeout(() => this.getDevice().setRotationSpeedPercentage(value), Constants.SLIDER_DEBOUNCE);
+      this.rotationSpeedTimeout = setTimeout(() => this.getDevice().setRotationSpeedPercentage(value).catch(() => {}), Constants.SLIDER_DEBOUNCE); // failure is logged by the device
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -717,7 +895,7 @@ class BaseAccessory extends AbstractAccessory {
 
   setActionSwitchOn(state, actionName, paramValues = []) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().fireAction(actionName, paramValues);
+      return this.getDevice().fireAction(actionName, paramValues);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
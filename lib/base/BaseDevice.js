@@ -7,6 +7,7 @@ const DevTypes = require('../constants/DevTypes.js');
 const PropFormat = require('../constants/PropFormat.js');
 const PropUnit = require('../constants/PropUnit.js');
 const PropAccess = require('../constants/PropAccess.js');
+const PollingClass = require('../constants/PollingClass.js');
 
 // DEVICES: http://miot-spec.org/miot-spec-v2/instances?status=released
 
@@ -49,6 +50,15 @@ class BaseDevice extends AbstractDevice {
     ];
   }
 
+  propertyPollingClasses() {
+    return {
+      'filter:filter-left-time': PollingClass.SLOW,
+      'filter:filter-used-time': PollingClass.SLOW,
+      'filter:filter-life-level': PollingClass.SLOW,
+      'use-time:use-time': PollingClass.SLOW
+    };
+  }
+
 
   /*----------========== VALUES ==========----------*/
 
@@ -799,10 +809,10 @@ class BaseDevice extends AbstractDevice {
       if (this.isSpeeLeveldRpm()) {
         fanSpeedToSet = this.convertPercentageToPropValue(percentage, this.speedLevelProp())
       }
-      this.setSpeedLevel(fanSpeedToSet);
+      return this.setSpeedLevel(fanSpeedToSet);
     } else if (this.supportsFanLevel()) {
       let levelToSet = this.convertRotationSpeedToFanLevel(percentage);
-      this.setFanLevel(levelToSet);
+      return this.setFanLevel(levelToSet);
     }
   }
 
@@ -810,8 +820,17 @@ class BaseDevice extends AbstractDevice {
   turnOnIfNecessary() {
     // if the device is turned off then turn it on
     if (this.isOn() === false) {
-      this.setOn(true);
+      return this.setOn(true);
+    }
+  }
+
+  // turns the device on, when necessary, together with the specified property values in a single request
+  async turnOnWithPropertyValues(propValues = new Map()) {
+    const propValuesToSet = new Map(propValues);
+    if (this.supportsOn() && this.isOn() === false) {
+      propValuesToSet.set(this.onProp(), true);
     }
+    return this.setPropertyValues(propValuesToSet);
   }
 
   // filter
@@ -905,6 +924,16 @@ class BaseDevice extends AbstractDevice {
     return miotAction;
   }
 
+  getEventFriendlyName(miotEvent) {
+    let event = this.getEvent(miotEvent);
+    if (event) {
+      return event.getName().split(':').pop().split('-').map((item) => {
+        return item.charAt(0).toUpperCase() + item.substring(1);
+      }).join(' ');
+    }
+    return miotEvent;
+  }
+
   getPropertyFriendlyName(miotProp) {
     let prop = this.getProperty(miotProp);
     if (prop) {
@@ -0,0 +1,405 @@
+const dgram = require('dgram');
+const { spawn } = require('child_process');
+
+const DEFAULT_VIDEO_PROCESSOR = 'ffmpeg';
+const DEFAULT_MAX_STREAMS = 2;
+const DEFAULT_MAX_WIDTH = 1280;
+const DEFAULT_MAX_HEIGHT = 720;
+const DEFAULT_MAX_FPS = 30;
+const DEFAULT_MAX_BITRATE = 299; // in kbit/s
+const SNAPSHOT_TIMEOUT = 10000; // in milliseconds
+const RTCP_TIMEOUT_MULTIPLIER = 5; // stop the stream when no rtcp packets were received for 5 rtcp intervals
+
+// streams a camera source to HomeKit by transcoding it with ffmpeg
+// based on the HomeKit camera streaming protocol: https://github.com/homebridge/HAP-NodeJS/wiki/IP-Camera
+class CameraStreamingDelegate {
+  constructor(api, logger, cameraConfig = {}) {
+    this.api = api;
+    this.hap = api.hap;
+    this.logger = logger;
+
+    // config
+    this.source = this._prepareInput(cameraConfig.source);
+    this.stillImageSource = this._prepareInput(cameraConfig.stillImageSource) || this.source;
+    this.videoProcessor = cameraConfig.videoProcessor || DEFAULT_VIDEO_PROCESSOR;
+    this.maxStreams = parseInt(cameraConfig.maxStreams) || DEFAULT_MAX_STREAMS;
+    this.maxWidth = parseInt(cameraConfig.maxWidth) || DEFAULT_MAX_WIDTH;
+    this.maxHeight = parseInt(cameraConfig.maxHeight) || DEFAULT_MAX_HEIGHT;
+    this.maxFps = parseInt(cameraConfig.maxFps) || DEFAULT_MAX_FPS;
+    this.maxBitrate = parseInt(cameraConfig.maxBitrate) || DEFAULT_MAX_BITRATE;
+    this.audio = cameraConfig.audio === true;
+
+    if (!this.source) {
+      throw new Error(`Missing camera source! Cannot create camera streaming delegate!`);
+    }
+
+    // variables
+    this.pendingSessions = new Map();
+    this.ongoingSessions = new Map();
+    this.controller = null;
+  }
+
+
+  /*----------========== CONTROLLER ==========----------*/
+
+  createCameraController() {
+    this.controller = new this.hap.CameraController(this._getControllerOptions());
+    return this.controller;
+  }
+
+  createDoorbellController() {
+    this.controller = new this.hap.DoorbellController(this._getControllerOptions());
+    return this.controller;
+  }
+
+  getController() {
+    return this.controller;
+  }
+
+
+  /*----------========== CAMERA STREAMING DELEGATE ==========----------*/
+
+  handleSnapshotRequest(request, callback) {
+    const args = [
+      ...this.stillImageSource,
+      '-frames:v', '1',
+      '-filter:v', `scale=${request.width}:${request.height}:force_original_aspect_ratio=decrease`,
+      '-f', 'image2',
+      '-'
+    ];
+    this.logger.deepDebug(`[Camera] Snapshot command: ${this.videoProcessor} ${args.join(' ')}`);
+
+    let snapshotBuffer = Buffer.alloc(0);
+    let isDone = false;
+    const done = (err, snapshot) => {
+      if (!isDone) {
+        isDone = true;
+        clearTimeout(snapshotTimeout);
+        callback(err, snapshot);
+      }
+    };
+
+    const ffmpeg = spawn(this.videoProcessor, args, {
+      env: process.env
+    });
+    const snapshotTimeout = setTimeout(() => {
+      ffmpeg.kill('SIGKILL');
+      done(new Error('Snapshot timed out'));
+    }, SNAPSHOT_TIMEOUT);
+
+    ffmpeg.stdout.on('data', (data) => {
+      snapshotBuffer = Buffer.concat([snapshotBuffer, data]);
+    });
+    ffmpeg.stderr.on('data', (data) => {
+      this.logger.deepDebug(`[Camera] Snapshot: ${data.toString()}`);
+    });
+    ffmpeg.on('error', (err) => {
+      this.logger.warn(`[Camera] Failed to take a snapshot! Make sure that ${this.videoProcessor} is installed! Error: ${err.message}`);
+      done(err);
+    });
+    ffmpeg.on('close', () => {
+      if (isDone) {
+        return;
+      }
+      if (snapshotBuffer.length > 0) {
+        done(undefined, snapshotBuffer);
+      } else {
+        this.logger.debug(`[Camera] Failed to take a snapshot! No image data received!`);
+        done(new Error('No snapshot data received'));
+      }
+    });
+  }
+
+  async prepareStream(request, callback) {
+    try {
+      const isIpv6 = request.addressVersion === 'ipv6';
+      const videoReturnSocket = await this._createReturnSocket(isIpv6);
+      const videoSsrc = this.hap.CameraController.generateSynchronisationSource();
+      const sessionInfo = {
+        address: request.targetAddress,
+        isIpv6: isIpv6,
+        videoPort: request.video.port,
+        videoReturnSocket: videoReturnSocket,
+        videoCryptoSuite: request.video.srtpCryptoSuite,
+        videoSrtp: Buffer.concat([request.video.srtp_key, request.video.srtp_salt]),
+        videoSsrc: videoSsrc
+      };
+      const response = {
+        video: {
+          port: videoReturnSocket.address().port,
+          ssrc: videoSsrc,
+          srtp_key: request.video.srtp_key,
+          srtp_salt: request.video.srtp_salt
+        }
+      };
+
+      if (this.audio) {
+        const audioReturnSocket = await this._createReturnSocket(isIpv6);
+        const audioSsrc = this.hap.CameraController.generateSynchronisationSource();
+        sessionInfo.audioPort = request.audio.port;
+        sessionInfo.audioReturnSocket = audioReturnSocket;
+        sessionInfo.audioCryptoSuite = request.audio.srtpCryptoSuite;
+        sessionInfo.audioSrtp = Buffer.concat([request.audio.srtp_key, request.audio.srtp_salt]);
+        sessionInfo.audioSsrc = audioSsrc;
+        response.audio = {
+          port: audioReturnSocket.address().port,
+          ssrc: audioSsrc,
+          srtp_key: request.audio.srtp_key,
+          srtp_salt: request.audio.srtp_salt
+        };
+      }
+
+      this.pendingSessions.set(request.sessionID, sessionInfo);
+      callback(undefined, response);
+    } catch (err) {
+      this.logger.debug(`[Camera] Failed to prepare stream! ${err}`);
+      callback(err);
+    }
+  }
+
+  handleStreamRequest(request, callback) {
+    switch (request.type) {
+      case this.hap.StreamRequestTypes.START:
+        this._startStream(request, callback);
+        break;
+      case this.hap.StreamRequestTypes.RECONFIGURE:
+        // not supported by ffmpeg without restarting the stream, just acknowledge
+        this.logger.debug(`[Camera] Received request to reconfigure to: ${request.video.width}x${request.video.height}, ${request.video.fps} fps, ${request.video.max_bit_rate} kbps. Ignoring!`);
+        callback();
+        break;
+      case this.hap.StreamRequestTypes.STOP:
+        this._stopStream(request.sessionID);
+        callback();
+        break;
+    }
+  }
+
+
+  /*----------========== STREAMING ==========----------*/
+
+  _startStream(request, callback) {
+    const sessionInfo = this.pendingSessions.get(request.sessionID);
+    if (!sessionInfo) {
+      callback(new Error('Unknown stream session'));
+      return;
+    }
+    this.pendingSessions.delete(request.sessionID);
+
+    const video = request.video;
+    const width = Math.min(video.width, this.maxWidth);
+    const height = Math.min(video.height, this.maxHeight);
+    const fps = Math.min(video.fps, this.maxFps);
+    const bitrate = Math.min(video.max_bit_rate, this.maxBitrate);
+
+    this.logger.info(`[Camera] Starting video stream: ${width}x${height}, ${fps} fps, ${bitrate} kbps${this.audio ? ', with audio' : ''}`);
+
+    let args = [
+      ...this.source,
+      '-map', '0:v:0',
+      '-an', '-sn', '-dn',
+      '-codec:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-color_range', 'mpeg',
+      '-preset', 'ultrafast',
+      '-tune', 'zerolatency',
+      '-filter:v', `scale=${width}:${height}:force_original_aspect_ratio=decrease,scale=trunc(iw/2)*2:trunc(ih/2)*2`,
+      '-r', String(fps),
+      '-b:v', `${bitrate}k`,
+      '-bufsize', `${bitrate * 2}k`,
+      '-maxrate', `${bitrate}k`,
+      '-payload_type', String(video.pt),
+      '-ssrc', String(sessionInfo.videoSsrc),
+      '-f', 'rtp',
+      '-srtp_out_suite', 'AES_CM_128_HMAC_SHA1_80',
+      '-srtp_out_params', sessionInfo.videoSrtp.toString('base64'),
+      `srtp://${this._getUrlHost(sessionInfo)}:${sessionInfo.videoPort}?rtcpport=${sessionInfo.videoPort}&pkt_size=${video.mtu}`
+    ];
+
+    if (this.audio && request.audio) {
+      const audio = request.audio;
+      args = args.concat([
+        '-map', '0:a:0',
+        '-vn', '-sn', '-dn',
+        '-codec:a', 'libfdk_aac',
+        '-profile:a', 'aac_eld',
+        '-flags', '+global_header',
+        '-ar', `${audio.sample_rate}k`,
+        '-b:a', `${audio.max_bit_rate}k`,
+        '-ac', String(audio.channel),
+        '-payload_type', String(audio.pt),
+        '-ssrc', String(sessionInfo.audioSsrc),
+        '-f', 'rtp',
+        '-srtp_out_suite', 'AES_CM_128_HMAC_SHA1_80',
+        '-srtp_out_params', sessionInfo.audioSrtp.toString('base64'),
+        `srtp://${this._getUrlHost(sessionInfo)}:${sessionInfo.audioPort}?rtcpport=${sessionInfo.audioPort}&pkt_size=188`
+      ]);
+    }
+
+    this.logger.deepDebug(`[Camera] Stream command: ${this.videoProcessor} ${args.join(' ')}`);
+
+    let isStarted = false;
+    const ffmpeg = spawn(this.videoProcessor, args, {
+      env: process.env
+    });
+    ffmpeg.stderr.on('data', (data) => {
+      if (!isStarted) {
+        isStarted = true;
+        callback();
+      }
+      this.logger.deepDebug(`[Camera] Stream: ${data.toString()}`);
+    });
+    ffmpeg.on('error', (err) => {
+      this.logger.warn(`[Camera] Failed to start the video stream! Make sure that ${this.videoProcessor} is installed! Error: ${err.message}`);
+      if (!isStarted) {
+        isStarted = true;
+        callback(err);
+      }
+      this._stopStream(request.sessionID);
+    });
+    ffmpeg.on('exit', (code, signal) => {
+      if (code && code !== 255) {
+        this.logger.warn(`[Camera] Video stream stopped unexpectedly! Exit code: ${code}`);
+        if (this.controller) {
+          this.controller.forceStopStreamingSession(request.sessionID);
+        }
+      }
+      this._stopStream(request.sessionID);
+    });
+
+    // stop the stream when the HomeKit client stops sending rtcp packets
+    const rtcpTimeoutTime = video.rtcp_interval * 1000 * RTCP_TIMEOUT_MULTIPLIER;
+    let rtcpTimeout = null;
+    const resetRtcpTimeout = () => {
+      clearTimeout(rtcpTimeout);
+      rtcpTimeout = setTimeout(() => {
+        this.logger.debug(`[Camera] No rtcp packets received for ${rtcpTimeoutTime / 1000} seconds! Stopping the video stream!`);
+        if (this.controller) {
+          this.controller.forceStopStreamingSession(request.sessionID);
+        }
+        this._stopStream(request.sessionID);
+      }, rtcpTimeoutTime);
+    };
+    sessionInfo.videoReturnSocket.on('message', resetRtcpTimeout);
+    resetRtcpTimeout();
+
+    this.ongoingSessions.set(request.sessionID, {
+      ffmpeg: ffmpeg,
+      sessionInfo: sessionInfo,
+      clearRtcpTimeout: () => clearTimeout(rtcpTimeout)
+    });
+  }
+
+  _stopStream(sessionID) {
+    const pendingSession = this.pendingSessions.get(sessionID);
+    if (pendingSession) {
+      this._closeSockets(pendingSession);
+      this.pendingSessions.delete(sessionID);
+    }
+
+    const session = this.ongoingSessions.get(sessionID);
+    if (session) {
+      this.ongoingSessions.delete(sessionID);
+      session.clearRtcpTimeout();
+      this._closeSockets(session.sessionInfo);
+      try {
+        session.ffmpeg.kill('SIGKILL');
+      } catch (err) {
+        this.logger.debug(`[Camera] Error while stopping the video stream! ${err}`);
+      }
+      this.logger.info(`[Camera] Stopped video stream!`);
+    }
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _getControllerOptions() {
+    return {
+      cameraStreamCount: this.maxStreams,
+      delegate: this,
+      streamingOptions: {
+        supportedCryptoSuites: [this.hap.SRTPCryptoSuites.AES_CM_128_HMAC_SHA1_80],
+        video: {
+          codec: {
+            profiles: [this.hap.H264Profile.BASELINE, this.hap.H264Profile.MAIN, this.hap.H264Profile.HIGH],
+            levels: [this.hap.H264Level.LEVEL3_1, this.hap.H264Level.LEVEL3_2, this.hap.H264Level.LEVEL4_0]
+          },
+          resolutions: this._getSupportedResolutions()
+        },
+        audio: {
+          twoWayAudio: false,
+          codecs: [{
+            type: this.hap.AudioStreamingCodecType.AAC_ELD,
+            samplerate: this.hap.AudioStreamingSamplerate.KHZ_16
+          }]
+        }
+      }
+    };
+  }
+
+  _getSupportedResolutions() {
+    const resolutions = [
+      [320, 180, 30],
+      [320, 240, 15],
+      [320, 240, 30],
+      [480, 270, 30],
+      [480, 360, 30],
+      [640, 360, 30],
+      [640, 480, 30],
+      [1280, 720, 30],
+      [1280, 960, 30],
+      [1920, 1080, 30],
+      [1600, 1200, 30]
+    ];
+    return resolutions
+      .filter(res => res[0] <= this.maxWidth && res[1] <= this.maxHeight)
+      .map(res => [res[0], res[1], Math.min(res[2], this.maxFps)]);
+  }
+
+  _prepareInput(input) {
+    if (!input || input.length === 0) {
+      return null;
+    }
+    // allow to specify just the url, in that case add the input option
+    if (!input.trim().startsWith('-')) {
+      input = `-i ${input.trim()}`;
+    }
+    return input.trim().split(/\s+/);
+  }
+
+  // the return socket has to use the same address family as the HomeKit controller
+  _createReturnSocket(isIpv6) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(isIpv6 ? 'udp6' : 'udp4');
+      socket.once('error', reject);
+      socket.bind(0, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (err) => {
+          this.logger.debug(`[Camera] Return socket error: ${err}`);
+        });
+        resolve(socket);
+      });
+    });
+  }
+
+  // ipv6 addresses have to be enclosed in brackets in the url
+  _getUrlHost(sessionInfo) {
+    return sessionInfo.isIpv6 ? `[${sessionInfo.address}]` : sessionInfo.address;
+  }
+
+  _closeSockets(sessionInfo) {
+    [sessionInfo.videoReturnSocket, sessionInfo.audioReturnSocket].forEach((socket) => {
+      if (socket) {
+        try {
+          socket.close();
+        } catch (err) {
+          // already closed
+        }
+      }
+    });
+  }
+
+
+}
+
+module.exports = CameraStreamingDelegate;
@@ -4,5 +4,6 @@ module.exports = {
   BATTERY_LOW_THRESHOLD: 20, // percentage
   FILTER_CHANGE_INDICATION_THRESHOLD: 5, // percentage
   BUTTON_RESET_TIMEOUT: 100, // in milliseconds
+  EVENT_TRIGGER_PULSE_DURATION: 5000, // in milliseconds
   SLIDER_DEBOUNCE: 500 // in milliseconds
 };
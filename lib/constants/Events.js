@@ -2,13 +2,20 @@ module.exports = {
   MIOT_DEVICE_IDENTIFIED: 'miotDeviceIdentified',
   MIOT_DEVICE_CONNECTED: 'miotDeviceConnected',
   MIOT_DEVICE_DISCONNECTED: 'miotDeviceDisconnected',
+  MIOT_DEVICE_IP_CHANGED: 'miotDeviceIpChanged',
   MIOT_DEVICE_SPEC_FETCHED: 'miotDeviceSpecFetched',
   MIOT_DEVICE_INITIAL_PROPERTY_FETCH_DONE: 'miotDeviceInitialPropertyFetchDone',
   MIOT_DEVICE_PROPERTY_VALUE_UPDATED: 'miotDevicePropertyValueUpdated',
   MIOT_DEVICE_PROPERTY_VALUE_SET: 'miotDevicePropertyValueSet',
   MIOT_DEVICE_ACTION_EXECUTED: 'miotDeviceActionExecuted',
   MIOT_DEVICE_METHOD_EXECUTED: 'miotDeviceMethodExecuted',
+  MIOT_DEVICE_EVENT_OCCURRED: 'miotDeviceEventOccurred',
   MIOT_DEVICE_ALL_PROPERTIES_UPDATED: 'miotDeviceAllPropertiesUpdated',
+  MIOT_DEVICE_PROPERTIES_UPDATED: 'miotDevicePropertiesUpdated',
+  MIIO_DEVICE_DISCOVERED: 'miioDeviceDiscovered',
+  MIIO_DEVICE_EVENT_OCCURRED: 'miioDeviceEventOccurred',
   PROP_VALUE_CHANGED: 'propValueChanged',
-  ACTION_EXECUTED: 'actionExecuted'
+  ENERGY_COUNTER_RESET: 'energyCounterReset',
+  ACTION_EXECUTED: 'actionExecuted',
+  EVENT_OCCURRED: 'eventOccurred'
 };
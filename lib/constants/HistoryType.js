@@ -0,0 +1,6 @@
+module.exports = {
+  WEATHER: 'weather', // temperature and humidity
+  ROOM: 'room', // temperature, humidity and air quality in ppm
+  ENERGY: 'energy', // power consumption
+  THERMO: 'thermo' // current and target temperature
+};
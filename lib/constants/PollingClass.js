@@ -0,0 +1,6 @@
+module.exports = {
+  FAST: 'fast', // state which should be reflected quickly, polled with a third of the polling interval
+  NORMAL: 'normal', // polled with the polling interval
+  SLOW: 'slow', // counters and consumables, polled with ten times the polling interval
+  ON_DEMAND: 'on-demand' // only fetched on the initial property fetch and on manual polls
+};
@@ -40,6 +40,27 @@ const lookupByName = (operatorName) => {
   return ALL_OPERATORS.EQUAL.type;
 }
 
+// checks whether the value matches the specified value using the operator
+const checkValue = (operator, value, fixedValue) => {
+  if (operator === ALL_OPERATORS.LESS.type) {
+    return value < fixedValue;
+  } else if (operator === ALL_OPERATORS.GREATER.type) {
+    return value > fixedValue;
+  } else if (operator === ALL_OPERATORS.LESS_OR_EQUAL.type) {
+    return value <= fixedValue;
+  } else if (operator === ALL_OPERATORS.GREATER_OR_EQUAL.type) {
+    return value >= fixedValue;
+  } else if (operator === ALL_OPERATORS.CONTAINS.type) {
+    if (fixedValue != null && value != null && Array.isArray(fixedValue)) {
+      return fixedValue.includes(value);
+    }
+    return value === fixedValue;
+  }
+
+  //equal operator
+  return value === fixedValue;
+}
+
 module.exports.EQUAL = ALL_OPERATORS.EQUAL.type;
 module.exports.LESS = ALL_OPERATORS.LESS.type;
 module.exports.GREATER = ALL_OPERATORS.GREATER.type;
@@ -47,3 +68,4 @@ module.exports.LESS_OR_EQUAL = ALL_OPERATORS.LESS_OR_EQUAL.type;
 module.exports.GREATER_OR_EQUAL = ALL_OPERATORS.GREATER_OR_EQUAL.type;
 module.exports.CONTAINS = ALL_OPERATORS.CONTAINS.type;
 module.exports.lookupByName = lookupByName;
+module.exports.checkValue = checkValue;
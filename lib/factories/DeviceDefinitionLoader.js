@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const DevTypes = require('../constants/DevTypes.js');
+const PollingClass = require('../constants/PollingClass.js');
+const Errors = require('../utils/Errors.js');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const UNSUPPORTED_PARENT_TYPES = [DevTypes.UNKNOWN, DevTypes.CUSTOM, DevTypes.GENERIC];
+
+
+// builds device classes from declarative definitions, so a new model can be added by dropping a definition file into the definitions directory
+// the definition contains the parent module type, the miot spec subset used by the device and value overrides, example:
+// {
+//   "model": "zhimi.fan.za5",
+//   "type": "Fan",
+//   "name": "Smartmi Standing Fan 3",
+//   "specUrl": "https://miot-spec.org/miot-spec-v2/instance?type=urn:miot-spec-v2:device:fan:0000A005:zhimi-za5:4",
+//   "requiresMiCloud": false,
+//   "propertiesToMonitor": ["fan:on", "fan:fan-level"],
+//   "services": [{ "siid": 2, "type": "urn:miot-spec-v2:service:fan:00007808:zhimi-za5:1", "description": "Fan" }],
+//   "properties": {
+//     "fan:on": { "siid": 2, "piid": 1, "type": "urn:miot-spec-v2:property:on:00000006:zhimi-za5:1", "description": "Switch Status", "format": "bool", "access": ["read", "write", "notify"] }
+//   },
+//   "actions": {},
+//   "events": {},
+//   "pollingClasses": { "fan:off-delay": "slow" },
+//   "values": { "straightWindModeValue": 1 }
+// }
+// type - the device type of the parent module, for example Fan, AirPurifier or Outlet
+// values - [optional] overrides the ...Value() methods of the parent module class
+class DeviceDefinitionLoader {
+
+  static async findDefinitionFile(definitionsDir, model) {
+    if (!definitionsDir || !model) {
+      return null;
+    }
+    for (const extension of DEFINITION_EXTENSIONS) {
+      const fileName = path.join(definitionsDir, model + extension);
+      try {
+        await fs.access(fileName);
+        return fileName;
+      } catch (err) {
+        // no definition with the extension
+      }
+    }
+    return null;
+  }
+
+  static async loadDefinition(fileName) {
+    const content = await fs.readFile(fileName, 'utf8');
+    try {
+      if (path.extname(fileName) === '.json') {
+        return JSON.parse(content);
+      }
+      // yaml support is only needed for yaml definitions, so load the parser lazily
+      const yaml = require('js-yaml');
+      return yaml.load(content);
+    } catch (err) {
+      throw new Errors.InvalidDeviceDefinition(fileName, [err.message]);
+    }
+  }
+
+  static createDeviceClass(definition, fileName) {
+    const parentClass = DeviceDefinitionLoader._getParentClass(definition ? definition.type : null);
+    DeviceDefinitionLoader.validateDefinition(definition, parentClass, fileName);
+
+    const services = definition.services;
+    const properties = definition.properties || {};
+    const actions = definition.actions || {};
+    const events = definition.events || {};
+    const propertiesToMonitor = definition.propertiesToMonitor || [];
+    const pollingClasses = definition.pollingClasses || {};
+
+    const DefinedDevice = class extends parentClass {
+
+      /*----------========== DEVICE INFO ==========----------*/
+
+      getDeviceName() {
+        return definition.name || super.getDeviceName();
+      }
+
+      getMiotSpecUrl() {
+        return definition.specUrl || super.getMiotSpecUrl();
+      }
+
+
+      /*----------========== CONFIG ==========----------*/
+
+      requiresMiCloud() {
+        return !!definition.requiresMiCloud;
+      }
+
+      devicePropertiesToMonitor() {
+        return propertiesToMonitor;
+      }
+
+      propertyPollingClasses() {
+        return {
+          ...super.propertyPollingClasses(),
+          ...pollingClasses
+        };
+      }
+
+
+      /*----------========== METADATA ==========----------*/
+
+      initDeviceServices() {
+        services.forEach(serviceSpec => this.createServiceBySpec(serviceSpec));
+      }
+
+      initDeviceProperties() {
+        Object.keys(properties).forEach(propName => this.addPropertyBySpec(propName, properties[propName]));
+      }
+
+      initDeviceActions() {
+        Object.keys(actions).forEach(actionName => this.addActionBySpec(actionName, actions[actionName]));
+      }
+
+      initDeviceEvents() {
+        Object.keys(events).forEach(eventName => this.addEventBySpec(eventName, events[eventName]));
+      }
+
+    };
+
+    // value overrides are plain values, wrap them so they replace the methods of the parent module
+    const values = definition.values || {};
+    Object.keys(values).forEach((valueName) => {
+      const value = values[valueName];
+      DefinedDevice.prototype[valueName] = function() {
+        return value;
+      };
+    });
+
+    return DefinedDevice;
+  }
+
+  // collects all problems of the definition, so they can be fixed at once
+  static validateDefinition(definition, parentClass, fileName) {
+    const problems = [];
+    const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+    const isId = (value) => Number.isInteger(value) && value > 0;
+
+    if (!isObject(definition)) {
+      throw new Errors.InvalidDeviceDefinition(fileName, ['The definition must be an object']);
+    }
+
+    if (typeof definition.model !== 'string' || definition.model.length === 0) {
+      problems.push(`Missing model`);
+    }
+    if (!parentClass) {
+      problems.push(`Unknown or unsupported device type ${definition.type}`);
+    }
+    if (definition.name !== undefined && typeof definition.name !== 'string') {
+      problems.push(`The name must be a string`);
+    }
+    if (definition.specUrl !== undefined && typeof definition.specUrl !== 'string') {
+      problems.push(`The specUrl must be a string`);
+    }
+    if (definition.requiresMiCloud !== undefined && typeof definition.requiresMiCloud !== 'boolean') {
+      problems.push(`The requiresMiCloud flag must be a boolean`);
+    }
+
+    // spec subset
+    const serviceIds = [];
+    if (!Array.isArray(definition.services) || definition.services.length === 0) {
+      problems.push(`At least one service is required`);
+    } else {
+      definition.services.forEach((serviceSpec, i) => {
+        if (!isObject(serviceSpec) || !isId(serviceSpec.siid) || typeof serviceSpec.type !== 'string') {
+          problems.push(`Service ${i} requires a siid and a type`);
+        } else {
+          serviceIds.push(serviceSpec.siid);
+        }
+      });
+    }
+
+    const validateEntries = (section, idField, validateEntry) => {
+      const entries = definition[section];
+      if (entries === undefined) {
+        return;
+      }
+      if (!isObject(entries)) {
+        problems.push(`The ${section} must be an object with the names as keys`);
+        return;
+      }
+      Object.keys(entries).forEach((entryName) => {
+        const spec = entries[entryName];
+        if (!isObject(spec) || !isId(spec.siid) || !isId(spec[idField])) {
+          problems.push(`${entryName} in ${section} requires a siid and a ${idField}`);
+          return;
+        }
+        if (!serviceIds.includes(spec.siid)) {
+          problems.push(`${entryName} in ${section} references the service ${spec.siid} which is not defined`);
+        }
+        if (validateEntry) {
+          validateEntry(entryName, spec);
+        }
+      });
+    };
+
+    validateEntries('properties', 'piid', (propName, propSpec) => {
+      if (typeof propSpec.format !== 'string') {
+        problems.push(`${propName} in properties requires a format`);
+      }
+      if (!Array.isArray(propSpec.access)) {
+        problems.push(`${propName} in properties requires an access list`);
+      }
+    });
+    validateEntries('actions', 'aiid');
+    validateEntries('events', 'eiid');
+
+    // config
+    const propNames = isObject(definition.properties) ? Object.keys(definition.properties) : [];
+    if (definition.propertiesToMonitor !== undefined) {
+      if (!Array.isArray(definition.propertiesToMonitor)) {
+        problems.push(`The propertiesToMonitor must be a list of property names`);
+      } else {
+        definition.propertiesToMonitor.filter(propName => !propNames.includes(propName)).forEach((propName) => {
+          problems.push(`Property ${propName} in propertiesToMonitor is not defined`);
+        });
+      }
+    }
+
+    if (definition.pollingClasses !== undefined) {
+      if (!isObject(definition.pollingClasses)) {
+        problems.push(`The pollingClasses must be an object with the property names as keys`);
+      } else {
+        const pollingClasses = Object.values(PollingClass);
+        Object.keys(definition.pollingClasses).forEach((propName) => {
+          if (!propNames.includes(propName)) {
+            problems.push(`Property ${propName} in pollingClasses is not defined`);
+          }
+          if (!pollingClasses.includes(definition.pollingClasses[propName])) {
+            problems.push(`Unknown polling class ${definition.pollingClasses[propName]} for ${propName}, valid are: ${pollingClasses.join(', ')}`);
+          }
+        });
+      }
+    }
+
+    // value overrides
+    if (definition.values !== undefined) {
+      if (!isObject(definition.values)) {
+        problems.push(`The values must be an object with the value method names as keys`);
+      } else if (parentClass) {
+        Object.keys(definition.values).forEach((valueName) => {
+          if (!valueName.endsWith('Value') || typeof parentClass.prototype[valueName] !== 'function') {
+            problems.push(`${valueName} is not a value of the ${definition.type} module`);
+          }
+        });
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Errors.InvalidDeviceDefinition(fileName, problems);
+    }
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  static _getParentClass(type) {
+    const devType = Object.values(DevTypes).find(devType => typeof devType === 'string' && devType === type);
+    if (!devType || UNSUPPORTED_PARENT_TYPES.includes(devType)) {
+      return null;
+    }
+    try {
+      return require(`../modules/${devType.toLowerCase()}/${devType}Device.js`);
+    } catch (err) {
+      return null;
+    }
+  }
+
+}
+
+module.exports = DeviceDefinitionLoader;
@@ -3,11 +3,19 @@ const DevTypes = require('../constants/DevTypes.js');
 const UnknownDevice = require('../modules/unknown/UnknownDevice.js');
 const CustomDevice = require('../modules/custom/CustomDevice.js');
 const GenericDevice = require('../modules/generic/GenericDevice.js');
+const DeviceDefinitionLoader = require('./DeviceDefinitionLoader.js');
+const UserDeviceClassLoader = require('./UserDeviceClassLoader.js');
+
+let userDevicesDir = null; // directory with user device classes, shared by all devices
 
 
 class DeviceFactory {
 
-  static async createDevice(miotDevice, specDir, name, isCustomAccessory, logger) {
+  static setUserDevicesDir(dir) {
+    userDevicesDir = dir || null;
+  }
+
+  static async createDevice(miotDevice, specDir, definitionsDir, name, isCustomAccessory, logger) {
     let deviceInstance = null;
 
     if (miotDevice && miotDevice.getModel()) {
@@ -18,7 +26,7 @@ class DeviceFactory {
       if (isCustomAccessory) {
         deviceClass = await DeviceFactory.getCustomDeviceClass(miotDevice, specDir, logger);
       } else {
-        deviceClass = await DeviceFactory.getDeviceClass(miotDevice, specDir, logger);
+        deviceClass = await DeviceFactory.getDeviceClass(miotDevice, specDir, definitionsDir, logger);
       }
 
       if (deviceClass) {
@@ -33,12 +41,20 @@ class DeviceFactory {
     return deviceInstance;
   }
 
-  static async getDeviceClass(miotDevice, specDir, logger) {
+  static async getDeviceClass(miotDevice, specDir, definitionsDir, logger) {
     let deviceClass = null;
 
+    // try to find a device definition, user definitions take precedence over the built-in device classes
+    deviceClass = await DeviceFactory.getDefinedDeviceClass(miotDevice, definitionsDir, logger);
+
+    // try to find a user device class, for example one created by the device class generator
+    if (!deviceClass) {
+      deviceClass = await DeviceFactory.getUserDeviceClass(miotDevice, logger);
+    }
+
     // try to find device specific class
     const modulesList = await fs.readdir(__dirname + "/../modules/");
-    if (modulesList) {
+    if (!deviceClass && modulesList) {
       modulesList.some((devModule) => {
         let devicePath = `../modules/${devModule}/devices/${miotDevice.getModel()}.js`
         try {
@@ -87,6 +103,53 @@ class DeviceFactory {
     return deviceClass;
   }
 
+  static async getDefinedDeviceClass(miotDevice, definitionsDir, logger) {
+    const fileName = await DeviceDefinitionLoader.findDefinitionFile(definitionsDir, miotDevice.getModel());
+    if (!fileName) {
+      logger.deepDebug(`No device definition found for ${miotDevice.getModel()} in ${definitionsDir}`);
+      return null;
+    }
+
+    try {
+      const definition = await DeviceDefinitionLoader.loadDefinition(fileName);
+      if (definition && definition.model !== miotDevice.getModel()) {
+        logger.warn(`The device definition ${fileName} is for the model ${definition.model} but the device is a ${miotDevice.getModel()}! Ignoring the definition!`);
+        return null;
+      }
+      const deviceClass = DeviceDefinitionLoader.createDeviceClass(definition, fileName);
+      logger.info(`Using the device definition at ${fileName}!`);
+      return deviceClass;
+    } catch (err) {
+      logger.error(err.message);
+      logger.warn(`Ignoring the device definition! Falling back to the built-in device classes!`);
+      logger.debug(err.stack);
+    }
+    return null;
+  }
+
+  static async getUserDeviceClass(miotDevice, logger) {
+    const fileName = await UserDeviceClassLoader.findDeviceClassFile(userDevicesDir, miotDevice.getModel());
+    if (!fileName) {
+      logger.deepDebug(`No user device class found for ${miotDevice.getModel()} in ${userDevicesDir}`);
+      return null;
+    }
+
+    try {
+      const {
+        deviceClass,
+        warnings
+      } = await UserDeviceClassLoader.loadDeviceClass(fileName);
+      warnings.forEach(warning => logger.warn(`User device class ${fileName}: ${warning}!`));
+      logger.info(`Using the user device class at ${fileName}!`);
+      return deviceClass;
+    } catch (err) {
+      logger.error(err.message);
+      logger.warn(`Ignoring the user device class! Falling back to the built-in device classes!`);
+      logger.debug(err.stack);
+    }
+    return null;
+  }
+
   static async getCustomDeviceClass(miotDevice, specDir, logger) {
     logger.debug(`Custom accessory requires miot spec! Trying to fetch...`);
     try {
@@ -134,7 +197,7 @@ class DeviceFactory {
           miotDevice.setMiotSpec(JSON.parse(cachedMiotSpec));
         }
       } catch (err) {
-        logger.debug('No cached miot spec found! Trying to fetch from https://miot-spec.org/');
+        logger.debug('No cached miot spec found! Trying the spec catalog or https://miot-spec.org/');
       }
     }
   }
@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const Module = require('module');
+const DevTypes = require('../constants/DevTypes.js');
+const AbstractDevice = require('../base/AbstractDevice.js');
+const Errors = require('../utils/Errors.js');
+
+const MODULES_DIR = path.join(__dirname, '..', 'modules');
+const UNSUPPORTED_PARENT_TYPES = [DevTypes.UNKNOWN, DevTypes.CUSTOM];
+const OVERRIDE_METHOD_SUFFIXES = ['Prop', 'Value', 'Action'];
+
+
+// loads device classes from a user directory, for example the classes created by the MiotSpecClassGenerator
+// the classes are resolved as if they were placed in lib/modules/<module>/devices/, so the relative requires of the generated classes work
+// the file is read and compiled on every load, so changes are picked up with a restart and no require cache needs to be cleared
+class UserDeviceClassLoader {
+
+  static async findDeviceClassFile(userDevicesDir, model) {
+    if (!userDevicesDir || !model) {
+      return null;
+    }
+    const fileName = path.join(userDevicesDir, model + '.js');
+    try {
+      await fs.access(fileName);
+      return fileName;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  static async loadDeviceClass(fileName) {
+    const source = await fs.readFile(fileName, 'utf8');
+    const userModule = {
+      exports: {}
+    };
+    try {
+      const moduleFn = vm.runInThisContext(Module.wrap(source), {
+        filename: fileName
+      });
+      moduleFn.call(userModule.exports, userModule.exports, UserDeviceClassLoader._createRequire(fileName), userModule, fileName, path.dirname(fileName));
+    } catch (err) {
+      throw new Errors.InvalidDeviceClass(fileName, [err.message]);
+    }
+    const deviceClass = userModule.exports;
+    const warnings = UserDeviceClassLoader.validateDeviceClass(deviceClass, fileName);
+    return {
+      deviceClass,
+      warnings
+    };
+  }
+
+  // makes sure the class extends a module class, returns warnings for props, values and actions which the module does not expect
+  // those are not fatal since a class might use them internally, but usually they are typos and the method is never called
+  static validateDeviceClass(deviceClass, fileName) {
+    if (typeof deviceClass !== 'function' || !(deviceClass.prototype instanceof AbstractDevice)) {
+      throw new Errors.InvalidDeviceClass(fileName, ['The file must export a device class']);
+    }
+
+    const problems = [];
+    const warnings = [];
+    const parentClass = UserDeviceClassLoader._findParentModuleClass(deviceClass);
+    if (!parentClass) {
+      problems.push(`The device class must extend one of the module device classes, for example FanDevice`);
+    } else {
+      UserDeviceClassLoader._getOwnMethodNames(deviceClass, parentClass).forEach((methodName) => {
+        const isOverride = OVERRIDE_METHOD_SUFFIXES.some(suffix => methodName.endsWith(suffix));
+        if (isOverride && typeof parentClass.prototype[methodName] !== 'function') {
+          warnings.push(`${methodName} is not a method of the ${parentClass.name} and is not called by the module`);
+        }
+      });
+    }
+
+    if (deviceClass.prototype.initDeviceProperties === AbstractDevice.prototype.initDeviceProperties) {
+      problems.push(`The device class does not define any properties, initDeviceProperties is missing`);
+    }
+
+    if (problems.length > 0) {
+      throw new Errors.InvalidDeviceClass(fileName, problems);
+    }
+    return warnings;
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  // relative requires are resolved next to the file first, then from the module directories of the plugin
+  static _createRequire(fileName) {
+    const fileRequire = Module.createRequire(fileName);
+    return (request) => {
+      if (!request.startsWith('.')) {
+        return require(request);
+      }
+      try {
+        return fileRequire(request);
+      } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') {
+          throw err;
+        }
+      }
+      const devicesDir = UserDeviceClassLoader._findModuleDevicesDir(request);
+      if (!devicesDir) {
+        throw new Error(`Cannot find module '${request}' required by ${fileName}`);
+      }
+      return require(path.resolve(devicesDir, request));
+    };
+  }
+
+  static _findModuleDevicesDir(request) {
+    return UserDeviceClassLoader._getModuleDevTypes().map(devType => path.join(MODULES_DIR, devType.toLowerCase(), 'devices')).find((devicesDir) => {
+      try {
+        require.resolve(path.resolve(devicesDir, request));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+
+  static _findParentModuleClass(deviceClass) {
+    const moduleClasses = UserDeviceClassLoader._getModuleDevTypes().map((devType) => {
+      try {
+        return require(path.join(MODULES_DIR, devType.toLowerCase(), `${devType}Device.js`));
+      } catch (err) {
+        return null;
+      }
+    }).filter(moduleClass => !!moduleClass);
+
+    let currentClass = Object.getPrototypeOf(deviceClass);
+    while (currentClass && currentClass !== AbstractDevice) {
+      if (moduleClasses.includes(currentClass)) {
+        return currentClass;
+      }
+      currentClass = Object.getPrototypeOf(currentClass);
+    }
+    return null;
+  }
+
+  // the methods declared by the user class and its own base classes, up to the module class
+  static _getOwnMethodNames(deviceClass, parentClass) {
+    const methodNames = new Set();
+    let currentClass = deviceClass;
+    while (currentClass && currentClass !== parentClass) {
+      Object.getOwnPropertyNames(currentClass.prototype).filter(name => name !== 'constructor').forEach(name => methodNames.add(name));
+      currentClass = Object.getPrototypeOf(currentClass);
+    }
+    return [...methodNames];
+  }
+
+  static _getModuleDevTypes() {
+    return Object.values(DevTypes).filter(devType => typeof devType === 'string' && !UNSUPPORTED_PARENT_TYPES.includes(devType));
+  }
+
+}
+
+module.exports = UserDeviceClassLoader;
@@ -0,0 +1,88 @@
+const EventEmitter = require('events');
+const Constants = require('../constants/Constants.js');
+const Events = require('../constants/Events.js');
+
+const MAX_SAMPLE_GAP_POLLS = 4; // power is not integrated over gaps longer than this number of polling intervals since polls were most likely missed
+
+
+// integrates the power reported on every poll into a total energy consumption in kWh
+// the total is serializable, so it can be persisted and restored on the next start
+class EnergyCounter extends EventEmitter {
+  constructor() {
+    super();
+    this.totalConsumption = 0; // in kWh
+    this.resetTime = Date.now();
+    this.lastSample = null;
+    this.maxSampleGap = Constants.DEFAULT_POLLING_INTERVAL * MAX_SAMPLE_GAP_POLLS;
+  }
+
+
+  /*----------========== SETUP ==========----------*/
+
+  setPollingInterval(pollingInterval) {
+    this.maxSampleGap = pollingInterval * MAX_SAMPLE_GAP_POLLS;
+  }
+
+
+  /*----------========== RECORDING ==========----------*/
+
+  // the power of the previous sample was drawn until now, so the energy is the previous power times the elapsed time
+  addPowerSample(power, time = Date.now()) {
+    const value = parseFloat(power);
+    if (isNaN(value) || value < 0) {
+      return;
+    }
+    if (this.lastSample && time > this.lastSample.time && time - this.lastSample.time <= this.maxSampleGap) {
+      const hours = (time - this.lastSample.time) / 3600000;
+      this.totalConsumption += this.lastSample.power * hours / 1000;
+    }
+    this.lastSample = {
+      power: value,
+      time
+    };
+  }
+
+  // the power drawn while the device was not reachable is unknown, so the next sample starts a new integration
+  clearLastSample() {
+    this.lastSample = null;
+  }
+
+  getTotalConsumption() {
+    return Math.round(this.totalConsumption * 1000) / 1000;
+  }
+
+  getResetTime() {
+    return this.resetTime;
+  }
+
+  reset(resetTime = Date.now()) {
+    this.totalConsumption = 0;
+    this.resetTime = resetTime;
+    this.emit(Events.ENERGY_COUNTER_RESET, this);
+  }
+
+
+  /*----------========== PERSISTENCE ==========----------*/
+
+  // the last sample is also persisted, so a short restart is integrated with the power before the restart
+  getData() {
+    return {
+      totalConsumption: this.totalConsumption,
+      resetTime: this.resetTime,
+      lastSample: this.lastSample
+    };
+  }
+
+  restore(data) {
+    if (!data || typeof data.totalConsumption !== 'number') {
+      return false;
+    }
+    this.totalConsumption = data.totalConsumption;
+    this.resetTime = data.resetTime || this.resetTime;
+    this.lastSample = data.lastSample || null;
+    return true;
+  }
+
+}
+
+module.exports = EnergyCounter;
@@ -0,0 +1,87 @@
+const EveHistory = require('./EveHistory.js');
+
+const EVE_UUID_SUFFIX = '-079E-48FF-8F27-9C2605A29F52';
+const POWER_UUID = 'E863F10D' + EVE_UUID_SUFFIX;
+const VOLTAGE_UUID = 'E863F10A' + EVE_UUID_SUFFIX;
+const ELECTRIC_CURRENT_UUID = 'E863F126' + EVE_UUID_SUFFIX;
+const TOTAL_CONSUMPTION_UUID = 'E863F10C' + EVE_UUID_SUFFIX;
+const RESET_TOTAL_UUID = 'E863F112' + EVE_UUID_SUFFIX;
+
+
+// the eve energy characteristics, the home app does not show them but the eve app does
+class EveEnergyCharacteristics {
+  constructor(service, energyCounter, api, logger) {
+    this.service = service;
+    this.energyCounter = energyCounter;
+    this.api = api;
+    this.logger = logger;
+
+    this.valueGetters = [];
+
+    this.totalConsumptionCharacteristic = this._addCharacteristic('Total Consumption', TOTAL_CONSUMPTION_UUID, 'kWh', 0.001,
+      () => this.energyCounter.getTotalConsumption());
+
+    // eve resets the total with the current time in seconds from 2001-01-01
+    this.service.addCharacteristic(new this.api.hap.Characteristic('Reset Total', RESET_TOTAL_UUID, {
+        format: this.api.hap.Formats.UINT32,
+        perms: [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.PAIRED_WRITE, this.api.hap.Perms.NOTIFY]
+      }))
+      .onGet(() => Math.max(EveHistory.toEveTime(this.energyCounter.getResetTime()), 0))
+      .onSet((value) => {
+        this.logger.info(`Resetting the total energy consumption!`);
+        this.energyCounter.reset(EveHistory.fromEveTime(value));
+        this.totalConsumptionCharacteristic.updateValue(this.energyCounter.getTotalConsumption());
+      });
+  }
+
+
+  /*----------========== PUBLIC ==========----------*/
+
+  addPowerCharacteristic(getter) {
+    this._addCharacteristic('Consumption', POWER_UUID, 'W', 0.1, getter);
+  }
+
+  addVoltageCharacteristic(getter) {
+    this._addCharacteristic('Voltage', VOLTAGE_UUID, 'V', 0.1, getter);
+  }
+
+  addElectricCurrentCharacteristic(getter) {
+    this._addCharacteristic('Electric Current', ELECTRIC_CURRENT_UUID, 'A', 0.01, getter);
+  }
+
+  updateValues() {
+    this.valueGetters.forEach(({
+      characteristic,
+      getter
+    }) => {
+      characteristic.updateValue(getter());
+    });
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _addCharacteristic(name, uuid, unit, minStep, getter) {
+    const valueGetter = () => {
+      const value = parseFloat(getter());
+      return isNaN(value) ? 0 : Math.max(value, 0);
+    };
+    const characteristic = this.service.addCharacteristic(new this.api.hap.Characteristic(name, uuid, {
+        format: this.api.hap.Formats.FLOAT,
+        unit: unit,
+        minValue: 0,
+        maxValue: 1000000000,
+        minStep: minStep,
+        perms: [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.NOTIFY]
+      }))
+      .onGet(valueGetter);
+    this.valueGetters.push({
+      characteristic,
+      getter: valueGetter
+    });
+    return characteristic;
+  }
+
+}
+
+module.exports = EveEnergyCharacteristics;
@@ -0,0 +1,281 @@
+const HistoryType = require('../constants/HistoryType.js');
+
+const EPOCH_OFFSET = 978307200; // in seconds, eve counts the time from 2001-01-01
+const HISTORY_INTERVAL = 600000; // in milliseconds, eve devices also write one entry every 10 minutes
+const DEFAULT_MEMORY_SIZE = 4032; // four weeks of entries
+const ENTRIES_PER_READ = 11;
+
+// the signature describes the values of an entry to the eve app, the mask which of them are set
+const TYPE_FORMATS = {
+  [HistoryType.WEATHER]: {
+    signature: '03010202020302',
+    mask: 0x07
+  },
+  [HistoryType.ROOM]: {
+    signature: '040102020204020f03',
+    mask: 0x0f
+  },
+  [HistoryType.ENERGY]: {
+    signature: '040102020207020f03',
+    mask: 0x1f
+  },
+  [HistoryType.THERMO]: {
+    signature: '0501021102100112011d01',
+    mask: 0x1f
+  }
+};
+
+
+// records samples into a ring buffer of history entries and encodes them for the eve history service
+// based on the eve history protocol: https://github.com/simont77/fakegato-history/wiki/Services-and-characteristics-for-Elgato-Eve-devices
+// the recorded history is serializable, so it can be persisted and restored on the next start
+class EveHistory {
+  constructor(type, logger, memorySize = DEFAULT_MEMORY_SIZE) {
+    if (!TYPE_FORMATS[type]) {
+      throw new Error(`Unknown history type ${type}!`);
+    }
+
+    this.type = type;
+    this.logger = logger;
+    this.memorySize = memorySize;
+
+    // ring buffer, the first entry is a reference time entry
+    this.refTime = null; // in seconds from 2001-01-01
+    this.firstEntry = 0; // number of entries which were dropped from the ring buffer
+    this.entries = [];
+
+    // samples of the current interval
+    this.intervalStart = null;
+    this.sampleSums = {};
+    this.sampleCounts = {};
+
+    // transfer to the eve app
+    this.currentEntry = 1;
+    this.transfer = false;
+  }
+
+
+  /*----------========== RECORDING ==========----------*/
+
+  // adds a sample, returns true when a new history entry was written
+  addSample(sample, time = Date.now()) {
+    const values = this._getValidValues(sample);
+    if (Object.keys(values).length === 0) {
+      return false;
+    }
+
+    if (this.refTime === null) {
+      this.refTime = EveHistory.toEveTime(time);
+      this._pushEntry({
+        time: this._toSeconds(time),
+        ref: true
+      });
+    }
+
+    Object.keys(values).forEach((key) => {
+      this.sampleSums[key] = (this.sampleSums[key] || 0) + values[key];
+      this.sampleCounts[key] = (this.sampleCounts[key] || 0) + 1;
+    });
+
+    if (this.intervalStart === null) {
+      this.intervalStart = time;
+    }
+
+    if (time - this.intervalStart >= HISTORY_INTERVAL) {
+      const entry = {
+        time: this._toSeconds(time)
+      };
+      Object.keys(this.sampleSums).forEach((key) => {
+        entry[key] = this.sampleSums[key] / this.sampleCounts[key];
+      });
+      this._pushEntry(entry);
+      this.sampleSums = {};
+      this.sampleCounts = {};
+      this.intervalStart = time;
+      return true;
+    }
+    return false;
+  }
+
+
+  /*----------========== TIME ==========----------*/
+
+  // converts a unix time in milliseconds to the seconds since 2001-01-01 which are used by eve
+  static toEveTime(time) {
+    return Math.floor(time / 1000) - EPOCH_OFFSET;
+  }
+
+  static fromEveTime(eveTime) {
+    return (eveTime + EPOCH_OFFSET) * 1000;
+  }
+
+
+  /*----------========== EVE PROTOCOL ==========----------*/
+
+  // S2R1
+  getHistoryStatus() {
+    const lastEntry = this.entries[this.entries.length - 1];
+    const signature = Buffer.from(TYPE_FORMATS[this.type].signature, 'hex');
+    const status = Buffer.alloc(12 + signature.length + 14);
+    let offset = 0;
+    offset = status.writeUInt32LE(lastEntry ? this._getTimeOffset(lastEntry) : 0, offset);
+    offset = status.writeUInt32LE(0, offset);
+    offset = status.writeUInt32LE(this.refTime || 0, offset);
+    offset += signature.copy(status, offset);
+    offset = status.writeUInt16LE(Math.min(this.entries.length, this.memorySize), offset);
+    offset = status.writeUInt16LE(this.memorySize, offset);
+    offset = status.writeUInt32LE(this.firstEntry, offset);
+    offset = status.writeUInt32LE(0, offset);
+    status.writeUInt16LE(0x0101, offset);
+    return status;
+  }
+
+  // S2W1, the eve app requests the entries starting at the specified entry
+  requestEntries(request) {
+    const entry = request && request.length >= 6 ? request.readUInt32LE(2) : 0;
+    this.currentEntry = Math.max(entry, this.firstEntry + 1);
+    this.transfer = true;
+    this.logger.deepDebug(`[EveHistory] Requested history entries starting at ${entry}`);
+  }
+
+  // S2R2, returns the next entries of the requested transfer
+  getNextEntries() {
+    const lastEntry = this.firstEntry + this.entries.length;
+    if (!this.transfer || this.currentEntry > lastEntry) {
+      this.transfer = false;
+      return Buffer.from([0x00]);
+    }
+
+    const buffers = [];
+    for (let i = 0; i < ENTRIES_PER_READ && this.currentEntry <= lastEntry; i++) {
+      const entry = this.entries[this.currentEntry - this.firstEntry - 1];
+      // after a roll over the oldest entry becomes the new reference time entry
+      if (entry.ref || this.currentEntry === this.firstEntry + 1) {
+        buffers.push(this._encodeRefTimeEntry(this.currentEntry));
+      } else {
+        buffers.push(this._encodeEntry(this.currentEntry, entry));
+      }
+      this.currentEntry++;
+    }
+    return Buffer.concat(buffers);
+  }
+
+
+  /*----------========== PERSISTENCE ==========----------*/
+
+  getData() {
+    return {
+      type: this.type,
+      refTime: this.refTime,
+      firstEntry: this.firstEntry,
+      entries: this.entries
+    };
+  }
+
+  restore(data) {
+    if (!data || data.type !== this.type || !Array.isArray(data.entries)) {
+      return false;
+    }
+    this.refTime = data.refTime;
+    this.firstEntry = data.firstEntry || 0;
+    this.entries = data.entries.slice(-this.memorySize);
+    this.firstEntry += data.entries.length - this.entries.length;
+    return true;
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _pushEntry(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.memorySize) {
+      this.entries.shift();
+      this.firstEntry++;
+    }
+  }
+
+  _getValidValues(sample) {
+    const values = {};
+    Object.keys(sample || {}).forEach((key) => {
+      const value = parseFloat(sample[key]);
+      if (!isNaN(value)) {
+        values[key] = value;
+      }
+    });
+    return values;
+  }
+
+  _encodeRefTimeEntry(entryNumber) {
+    const buffer = Buffer.alloc(21);
+    buffer.writeUInt8(21, 0);
+    buffer.writeUInt32LE(entryNumber, 1);
+    buffer.writeUInt32LE(0x01, 5);
+    buffer.writeUInt8(0x81, 9);
+    buffer.writeUInt32LE(this.refTime, 10);
+    return buffer;
+  }
+
+  _encodeEntry(entryNumber, entry) {
+    const values = this._encodeValues(entry);
+    const buffer = Buffer.alloc(10 + values.length);
+    buffer.writeUInt8(buffer.length, 0);
+    buffer.writeUInt32LE(entryNumber, 1);
+    buffer.writeUInt32LE(this._getTimeOffset(entry), 5);
+    buffer.writeUInt8(TYPE_FORMATS[this.type].mask, 9);
+    values.copy(buffer, 10);
+    return buffer;
+  }
+
+  _encodeValues(entry) {
+    let values = null;
+    switch (this.type) {
+      case HistoryType.WEATHER:
+        values = Buffer.alloc(6);
+        values.writeInt16LE(this._toInt16(entry.temp, 100), 0);
+        values.writeUInt16LE(this._toUInt16(entry.humidity, 100), 2);
+        values.writeUInt16LE(this._toUInt16(entry.pressure, 10), 4);
+        break;
+      case HistoryType.ROOM:
+        values = Buffer.alloc(9);
+        values.writeInt16LE(this._toInt16(entry.temp, 100), 0);
+        values.writeUInt16LE(this._toUInt16(entry.humidity, 100), 2);
+        values.writeUInt16LE(this._toUInt16(entry.ppm, 1), 4);
+        break;
+      case HistoryType.ENERGY:
+        values = Buffer.alloc(10);
+        values.writeUInt16LE(this._toUInt16(entry.power, 10), 4);
+        break;
+      case HistoryType.THERMO:
+        values = Buffer.alloc(7);
+        values.writeInt16LE(this._toInt16(entry.currentTemp, 100), 0);
+        values.writeInt16LE(this._toInt16(entry.setTemp, 100), 2);
+        values.writeUInt8(this._clamp(entry.valvePosition, 1, 0, 100), 4);
+        break;
+    }
+    return values;
+  }
+
+  // the values are stored as integers, so clamp them to prevent an overflow
+  _toInt16(value, multiplier) {
+    return this._clamp(value, multiplier, -32768, 32767);
+  }
+
+  _toUInt16(value, multiplier) {
+    return this._clamp(value, multiplier, 0, 65535);
+  }
+
+  _clamp(value, multiplier, min, max) {
+    return Math.min(Math.max(Math.round((value || 0) * multiplier), min), max);
+  }
+
+  _getTimeOffset(entry) {
+    return Math.max(entry.time - EPOCH_OFFSET - this.refTime, 0);
+  }
+
+  _toSeconds(time) {
+    return Math.floor(time / 1000);
+  }
+
+}
+
+module.exports = EveHistory;
@@ -0,0 +1,55 @@
+const EVE_UUID_SUFFIX = '-079E-48FF-8F27-9C2605A29F52';
+const HISTORY_SERVICE_UUID = 'E863F007' + EVE_UUID_SUFFIX;
+const HISTORY_STATUS_UUID = 'E863F116' + EVE_UUID_SUFFIX; // S2R1
+const HISTORY_ENTRIES_UUID = 'E863F117' + EVE_UUID_SUFFIX; // S2R2
+const HISTORY_REQUEST_UUID = 'E863F11C' + EVE_UUID_SUFFIX; // S2W1
+const HISTORY_SET_TIME_UUID = 'E863F121' + EVE_UUID_SUFFIX; // S2W2
+
+
+// the eve history service, it is hidden from the home app and only used by the eve app
+class EveHistoryService {
+  constructor(history, api, logger) {
+    this.history = history;
+    this.api = api;
+    this.logger = logger;
+
+    this.historyService = new this.api.hap.Service('History', HISTORY_SERVICE_UUID, 'historyService');
+
+    this.historyService.addCharacteristic(this._createCharacteristic('S2R1', HISTORY_STATUS_UUID, false))
+      .onGet(() => this.history.getHistoryStatus().toString('base64'));
+
+    this.historyService.addCharacteristic(this._createCharacteristic('S2R2', HISTORY_ENTRIES_UUID, false))
+      .onGet(() => this.history.getNextEntries().toString('base64'));
+
+    this.historyService.addCharacteristic(this._createCharacteristic('S2W1', HISTORY_REQUEST_UUID, true))
+      .onSet((value) => this.history.requestEntries(Buffer.from(value, 'base64')));
+
+    // the eve app sends its current time, not needed since the entries use the time of the plugin
+    this.historyService.addCharacteristic(this._createCharacteristic('S2W2', HISTORY_SET_TIME_UUID, true))
+      .onSet(() => {});
+  }
+
+
+  /*----------========== PUBLIC ==========----------*/
+
+  getService() {
+    return this.historyService;
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _createCharacteristic(name, uuid, writable) {
+    const perms = [this.api.hap.Perms.PAIRED_READ, this.api.hap.Perms.NOTIFY, this.api.hap.Perms.HIDDEN];
+    if (writable) {
+      perms.push(this.api.hap.Perms.PAIRED_WRITE);
+    }
+    return new this.api.hap.Characteristic(name, uuid, {
+      format: this.api.hap.Formats.DATA,
+      perms: perms
+    });
+  }
+
+}
+
+module.exports = EveHistoryService;
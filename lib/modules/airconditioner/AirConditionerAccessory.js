@@ -125,7 +125,7 @@ class AirConditionerAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getHeaterCoolerActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -134,14 +134,14 @@ class AirConditionerAccessory extends BaseAccessory {
   setHeaterCoolerActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentHeaterCoolerState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isHeating()) return Characteristic.CurrentHeaterCoolerState.HEATING;
       if (this.getDevice().isCooling()) return Characteristic.CurrentHeaterCoolerState.COOLING;
       return Characteristic.CurrentHeaterCoolerState.IDLE;
@@ -168,7 +168,7 @@ class AirConditionerAccessory extends BaseAccessory {
   }
 
   getCurrentTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().supportsTemperatureReporting()) {
         return this.getDevice().getTemperature();
       } else {
@@ -179,7 +179,7 @@ class AirConditionerAccessory extends BaseAccessory {
   }
 
   getHeatingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -187,14 +187,14 @@ class AirConditionerAccessory extends BaseAccessory {
 
   setHeatingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCoolingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -202,14 +202,14 @@ class AirConditionerAccessory extends BaseAccessory {
 
   setCoolingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getSwingModeState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isVerticalSwingEnabled() ? Characteristic.SwingMode.SWING_ENABLED : Characteristic.SwingMode.SWING_DISABLED;
     }
     return Characteristic.SwingMode.SWING_DISABLED;
@@ -218,7 +218,7 @@ class AirConditionerAccessory extends BaseAccessory {
   setSwingModeState(state) {
     if (this.isMiotDeviceConnected()) {
       let isSwingModeActive = state === Characteristic.SwingMode.SWING_ENABLED;
-      this.getDevice().setVerticalSwingEnabled(isSwingModeActive);
+      return this.getDevice().setVerticalSwingEnabled(isSwingModeActive);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -74,7 +74,7 @@ class AirerAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isSwitchOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isAirerOn();
     }
     return false;
@@ -82,7 +82,7 @@ class AirerAccessory extends BaseAccessory {
 
   setSwitchOn(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setAirerOn(value);
+      return this.getDevice().setAirerOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
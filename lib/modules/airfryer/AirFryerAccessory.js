@@ -155,7 +155,7 @@ class AirFryerAccessory extends BaseAccessory {
 
   // switch service
   isAirFryerOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHeating();
     }
     return false;
@@ -163,7 +163,7 @@ class AirFryerAccessory extends BaseAccessory {
 
   setAirFryerOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setCookingActive(state);
+      return this.getDevice().setCookingActive(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -171,7 +171,7 @@ class AirFryerAccessory extends BaseAccessory {
 
   // heater service
   getAirFryerHeaterActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return Characteristic.Active.ACTIVE
     }
     return Characteristic.Active.INACTIVE;
@@ -191,7 +191,7 @@ class AirFryerAccessory extends BaseAccessory {
   }
 
   getCurrentAirFryerHeaterCoolerState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return Characteristic.CurrentHeaterCoolerState.HEATING;
     }
     return Characteristic.CurrentHeaterCoolerState.INACTIVE;
@@ -211,7 +211,7 @@ class AirFryerAccessory extends BaseAccessory {
   }
 
   getAirFryerCurrentTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isHeating()) {
         return this.getAirFryerHeatingThresholdTemperature();
       }
@@ -221,7 +221,7 @@ class AirFryerAccessory extends BaseAccessory {
   }
 
   getAirFryerHeatingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -229,14 +229,14 @@ class AirFryerAccessory extends BaseAccessory {
 
   setAirFryerHeatingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().supportsTemperatureReporting()) {
         return this.getDevice().getTemperature();
       } else {
@@ -250,7 +250,7 @@ class AirFryerAccessory extends BaseAccessory {
   // ----- additional services
 
   isTargetTimeOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return true;
     }
     return false;
@@ -270,7 +270,7 @@ class AirFryerAccessory extends BaseAccessory {
   }
 
   getTargetTimeBrightness() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return Math.min(this.getDevice().getTargetTime(), 100);
     }
     return 0;
@@ -280,7 +280,7 @@ class AirFryerAccessory extends BaseAccessory {
     if (this.isMiotDeviceConnected()) {
       // use debounce to limit the number of calls when the user slides the slider
       if (this.targetTimeTimeout) clearTimeout(this.targetTimeTimeout);
-      this.targetTimeTimeout = setTimeout(() => this.getDevice().setTargetTime(value), 500);
+      this.targetTimeTimeout = setTimeout(() => this.getDevice().setTargetTime(value).catch(() => {}), 500); // failure is logged by the device
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -2,6 +2,7 @@ let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
 const BaseAccessory = require('../../base/BaseAccessory.js');
 const Constants = require('../../constants/Constants.js');
 const DevTypes = require('../../constants/DevTypes.js');
+const HistoryType = require('../../constants/HistoryType.js');
 
 
 class AirMonitorAccessory extends BaseAccessory {
@@ -74,6 +75,23 @@ class AirMonitorAccessory extends BaseAccessory {
   /*----------========== GETTERS ==========----------*/
 
 
+  /*----------========== HISTORY ==========----------*/
+
+  getHistoryType() {
+    return HistoryType.ROOM;
+  }
+
+  // eve only records one air quality value, prefer the co2 density over the pm2.5 density
+  getHistorySample() {
+    const device = this.getDevice();
+    return {
+      temp: device.supportsTemperatureReporting() ? device.getTemperature() : null,
+      humidity: device.supportsRelativeHumidityReporting() ? device.getRelativeHumidity() : null,
+      ppm: device.supportsCo2DensityReporting() ? device.getCo2Density() : (device.supportsPm25DensityReporting() ? device.getPm25Density() : null)
+    };
+  }
+
+
   /*----------========== PROPERTY WRAPPERS ==========----------*/
 
 
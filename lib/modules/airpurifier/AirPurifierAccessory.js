@@ -98,7 +98,7 @@ class AirPurifierAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getAirPurifierActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -108,7 +108,7 @@ class AirPurifierAccessory extends BaseAccessory {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
       if (value === false || this.getDevice().isOn() === false) {
-        this.getDevice().setOn(value);
+        return this.getDevice().setOn(value);
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -116,7 +116,7 @@ class AirPurifierAccessory extends BaseAccessory {
   }
 
   getCurrentAirPurifierState() {
-    if (this.isMiotDeviceConnected() && this.getDevice().isOn()) {
+    if (this.isMiotDeviceStateAvailable() && this.getDevice().isOn()) {
       if (this.getDevice().isIdle()) {
         return Characteristic.CurrentAirPurifierState.IDLE;
       } else {
@@ -127,7 +127,7 @@ class AirPurifierAccessory extends BaseAccessory {
   }
 
   getTargetAirPurifierState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return (this.getDevice().isAutoModeEnabled() || this.getDevice().isSleepModeEnabled()) ? Characteristic.TargetAirPurifierState.AUTO : Characteristic.TargetAirPurifierState.MANUAL;
     }
     return Characteristic.TargetAirPurifierState.MANUAL;
@@ -136,9 +136,9 @@ class AirPurifierAccessory extends BaseAccessory {
   setTargetAirPurifierState(state) {
     if (this.isMiotDeviceConnected()) {
       if (state === Characteristic.TargetAirPurifierState.AUTO) {
-        this.getDevice().enableAutoMode();
+        return this.getDevice().enableAutoMode();
       } else {
-        this.getDevice().enableFavoriteMode();
+        return this.getDevice().enableFavoriteMode();
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -146,7 +146,7 @@ class AirPurifierAccessory extends BaseAccessory {
   }
 
   getRotationSpeed() {
-    if (this.isMiotDeviceConnected() && this.getDevice().isFavoriteModeEnabled()) {
+    if (this.isMiotDeviceStateAvailable() && this.getDevice().isFavoriteModeEnabled()) {
       return this.getDevice().getFavoriteSpeedPercentage();
     }
     return 0;
@@ -154,8 +154,7 @@ class AirPurifierAccessory extends BaseAccessory {
 
   setRotationSpeed(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().turnOnFavoriteModeIfNecessary();
-      this.getDevice().setFavoriteSpeedPercentage(value);
+      return this.getDevice().setFavoriteModeWithSpeedPercentage(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -200,13 +200,19 @@ class AirPurifierDevice extends BaseDevice {
   }
 
   async setFavoriteSpeedPercentage(percentage) {
-    if (this.supportsFavoriteLevelsRange()) {
-      return this.setFavoriteLevel(this.convertPercentageToPropValue(percentage, this.favoriteLevelProp()));
-    } else if (this.supportsFavoriteSpeedRange()) {
-      return this.setFavoriteSpeed(this.convertPercentageToPropValue(percentage, this.favoriteSpeedProp()));
-    } else {
-      return this.setFavoriteSpeed(percentage);
+    const [favoriteProp, favoriteValue] = this._getFavoriteSpeedPropValue(percentage);
+    return this.setPropertyValue(favoriteProp, favoriteValue);
+  }
+
+  // switches to the favorite mode and sets the favorite speed with a single request
+  async setFavoriteModeWithSpeedPercentage(percentage) {
+    const propValues = new Map();
+    if (this.supportsFavoriteMode()) {
+      propValues.set(this.modeProp(), this.favoriteModeValue());
     }
+    const [favoriteProp, favoriteValue] = this._getFavoriteSpeedPropValue(percentage);
+    propValues.set(favoriteProp, favoriteValue);
+    return this.setPropertyValues(propValues);
   }
 
   async turnOnFavoriteModeIfNecessary() {
@@ -262,6 +268,15 @@ class AirPurifierDevice extends BaseDevice {
 
   /*----------========== HELPERS ==========----------*/
 
+  // returns the favorite level or speed prop and the percentage converted to its range
+  _getFavoriteSpeedPropValue(percentage) {
+    if (this.supportsFavoriteLevelsRange()) {
+      return [this.favoriteLevelProp(), this.convertPercentageToPropValue(percentage, this.favoriteLevelProp())];
+    } else if (this.supportsFavoriteSpeedRange()) {
+      return [this.favoriteSpeedProp(), this.convertPercentageToPropValue(percentage, this.favoriteSpeedProp())];
+    }
+    return [this.favoriteSpeedProp(), percentage];
+  }
 
 }
 
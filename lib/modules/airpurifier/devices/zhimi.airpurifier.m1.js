@@ -24,8 +24,68 @@ class ZhimiAirpurifierM1 extends AirPurifierDevice {
 
   /*----------========== CONFIG ==========----------*/
 
-  requiresMiCloud() {
-    return true;
+  legacyMiioMapping() {
+    const onOffValues = {
+      true: 'on',
+      false: 'off'
+    };
+    return {
+      properties: {
+        'air-purifier:on': {
+          name: 'power',
+          setter: 'set_power',
+          values: onOffValues
+        },
+        'air-purifier:mode': {
+          name: 'mode',
+          setter: 'set_mode',
+          values: {
+            0: 'auto',
+            1: 'silent',
+            2: 'favorite'
+          }
+        },
+        'environment:relative-humidity': {
+          name: 'humidity'
+        },
+        'environment:pm2.5-density': {
+          name: 'aqi'
+        },
+        'environment:temperature': {
+          name: 'temp_dec',
+          fromMiio: value => value / 10
+        },
+        'filter:filter-life-level': {
+          name: 'filter1_life'
+        },
+        'filter:filter-used-time': {
+          name: 'f1_hour_used'
+        },
+        'indicator-light:on': {
+          name: 'led',
+          setter: 'set_led',
+          values: onOffValues
+        },
+        'indicator-light:brightness': {
+          name: 'led_b',
+          setter: 'set_led_b'
+        },
+        'alarm:alarm': {
+          name: 'buzzer',
+          setter: 'set_buzzer',
+          values: onOffValues
+        },
+        'physical-controls-locked:physical-controls-locked': {
+          name: 'child_lock',
+          setter: 'set_child_lock',
+          values: onOffValues
+        },
+        'air-purifier-favorite:favorite-fan-level': {
+          name: 'favorite_level',
+          setter: 'set_level_favorite'
+        }
+      }
+    };
   }
 
 
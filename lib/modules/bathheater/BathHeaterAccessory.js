@@ -132,7 +132,7 @@ class BathHeaterAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getHeaterActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isBathHeaterEnabled() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -141,14 +141,14 @@ class BathHeaterAccessory extends BaseAccessory {
   setHeaterActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setBathHeaterEnabled(value);
+      return this.getDevice().setBathHeaterEnabled(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentHeaterCoolerState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isBathHeaterEnabled() ? Characteristic.CurrentHeaterCoolerState.HEATING : Characteristic.CurrentHeaterCoolerState.IDLE;
     }
     return Characteristic.CurrentHeaterCoolerState.INACTIVE;
@@ -161,14 +161,14 @@ class BathHeaterAccessory extends BaseAccessory {
 
   setTargetHeaterCoolerState(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().startHeatingIfNecessary(); // start heating
+      return this.getDevice().startHeatingIfNecessary(); // start heating
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getHeatingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -176,7 +176,7 @@ class BathHeaterAccessory extends BaseAccessory {
 
   setHeatingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
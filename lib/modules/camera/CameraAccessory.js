@@ -43,6 +43,8 @@ class CameraAccessory extends BaseAccessory {
   setupMainAccessoryService() {
     this.cameraService = this.createStatefulSwitch(this.getName(), 'cameraService', this.isPowerOn, this.setPowerOn);
     this.addAccessoryService(this.cameraService);
+
+    this.prepareCameraStreaming();
   }
 
   setupAdditionalAccessoryServices() {
@@ -52,11 +54,18 @@ class CameraAccessory extends BaseAccessory {
 
   /*----------========== CREATE ADDITIONAL SERVICES ==========----------*/
 
+  prepareCameraStreaming() {
+    this.cameraStreamingDelegate = this.createCameraStreamingDelegate();
+    if (this.cameraStreamingDelegate) {
+      this.getAccessory().configureController(this.cameraStreamingDelegate.createCameraController());
+    }
+  }
+
 
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isPowerOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn();
     }
     return false;
@@ -64,7 +73,7 @@ class CameraAccessory extends BaseAccessory {
 
   setPowerOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setOn(state);
+      return this.getDevice().setOn(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -96,7 +96,7 @@ class CeilingFanAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getFanActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -105,14 +105,14 @@ class CeilingFanAccessory extends BaseAccessory {
   setFanActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentFanState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (!this.getDevice().isOn()) {
         return Characteristic.CurrentFanState.IDLE;
       } else {
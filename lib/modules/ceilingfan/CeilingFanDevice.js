@@ -148,7 +148,7 @@ class CeilingFanDevice extends BaseDevice {
   turnLightOnIfNecessary() {
     // if the light is turned off then turn it on
     if (this.isLightOn() === false) {
-      this.setLightOn(true);
+      return this.setLightOn(true);
     }
   }
 
@@ -56,7 +56,7 @@ class CoffeeMachineAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isCoffeMachineOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn();
     }
     return false;
@@ -64,7 +64,7 @@ class CoffeeMachineAccessory extends BaseAccessory {
 
   setCoffeMachineOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setOn(state);
+      return this.getDevice().setOn(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -55,7 +55,7 @@ class CookerAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isCookerOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isCooking();
     }
     return false;
@@ -63,7 +63,7 @@ class CookerAccessory extends BaseAccessory {
 
   setCookerOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setCookActive(state);
+      return this.getDevice().setCookActive(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
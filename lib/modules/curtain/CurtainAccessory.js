@@ -87,14 +87,14 @@ class CurtainAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getCurrentPosition() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getCurrentPosition();
     }
     return 0;
   }
 
   getPositionState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isStatusClosing()) {
         return Characteristic.PositionState.DECREASING;
       } else if (this.getDevice().isStatusOpening()) {
@@ -107,7 +107,7 @@ class CurtainAccessory extends BaseAccessory {
   }
 
   getTargetPosition() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetPosition();
     }
     return 0;
@@ -115,7 +115,7 @@ class CurtainAccessory extends BaseAccessory {
 
   setTargetPosition(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetPosition(value);
+      return this.getDevice().setTargetPosition(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -102,7 +102,7 @@ class DehumidifierAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getDehumidifierActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -111,14 +111,14 @@ class DehumidifierAccessory extends BaseAccessory {
   setDehumidifierActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentHumidifierDehumidifierState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isDehumidifying() ? Characteristic.CurrentHumidifierDehumidifierState.DEHUMIDIFYING : Characteristic.CurrentHumidifierDehumidifierState.IDLE;
     }
     return Characteristic.CurrentHumidifierDehumidifierState.INACTIVE;
@@ -131,14 +131,14 @@ class DehumidifierAccessory extends BaseAccessory {
 
   setTargetHumidifierDehumidifierState(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().turnOnIfNecessary(); // start dehumidifying
+      return this.getDevice().turnOnIfNecessary(); // start dehumidifying
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getRelativeHumidityHumidifierThreshold() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetHumidity();
     }
     return this.getDevice().targetHumidityMinVal(); // return minimum value
@@ -146,7 +146,7 @@ class DehumidifierAccessory extends BaseAccessory {
 
   setRelativeHumidityHumidifierThreshold(hum) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetHumidity(hum);
+      return this.getDevice().setTargetHumidity(hum);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -94,24 +94,24 @@ class FanAccessory extends BaseAccessory {
   prepareMoveControlService() {
     if (this.getDevice().supportsHorizontalMove()) {
       this.moveLeftService = this.createStatlessSwitch('Move left', 'moveLeftService', (value) => {
-        this.setMoveFanSwitchOn(value, 'left');
+        return this.setMoveFanSwitchOn(value, 'left');
       });
       this.addAccessoryService(this.moveLeftService);
 
       this.moveRightService = this.createStatlessSwitch('Move right', 'moveRightService', (value) => {
-        this.setMoveFanSwitchOn(value, 'right');
+        return this.setMoveFanSwitchOn(value, 'right');
       });
       this.addAccessoryService(this.moveRightService);
     }
 
     if (this.getDevice().supportsVerticalMove()) {
       this.moveUpService = this.createStatlessSwitch('Move up', 'moveUpService', (value) => {
-        this.setMoveFanSwitchOn(value, 'up');
+        return this.setMoveFanSwitchOn(value, 'up');
       });
       this.addAccessoryService(this.moveUpService);
 
       this.moveDownService = this.createStatlessSwitch('Move down', 'moveDownService', (value) => {
-        this.setMoveFanSwitchOn(value, 'down');
+        return this.setMoveFanSwitchOn(value, 'down');
       });
       this.addAccessoryService(this.moveDownService);
     }
@@ -143,7 +143,7 @@ class FanAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getFanActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -152,14 +152,14 @@ class FanAccessory extends BaseAccessory {
   setFanActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentFanState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isIdle()) {
         return Characteristic.CurrentFanState.IDLE;
       } else {
@@ -170,7 +170,7 @@ class FanAccessory extends BaseAccessory {
   }
 
   getSwingModeState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHorizontalSwingEnabled() ? Characteristic.SwingMode.SWING_ENABLED : Characteristic.SwingMode.SWING_DISABLED
     }
     return Characteristic.SwingMode.SWING_DISABLED;
@@ -179,14 +179,14 @@ class FanAccessory extends BaseAccessory {
   setSwingModeState(state) {
     if (this.isMiotDeviceConnected()) {
       let isSwingModeActive = state === Characteristic.SwingMode.SWING_ENABLED;
-      this.getDevice().setHorizontalSwingEnabled(isSwingModeActive);
+      return this.getDevice().setHorizontalSwingEnabled(isSwingModeActive);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getRotationDirectionState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHorizontalSwingEnabled() ? Characteristic.RotationDirection.CLOCKWISE : Characteristic.RotationDirection.COUNTER_CLOCKWISE;
     }
     return Characteristic.RotationDirection.COUNTER_CLOCKWISE;
@@ -195,7 +195,7 @@ class FanAccessory extends BaseAccessory {
   setRotationDirectionState(state) {
     if (this.isMiotDeviceConnected()) {
       let isSwingModeActive = state === Characteristic.RotationDirection.CLOCKWISE;
-      this.getDevice().setHorizontalSwingEnabled(isSwingModeActive);
+      return this.getDevice().setHorizontalSwingEnabled(isSwingModeActive);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -206,13 +206,13 @@ class FanAccessory extends BaseAccessory {
   setMoveFanSwitchOn(state, direction) {
     if (this.isMiotDeviceConnected()) {
       if (direction === 'left') {
-        this.getDevice().moveLeft();
+        return this.getDevice().moveLeft();
       } else if (direction === 'right') {
-        this.getDevice().moveRight();
+        return this.getDevice().moveRight();
       } else if (direction === 'up') {
-        this.getDevice().moveUp();
+        return this.getDevice().moveUp();
       } else if (direction === 'down') {
-        this.getDevice().moveDown();
+        return this.getDevice().moveDown();
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
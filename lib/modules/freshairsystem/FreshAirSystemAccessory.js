@@ -92,7 +92,7 @@ class FreshAirSystemAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getFanActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -101,14 +101,14 @@ class FreshAirSystemAccessory extends BaseAccessory {
   setFanActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentFanState() {
-    if (this.isMiotDeviceConnected() && this.getDevice().isOn()) {
+    if (this.isMiotDeviceStateAvailable() && this.getDevice().isOn()) {
       if (this.getDevice().isIdle()) {
         return Characteristic.CurrentFanState.IDLE;
       } else {
@@ -64,7 +64,7 @@ class GatewayAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getSecuritySystemCurrentState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isBasicArming()) {
         return Characteristic.SecuritySystemCurrentState.DISARMED;
       } else if (this.getDevice().isHomeArming()) {
@@ -79,7 +79,7 @@ class GatewayAccessory extends BaseAccessory {
   }
 
   getSecuritySystemTargetState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isBasicArming()) {
         return Characteristic.SecuritySystemTargetState.DISARM;
       } else if (this.getDevice().isHomeArming()) {
@@ -96,13 +96,13 @@ class GatewayAccessory extends BaseAccessory {
   setSecuritySystemTargetState(state) {
     if (this.isMiotDeviceConnected()) {
       if (state == Characteristic.SecuritySystemTargetState.DISARM) {
-        this.getDevice().setBasicArming();
+        return this.getDevice().setBasicArming();
       } else if (state == Characteristic.SecuritySystemTargetState.STAY_ARM) {
-        this.getDevice().setHomeArming();
+        return this.getDevice().setHomeArming();
       } else if (state == Characteristic.SecuritySystemTargetState.AWAY_ARM) {
-        this.getDevice().setAwayArming();
+        return this.getDevice().setAwayArming();
       } else if (state == Characteristic.SecuritySystemTargetState.NIGHT_ARM) {
-        this.getDevice().setSleepArming();
+        return this.getDevice().setSleepArming();
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
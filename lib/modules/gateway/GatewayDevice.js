@@ -72,6 +72,10 @@ class GatewayDevice extends BaseDevice {
 
   /*----------========== FEATURES ==========----------*/
 
+  supportsSubDevices() {
+    return true;
+  }
+
 
   /*----------========== GETTERS ==========----------*/
 
@@ -79,6 +83,19 @@ class GatewayDevice extends BaseDevice {
   /*----------========== SETTERS ==========----------*/
 
 
+  /*----------========== SUB DEVICES ==========----------*/
+
+  // returns the devices paired to the gateway, for example zigbee sensors
+  async fetchSubDevices() {
+    const subDevices = await this.getMiotDevice().fetchSubDevices();
+    return subDevices.map(subDevice => ({
+      deviceId: String(subDevice.did),
+      model: subDevice.model,
+      name: subDevice.name
+    }));
+  }
+
+
   /*----------========== CONVENIENCE ==========----------*/
 
 
@@ -101,19 +118,19 @@ class GatewayDevice extends BaseDevice {
   }
 
   setBasicArming() {
-    this.setMode(this.modeBasicArmingValue());
+    return this.setMode(this.modeBasicArmingValue());
   }
 
   setHomeArming() {
-    this.setMode(this.modeHomeArmingValue());
+    return this.setMode(this.modeHomeArmingValue());
   }
 
   setAwayArming() {
-    this.setMode(this.modeAwayArmingValue());
+    return this.setMode(this.modeAwayArmingValue());
   }
 
   setSleepArming() {
-    this.setMode(this.modeSleepArmingValue());
+    return this.setMode(this.modeSleepArmingValue());
   }
 
 
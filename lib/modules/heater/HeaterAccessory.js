@@ -138,7 +138,7 @@ class HeaterAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getHeaterActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -147,14 +147,14 @@ class HeaterAccessory extends BaseAccessory {
   setHeaterActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentHeaterCoolerState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHeating() ? Characteristic.CurrentHeaterCoolerState.HEATING : Characteristic.CurrentHeaterCoolerState.IDLE;
     }
     return Characteristic.CurrentHeaterCoolerState.INACTIVE;
@@ -167,14 +167,14 @@ class HeaterAccessory extends BaseAccessory {
 
   setTargetHeaterCoolerState(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().turnOnIfNecessary(); // start heating
+      return this.getDevice().turnOnIfNecessary(); // start heating
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getHeatingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -182,14 +182,14 @@ class HeaterAccessory extends BaseAccessory {
 
   setHeatingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getSwingModeState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isFanSwingModeEnabled() ? Characteristic.SwingMode.SWING_ENABLED : Characteristic.SwingMode.SWING_DISABLED;
     }
     return Characteristic.SwingMode.SWING_DISABLED;
@@ -198,9 +198,9 @@ class HeaterAccessory extends BaseAccessory {
   setSwingModeState(state) {
     if (this.isMiotDeviceConnected()) {
       if (state === Characteristic.SwingMode.SWING_ENABLED) {
-        this.getDevice().enableFanSwingMode();
+        return this.getDevice().enableFanSwingMode();
       } else {
-        this.getDevice().enableFanNotSwingMode();
+        return this.getDevice().enableFanNotSwingMode();
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -107,7 +107,7 @@ class HumidifierAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getHumidifierActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -116,14 +116,14 @@ class HumidifierAccessory extends BaseAccessory {
   setHumidifierActiveState(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentHumidifierDehumidifierState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHumidifying() ? Characteristic.CurrentHumidifierDehumidifierState.HUMIDIFYING : Characteristic.CurrentHumidifierDehumidifierState.IDLE;
     }
     return Characteristic.CurrentHumidifierDehumidifierState.INACTIVE;
@@ -136,14 +136,14 @@ class HumidifierAccessory extends BaseAccessory {
 
   setTargetHumidifierDehumidifierState(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().turnOnIfNecessary(); // start humidifying
+      return this.getDevice().turnOnIfNecessary(); // start humidifying
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getRelativeHumidityHumidifierThreshold() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetHumiditySafe();
     }
     return this.getDevice().targetHumidityMinVal(); // return minimum value
@@ -151,14 +151,14 @@ class HumidifierAccessory extends BaseAccessory {
 
   setRelativeHumidityHumidifierThreshold(hum) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetHumiditySafe(hum);
+      return this.getDevice().setTargetHumiditySafe(hum);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getWaterLevel() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getWaterLevelPercentage();
     }
     return 0;
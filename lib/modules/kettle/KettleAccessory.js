@@ -123,7 +123,7 @@ class KettleAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getKettleHeaterActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHeating() ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -133,9 +133,9 @@ class KettleAccessory extends BaseAccessory {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
       if (value) {
-        this.getDevice().startHeating();
+        return this.getDevice().startHeating();
       } else {
-        this.getDevice().stopHeating();
+        return this.getDevice().stopHeating();
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -143,7 +143,7 @@ class KettleAccessory extends BaseAccessory {
   }
 
   getCurrentKettleHeaterCoolerState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHeating() ? Characteristic.CurrentHeaterCoolerState.HEATING : Characteristic.CurrentHeaterCoolerState.IDLE;
     }
     return Characteristic.CurrentHeaterCoolerState.INACTIVE;
@@ -156,14 +156,14 @@ class KettleAccessory extends BaseAccessory {
 
   setTargetKettleHeaterCoolerState(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().startHeating(); // start heating
+      return this.getDevice().startHeating(); // start heating
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getKettleHeatingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -171,7 +171,7 @@ class KettleAccessory extends BaseAccessory {
 
   setKettleHeatingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -2,6 +2,9 @@ let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
 const BaseAccessory = require('../../base/BaseAccessory.js');
 const Constants = require('../../constants/Constants.js');
 const DevTypes = require('../../constants/DevTypes.js');
+const HistoryType = require('../../constants/HistoryType.js');
+const EnergyCounter = require('../../history/EnergyCounter.js');
+const EveEnergyCharacteristics = require('../../history/EveEnergyCharacteristics.js');
 
 
 class OutletAccessory extends BaseAccessory {
@@ -22,6 +25,20 @@ class OutletAccessory extends BaseAccessory {
   initAccessoryObject() {
     this.offDelayControl = this.getConfigValue('offDelayControl', false);
     this.showTemperature = this.getConfigValue('showTemperature', true);
+    this.energyMetering = this.getConfigValue('energyMetering', true);
+    this.powerSensorThreshold = this.getConfigValue('powerSensorThreshold', null);
+    this.powerSensorDuration = this.getConfigValue('powerSensorDuration', 1);
+
+    // the power sensor only changes after the power stayed above or below the threshold for the configured duration
+    this.powerSensorDetected = false;
+    this.powerAboveThreshold = false;
+    this.powerThresholdCrossTime = Date.now();
+
+    // the counter is restored and persisted by the device controller
+    this.energyCounter = null;
+    if (this.energyMetering && this.getDevice().supportsPowerReporting()) {
+      this.energyCounter = new EnergyCounter();
+    }
     super.initAccessoryObject();
   }
 
@@ -52,6 +69,10 @@ class OutletAccessory extends BaseAccessory {
       .addCharacteristic(Characteristic.OutletInUse)
       .onGet(this.isOutletInUse.bind(this));
 
+    if (this.energyCounter) {
+      this.prepareEnergyMeteringCharacteristics();
+    }
+
     this.addAccessoryService(this.outletService);
   }
 
@@ -60,6 +81,8 @@ class OutletAccessory extends BaseAccessory {
 
     if (this.offDelayControl) this.prepareOffDelayService();
 
+    if (this.powerSensorThreshold !== null) this.preparePowerSensorService();
+
     super.setupAdditionalAccessoryServices(); // make sure we call super
   }
 
@@ -87,6 +110,31 @@ class OutletAccessory extends BaseAccessory {
     }
   }
 
+  prepareEnergyMeteringCharacteristics() {
+    this.eveEnergyCharacteristics = new EveEnergyCharacteristics(this.outletService, this.energyCounter, this.api, this.logger);
+    this.eveEnergyCharacteristics.addPowerCharacteristic(this.getPower.bind(this));
+    if (this.getDevice().supportsVoltageReporting()) {
+      this.eveEnergyCharacteristics.addVoltageCharacteristic(this.getVoltage.bind(this));
+    }
+    if (this.getDevice().supportsElectricCurrentReporting()) {
+      this.eveEnergyCharacteristics.addElectricCurrentCharacteristic(this.getElectricCurrent.bind(this));
+    }
+  }
+
+  preparePowerSensorService() {
+    if (this.getDevice().supportsPowerReporting()) {
+      const name = `${this.getName()} Power Above ${this.powerSensorThreshold}W`;
+      this.powerSensorService = new Service.OccupancySensor(this.sanitizeName(name), 'powerSensorService');
+      this.setServiceConfiguredName(this.powerSensorService, name);
+      this.powerSensorService
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .onGet(this.getPowerSensorState.bind(this));
+      this.addAccessoryService(this.powerSensorService);
+    } else {
+      this.logger.warn(`The power sensor is configured but the device does not report the power! Skipping...`);
+    }
+  }
+
   prepareTemperatureService() {
     if (this.showTemperature) {
       super.prepareTemperatureService();
@@ -97,7 +145,7 @@ class OutletAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isOutletOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn();
     }
     return false;
@@ -105,14 +153,14 @@ class OutletAccessory extends BaseAccessory {
 
   setOutletOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setOn(state);
+      return this.getDevice().setOn(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   isOutletInUse() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn();
     }
     return false;
@@ -121,12 +169,40 @@ class OutletAccessory extends BaseAccessory {
 
   // ----- additional services
 
+  getPower() {
+    if (this.isMiotDeviceStateAvailable()) {
+      return this.getDevice().getPower();
+    }
+    return 0;
+  }
+
+  getVoltage() {
+    if (this.isMiotDeviceStateAvailable()) {
+      return this.getDevice().getVoltage();
+    }
+    return 0;
+  }
+
+  getElectricCurrent() {
+    if (this.isMiotDeviceStateAvailable()) {
+      return this.getDevice().getElectricCurrent();
+    }
+    return 0;
+  }
+
+  getPowerSensorState() {
+    return this.powerSensorDetected ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+  }
+
 
   /*----------========== STATUS ==========----------*/
 
   updateAccessoryStatus() {
     if (this.outletService) this.outletService.getCharacteristic(Characteristic.On).updateValue(this.isOutletOn());
     if (this.outletService) this.outletService.getCharacteristic(Characteristic.OutletInUse).updateValue(this.isOutletInUse());
+    if (this.isMiotDeviceConnected()) this.updateEnergyMetering();
+    if (this.eveEnergyCharacteristics) this.eveEnergyCharacteristics.updateValues();
+    if (this.powerSensorService) this.powerSensorService.getCharacteristic(Characteristic.OccupancyDetected).updateValue(this.getPowerSensorState());
 
     super.updateAccessoryStatus();
   }
@@ -138,6 +214,50 @@ class OutletAccessory extends BaseAccessory {
   /*----------========== GETTERS ==========----------*/
 
 
+  /*----------========== HISTORY ==========----------*/
+
+  getHistoryType() {
+    return this.getDevice().supportsPowerReporting() ? HistoryType.ENERGY : null;
+  }
+
+  getHistorySample() {
+    return {
+      power: this.getDevice().getPower()
+    };
+  }
+
+
+  /*----------========== ENERGY METERING ==========----------*/
+
+  getEnergyCounter() {
+    return this.energyCounter;
+  }
+
+  // called with the values of every poll, only while the device is connected so the last known power is not integrated
+  updateEnergyMetering() {
+    const power = parseFloat(this.getDevice().getPower());
+    if (isNaN(power)) {
+      return;
+    }
+
+    if (this.energyCounter) {
+      this.energyCounter.addPowerSample(power);
+    }
+
+    if (this.powerSensorThreshold !== null) {
+      const isAboveThreshold = power > this.powerSensorThreshold;
+      if (isAboveThreshold !== this.powerAboveThreshold) {
+        this.powerAboveThreshold = isAboveThreshold;
+        this.powerThresholdCrossTime = Date.now();
+      }
+      if (this.powerAboveThreshold !== this.powerSensorDetected && Date.now() - this.powerThresholdCrossTime >= this.powerSensorDuration * 60000) {
+        this.powerSensorDetected = this.powerAboveThreshold;
+        this.logger.info(`Power ${this.powerSensorDetected ? 'above' : 'below'} ${this.powerSensorThreshold}W for ${this.powerSensorDuration} minutes!`);
+      }
+    }
+  }
+
+
   /*----------========== PROPERTY WRAPPERS ==========----------*/
 
 
@@ -34,13 +34,27 @@ class OutletDevice extends BaseDevice {
 
   propertiesToMonitor() {
     return ['switch:on', 'custome:off-memory', 'switch:status', 'switch:temperature',
-      'switch:mode', 'switch:power-consumption', 'switch:countdown-time'
+      'switch:mode', 'switch:power-consumption', 'switch:countdown-time', 'switch:electric-power', 'switch:voltage',
+      'switch:electric-current', 'power-consumption:electric-power', 'power-consumption:voltage', 'power-consumption:electric-current'
     ];
   }
 
 
   /*----------========== VALUES ==========----------*/
 
+  // the spec of some devices does not specify the unit, the values are multiplied to get W, V and A
+  electricPowerMultiplierValue() {
+    return 1;
+  }
+
+  voltageMultiplierValue() {
+    return 1;
+  }
+
+  electricCurrentMultiplierValue() {
+    return 1;
+  }
+
 
   /*----------========== PROPERTIES ==========----------*/
 
@@ -74,6 +88,18 @@ class OutletDevice extends BaseDevice {
     return this.getProperty('switch:power-consumption');
   }
 
+  electricPowerProp() {
+    return this.getProperty('switch:electric-power') || this.getProperty('power-consumption:electric-power');
+  }
+
+  voltageProp() {
+    return this.getProperty('switch:voltage') || this.getProperty('power-consumption:voltage');
+  }
+
+  electricCurrentProp() {
+    return this.getProperty('switch:electric-current') || this.getProperty('power-consumption:electric-current');
+  }
+
 
   /*----------========== ACTIONS ==========----------*/
 
@@ -102,6 +128,19 @@ class OutletDevice extends BaseDevice {
     return !!this.powerConsumptionProp();
   }
 
+  //energy metering
+  supportsPowerReporting() {
+    return !!this.electricPowerProp() || this.supportsPowerConsumptionReporting();
+  }
+
+  supportsVoltageReporting() {
+    return !!this.voltageProp();
+  }
+
+  supportsElectricCurrentReporting() {
+    return !!this.electricCurrentProp();
+  }
+
 
   /*----------========== GETTERS ==========----------*/
 
@@ -113,6 +152,22 @@ class OutletDevice extends BaseDevice {
     return this.getPropertyValue(this.powerConsumptionProp());
   }
 
+  // the current power in W, devices without an electric power property report it as power consumption
+  getPower() {
+    if (this.electricPowerProp()) {
+      return this._applyMultiplier(this.getPropertyValue(this.electricPowerProp()), this.electricPowerMultiplierValue());
+    }
+    return this.getPowerConsumption();
+  }
+
+  getVoltage() {
+    return this._applyMultiplier(this.getPropertyValue(this.voltageProp()), this.voltageMultiplierValue());
+  }
+
+  getElectricCurrent() {
+    return this._applyMultiplier(this.getPropertyValue(this.electricCurrentProp()), this.electricCurrentMultiplierValue());
+  }
+
 
   /*----------========== SETTERS ==========----------*/
 
@@ -129,6 +184,13 @@ class OutletDevice extends BaseDevice {
 
   /*----------========== HELPERS ==========----------*/
 
+  _applyMultiplier(value, multiplier) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+    return value * multiplier;
+  }
+
 
 }
 
@@ -24,8 +24,30 @@ class ChuangmiPlugM1 extends OutletDevice {
 
   /*----------========== CONFIG ==========----------*/
 
-  requiresMiCloud() {
-    return true;
+  legacyMiioMapping() {
+    return {
+      properties: {
+        'switch:on': {
+          name: 'power',
+          setter: 'set_power',
+          values: {
+            true: 'on',
+            false: 'off'
+          }
+        },
+        'switch:temperature': {
+          name: 'temperature'
+        },
+        'indicator-light:on': {
+          name: 'wifi_led',
+          setter: 'set_wifi_led',
+          values: {
+            true: 'on',
+            false: 'off'
+          }
+        }
+      }
+    };
   }
 
 
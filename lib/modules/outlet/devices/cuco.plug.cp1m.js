@@ -69,6 +69,14 @@ class CucoPlugCp1m extends OutletDevice {
 
   /*----------========== VALUES OVERRIDES ==========----------*/
 
+  voltageMultiplierValue() {
+    return 0.1;
+  }
+
+  electricCurrentMultiplierValue() {
+    return 0.001;
+  }
+
 
   /*----------========== PROPERTY OVERRIDES ==========----------*/
 
@@ -59,6 +59,14 @@ class CucoPlugCp2 extends OutletDevice {
 
   /*----------========== VALUES OVERRIDES ==========----------*/
 
+  voltageMultiplierValue() {
+    return 0.1;
+  }
+
+  electricCurrentMultiplierValue() {
+    return 0.001;
+  }
+
 
   /*----------========== PROPERTY OVERRIDES ==========----------*/
 
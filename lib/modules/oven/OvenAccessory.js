@@ -127,7 +127,7 @@ class OvenAccessory extends BaseAccessory {
 
   // switch service
   isOvenOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isHeating();
     }
     return false;
@@ -135,7 +135,7 @@ class OvenAccessory extends BaseAccessory {
 
   setOvenOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setCookingActive(state);
+      return this.getDevice().setCookingActive(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -143,7 +143,7 @@ class OvenAccessory extends BaseAccessory {
 
   // heater service
   getOvenHeaterActiveState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return Characteristic.Active.ACTIVE
     }
     return Characteristic.Active.INACTIVE;
@@ -163,7 +163,7 @@ class OvenAccessory extends BaseAccessory {
   }
 
   getCurrentOvenHeaterCoolerState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return Characteristic.CurrentHeaterCoolerState.HEATING;
     }
     return Characteristic.CurrentHeaterCoolerState.INACTIVE;
@@ -183,7 +183,7 @@ class OvenAccessory extends BaseAccessory {
   }
 
   getOvenHeatingThresholdTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -191,14 +191,14 @@ class OvenAccessory extends BaseAccessory {
 
   setOvenHeatingThresholdTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getCurrentTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().supportsTemperatureReporting()) {
         return this.getDevice().getTemperature();
       } else {
@@ -58,7 +58,7 @@ class PetFeederAccessory extends BaseAccessory {
 
   executePetFoodOut(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().firePetFoodOut(this.foodAmount);
+      return this.getDevice().firePetFoodOut(this.foodAmount);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -20,6 +20,19 @@ class RobotCleanerAccessory extends BaseAccessory {
   /*----------========== INIT ==========----------*/
 
   initAccessoryObject() {
+    this.roomSwitches = this.getConfigValue('roomSwitches', true);
+    this.rooms = this.getConfigValue('rooms', []);
+    this.zones = this.getConfigValue('zones', []);
+    this.consumables = this.getConfigValue('consumables', true);
+    this.maintenanceSensor = this.getConfigValue('maintenanceSensor', false);
+
+    // the selected rooms in the order of selection, which is also the cleaning order
+    this.roomServices = {};
+    this.selectedRoomIds = [];
+
+    this.supportedConsumables = this.getSupportedConsumables();
+    this.consumableServices = {};
+    this.lastConsumableLifeLevels = {};
     super.initAccessoryObject();
   }
 
@@ -47,6 +60,10 @@ class RobotCleanerAccessory extends BaseAccessory {
 
   setupAdditionalAccessoryServices() {
     this.prepareDockOccupancyService();
+    if (this.roomSwitches) this.prepareRoomServices();
+    this.prepareZoneServices();
+    if (this.consumables) this.prepareConsumableServices();
+    if (this.maintenanceSensor) this.prepareMaintenanceSensorService();
     super.setupAdditionalAccessoryServices(); // make sure we call super
   }
 
@@ -59,11 +76,83 @@ class RobotCleanerAccessory extends BaseAccessory {
     }
   }
 
+  prepareFilterMaintenanceService(customName) {
+    // the filter is shown together with the other consumables
+    if (!this.consumables) {
+      super.prepareFilterMaintenanceService(customName);
+    }
+  }
+
+  prepareConsumableServices() {
+    this.supportedConsumables.forEach((consumable) => {
+      let consumableService = new Service.FilterMaintenance(this.sanitizeName(consumable.name), `${consumable.id}MaintenanceService`);
+      this.setServiceConfiguredName(consumableService, consumable.name);
+      consumableService
+        .getCharacteristic(Characteristic.FilterChangeIndication)
+        .onGet(() => this.getConsumableChangeIndicationState(consumable));
+      consumableService
+        .addCharacteristic(Characteristic.FilterLifeLevel)
+        .onGet(() => this.getConsumableLifeLevel(consumable));
+
+      if (consumable.isResetSupported) {
+        consumableService
+          .getCharacteristic(Characteristic.ResetFilterIndication)
+          .onSet(() => this.resetConsumable(consumable));
+      }
+
+      this.consumableServices[consumable.id] = consumableService;
+      this.addAccessoryService(consumableService);
+    });
+  }
+
+  prepareMaintenanceSensorService() {
+    if (this.supportedConsumables.length > 0) {
+      this.maintenanceSensorService = new Service.OccupancySensor(this.sanitizeName('Needs Maintenance'), 'maintenanceSensorService');
+      this.setServiceConfiguredName(this.maintenanceSensorService, 'Needs Maintenance');
+      this.maintenanceSensorService
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .onGet(this.getMaintenanceSensorState.bind(this));
+      this.addAccessoryService(this.maintenanceSensorService);
+    } else {
+      this.logger.warn(`The maintenance sensor is configured but the device does not report any consumables! Skipping...`);
+    }
+  }
+
+  // configured rooms are added right away, the reported rooms once the device fetched them
+  prepareRoomServices() {
+    if (this.rooms.length > 0 || this.getDevice().supportsRoomMappingReporting()) {
+      if (this.getDevice().supportsRoomCleaning()) {
+        this.rooms.forEach((room) => this.addRoomService(room));
+        this.cleanRoomsService = this.createStatlessSwitch('Clean Selected Rooms', 'cleanRoomsService', this.setCleanSelectedRoomsOn);
+        this.addAccessoryService(this.cleanRoomsService);
+      } else {
+        this.logger.warn(`Rooms are configured but the device does not support room cleaning! Skipping...`);
+      }
+    }
+  }
+
+  prepareZoneServices() {
+    if (this.zones.length > 0) {
+      if (this.getDevice().supportsZoneCleaning()) {
+        this.zones.forEach((zone, i) => {
+          if (Array.isArray(zone.zone) && zone.zone.length === 4) {
+            let zoneService = this.createStatlessSwitch(zone.name || `Zone ${i + 1}`, `zoneService${i}`, (state) => this.setZoneCleaningOn(zone, state));
+            this.addAccessoryService(zoneService);
+          } else {
+            this.logger.warn(`Zone ${zone.name || i + 1} needs to be specified as [x1, y1, x2, y2]! Skipping...`);
+          }
+        });
+      } else {
+        this.logger.warn(`Zones are configured but the device does not support zone cleaning! Skipping...`);
+      }
+    }
+  }
+
 
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isVacuumOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isVacuumWorking();
     }
     return false;
@@ -71,7 +160,7 @@ class RobotCleanerAccessory extends BaseAccessory {
 
   setVacuumOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setSweepActive(state);
+      return this.getDevice().setSweepActive(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -80,11 +169,90 @@ class RobotCleanerAccessory extends BaseAccessory {
 
   // ----- additional services
 
+  // a room switch is on while the room is selected or currently cleaned
+  isRoomSwitchOn(roomId) {
+    if (this.selectedRoomIds.includes(roomId)) {
+      return true;
+    }
+    if (this.isMiotDeviceStateAvailable()) {
+      return this.getDevice().getCleaningRoomIds().includes(roomId);
+    }
+    return false;
+  }
+
+  setRoomSwitchOn(roomId, state) {
+    this.selectedRoomIds = this.selectedRoomIds.filter(id => id !== roomId);
+    if (state) {
+      this.selectedRoomIds.push(roomId);
+    }
+  }
+
+  async setCleanSelectedRoomsOn(state) {
+    if (state) {
+      if (this.selectedRoomIds.length === 0) {
+        this.logger.warn(`No rooms selected! Turn on the switches of the rooms which should be cleaned first!`);
+        return;
+      }
+      if (this.isMiotDeviceConnected()) {
+        await this.getDevice().startRoomCleaning(this.selectedRoomIds);
+        this.selectedRoomIds = [];
+        this.updateRoomServices();
+      } else {
+        throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+      }
+    }
+  }
+
+  // an unknown life level would show the consumable as used up, so the last known life level is reported instead
+  getConsumableLifeLevel(consumable) {
+    const lifeLevel = this._getSafeConsumableLifeLevel(consumable);
+    if (lifeLevel === null) {
+      return this.lastConsumableLifeLevels[consumable.id] !== undefined ? this.lastConsumableLifeLevels[consumable.id] : 100;
+    }
+    this.lastConsumableLifeLevels[consumable.id] = lifeLevel;
+    return lifeLevel;
+  }
+
+  getConsumableChangeIndicationState(consumable) {
+    return this.isConsumableChangeNeeded(consumable) ? Characteristic.FilterChangeIndication.CHANGE_FILTER : Characteristic.FilterChangeIndication.FILTER_OK;
+  }
+
+  resetConsumable(consumable) {
+    if (this.isMiotDeviceConnected()) {
+      this.logger.info(`Resetting the ${consumable.name.toLowerCase()} life level!`);
+      return consumable.reset();
+    } else {
+      throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+  getMaintenanceSensorState() {
+    const needsMaintenance = this.supportedConsumables.some((consumable) => this.isConsumableChangeNeeded(consumable));
+    return needsMaintenance ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+  }
+
+  setZoneCleaningOn(zone, state) {
+    if (state) {
+      if (this.isMiotDeviceConnected()) {
+        return this.getDevice().startZoneCleaning([zone]);
+      } else {
+        throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+      }
+    }
+  }
+
 
   /*----------========== STATUS ==========----------*/
 
   updateAccessoryStatus() {
     if (this.switchService) this.switchService.getCharacteristic(Characteristic.On).updateValue(this.isVacuumOn());
+    if (this.cleanRoomsService) this.updateRoomServices();
+    this.supportedConsumables.forEach((consumable) => {
+      let consumableService = this.consumableServices[consumable.id];
+      if (consumableService) consumableService.getCharacteristic(Characteristic.FilterChangeIndication).updateValue(this.getConsumableChangeIndicationState(consumable));
+      if (consumableService && this._getSafeConsumableLifeLevel(consumable) !== null) consumableService.getCharacteristic(Characteristic.FilterLifeLevel).updateValue(this.getConsumableLifeLevel(consumable));
+    });
+    if (this.maintenanceSensorService) this.maintenanceSensorService.getCharacteristic(Characteristic.OccupancyDetected).updateValue(this.getMaintenanceSensorState());
 
     super.updateAccessoryStatus();
   }
@@ -93,6 +261,102 @@ class RobotCleanerAccessory extends BaseAccessory {
   /*----------========== MULTI-SWITCH SERVICE HELPERS ==========----------*/
 
 
+  /*----------========== ROOM SERVICE HELPERS ==========----------*/
+
+  addRoomService(room) {
+    if (room.id == null || room.id === '') {
+      this.logger.warn(`Room ${room.name} is missing the room id! Skipping...`);
+      return;
+    }
+    const roomId = String(room.id);
+    if (!this.roomServices[roomId]) {
+      let roomService = this.createStatefulSwitch(room.name || `Room ${roomId}`, `roomService${roomId}`, () => this.isRoomSwitchOn(roomId), (state) => this.setRoomSwitchOn(roomId, state));
+      this.roomServices[roomId] = roomService;
+      this.addAccessoryService(roomService);
+    }
+  }
+
+  updateRoomServices() {
+    // the reported rooms are only used when no rooms are configured
+    if (this.rooms.length === 0) {
+      this.syncReportedRoomServices();
+    }
+    Object.keys(this.roomServices).forEach((roomId) => {
+      this.roomServices[roomId].getCharacteristic(Characteristic.On).updateValue(this.isRoomSwitchOn(roomId));
+    });
+  }
+
+
+  // the reported rooms can change, for example when the map is edited, so removed rooms lose their switch and renamed rooms are renamed
+  syncReportedRoomServices() {
+    const reportedRooms = this.getDevice().getReportedRooms();
+    Object.keys(this.roomServices).forEach((roomId) => {
+      if (!reportedRooms.some(room => String(room.id) === roomId)) {
+        this.removeAccessoryService(this.roomServices[roomId]);
+        delete this.roomServices[roomId];
+        this.selectedRoomIds = this.selectedRoomIds.filter(id => id !== roomId);
+      }
+    });
+    reportedRooms.forEach((room) => {
+      const roomService = this.roomServices[String(room.id)];
+      const roomName = room.name || `Room ${room.id}`;
+      if (!roomService) {
+        this.addRoomService(room);
+      } else if (roomService.getCharacteristic(Characteristic.ConfiguredName).value !== this.sanitizeName(roomName)) {
+        roomService.setCharacteristic(Characteristic.Name, this.sanitizeName(roomName));
+        this.setServiceConfiguredName(roomService, roomName);
+      }
+    });
+  }
+
+
+  /*----------========== CONSUMABLE HELPERS ==========----------*/
+
+  // the consumables which report their life level, a consumable needs a change at or below its threshold
+  getSupportedConsumables() {
+    const device = this.getDevice();
+    const consumables = [{
+      id: 'mainBrush',
+      name: 'Main Brush',
+      threshold: this.getConfigValue('mainBrushThreshold', Constants.FILTER_CHANGE_INDICATION_THRESHOLD),
+      isSupported: device.supportsMainBrushLifeLevelReporting(),
+      getLifeLevel: () => device.getMainBrushLifeLevel(),
+      isResetSupported: device.supportsMainBrushLifeResetAction(),
+      reset: () => device.resetMainBrushLife()
+    }, {
+      id: 'sideBrush',
+      name: 'Side Brush',
+      threshold: this.getConfigValue('sideBrushThreshold', Constants.FILTER_CHANGE_INDICATION_THRESHOLD),
+      isSupported: device.supportsSideBrushLifeLevelReporting(),
+      getLifeLevel: () => device.getSideBrushLifeLevel(),
+      isResetSupported: device.supportsSideBrushLifeResetAction(),
+      reset: () => device.resetSideBrushLife()
+    }, {
+      id: 'filter',
+      name: 'Filter',
+      threshold: this.getConfigValue('filterThreshold', Constants.FILTER_CHANGE_INDICATION_THRESHOLD),
+      isSupported: device.supportsFilterLifeLevelReporting(),
+      getLifeLevel: () => device.getFilterLifeLevel(),
+      isResetSupported: device.supportsFilterLifeResetAction(),
+      reset: () => device.resetFilterLife()
+    }, {
+      id: 'mop',
+      name: 'Mop',
+      threshold: this.getConfigValue('mopThreshold', Constants.FILTER_CHANGE_INDICATION_THRESHOLD),
+      isSupported: device.supportsMopLifeLevelReporting(),
+      getLifeLevel: () => device.getMopLifeLevel(),
+      isResetSupported: device.supportsMopLifeResetAction(),
+      reset: () => device.resetMopLife()
+    }];
+    return consumables.filter((consumable) => consumable.isSupported);
+  }
+
+  isConsumableChangeNeeded(consumable) {
+    const lifeLevel = this._getSafeConsumableLifeLevel(consumable);
+    return lifeLevel !== null && lifeLevel <= consumable.threshold;
+  }
+
+
   /*----------========== GETTERS ==========----------*/
 
 
@@ -104,6 +368,17 @@ class RobotCleanerAccessory extends BaseAccessory {
 
   /*----------========== HELPERS ==========----------*/
 
+  // null when the life level is not known yet
+  _getSafeConsumableLifeLevel(consumable) {
+    if (this.isMiotDeviceStateAvailable()) {
+      const lifeLevel = parseFloat(consumable.getLifeLevel());
+      if (!isNaN(lifeLevel)) {
+        return Math.min(Math.max(lifeLevel, 0), 100); // some device return a value greater than 100
+      }
+    }
+    return null;
+  }
+
 
 }
 
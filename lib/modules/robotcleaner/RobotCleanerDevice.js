@@ -4,11 +4,17 @@ const DevTypes = require('../../constants/DevTypes.js');
 const PropFormat = require('../../constants/PropFormat.js');
 const PropUnit = require('../../constants/PropUnit.js');
 const PropAccess = require('../../constants/PropAccess.js');
+const PollingClass = require('../../constants/PollingClass.js');
+
+const CLEANING_TARGET_START_TIMEOUT = 300000; // in milliseconds, the target is dropped when the cleaning did not start in time
 
 
 class RobotCleanerDevice extends BaseDevice {
   constructor(device, name, logger) {
     super(device, name, logger);
+
+    this.reportedRooms = [];
+    this.cleaningTarget = null;
   }
 
 
@@ -32,6 +38,10 @@ class RobotCleanerDevice extends BaseDevice {
     if (this.supportsSideBrushLifeLevelReporting()) {
       this.logger.info(`Side brush life level: ${this.getSideBrushLifeLevel()}%.`);
     }
+    // log the the mop life level when supported
+    if (this.supportsMopLifeLevelReporting()) {
+      this.logger.info(`Mop life level: ${this.getMopLifeLevel()}%.`);
+    }
     // log the the filter life level when supported
     if (this.supportsFilterLifeLevelReporting()) {
       this.logger.info(`Filter life level: ${this.getFilterLifeLevel()}%.`);
@@ -52,6 +62,16 @@ class RobotCleanerDevice extends BaseDevice {
     if (this.supportsTotalCleanAreaReporting()) {
       this.logger.info(`Total clean area: ${this.getTotalCleanArea()} m2.`);
     }
+    // fetch the rooms when the device reports them
+    if (this.supportsRoomMappingReporting()) {
+      this.fetchRooms();
+    }
+  }
+
+  allPropertiesUpdated() {
+    super.allPropertiesUpdated();
+    this._updateCleaningTarget();
+    this._updateReportedRoomsFromProperty();
   }
 
 
@@ -72,10 +92,32 @@ class RobotCleanerDevice extends BaseDevice {
     return ['vacuum:status', 'vacuum:mode', 'vacuum:fault', 'battery:battery-level',
       'battery:charging-state', 'brush-cleaner:brush-left-time', 'brush-cleaner:brush-life-level', 'filter:filter-life-level',
       'filter:filter-left-time', 'vacuum-extend:cleaning-time', 'vacuum-extend:cleaning-area', 'clean-logs:total-clean-time',
-      'clean-logs:total-clean-times', 'clean-logs:total-clean-area', 'sweep:side-brush-hours', 'sweep:side-brush-life'
+      'clean-logs:total-clean-times', 'clean-logs:total-clean-area', 'sweep:side-brush-hours', 'sweep:side-brush-life',
+      'brush-cleaner2:brush-left-time', 'brush-cleaner2:brush-life-level', 'mop:mop-left-time', 'mop:mop-life-level',
+      'map:room-id-name-list', 'map:mijia-room-list'
     ];
   }
 
+  propertyPollingClasses() {
+    return {
+      ...super.propertyPollingClasses(),
+      'brush-cleaner:brush-left-time': PollingClass.SLOW,
+      'brush-cleaner:brush-life-level': PollingClass.SLOW,
+      'clean-logs:total-clean-time': PollingClass.SLOW,
+      'clean-logs:total-clean-times': PollingClass.SLOW,
+      'clean-logs:total-clean-area': PollingClass.SLOW,
+      'sweep:side-brush-hours': PollingClass.SLOW,
+      'sweep:side-brush-life': PollingClass.SLOW,
+      'brush-cleaner2:brush-left-time': PollingClass.SLOW,
+      'brush-cleaner2:brush-life-level': PollingClass.SLOW,
+      'mop:mop-left-time': PollingClass.SLOW,
+      'mop:mop-life-level': PollingClass.SLOW,
+      'map:room-id-name-list': PollingClass.SLOW,
+      'map:mijia-room-list': PollingClass.SLOW,
+      'vacuum:status': PollingClass.FAST
+    };
+  }
+
 
   /*----------========== VALUES ==========----------*/
 
@@ -143,6 +185,23 @@ class RobotCleanerDevice extends BaseDevice {
     return this.getValueForStatus('Sweeping and Mopping', true);
   }
 
+  // the consumable index for devices which reset all consumables with a single action
+  mainBrushConsumableValue() {
+    return null;
+  }
+
+  sideBrushConsumableValue() {
+    return null;
+  }
+
+  filterConsumableValue() {
+    return null;
+  }
+
+  mopConsumableValue() {
+    return null;
+  }
+
 
   /*----------========== PROPERTIES ==========----------*/
 
@@ -181,11 +240,19 @@ class RobotCleanerDevice extends BaseDevice {
   }
 
   sideBrushLeftTimeProp() {
-    return this.getProperty('sweep:side-brush-hours');
+    return this.getProperty('sweep:side-brush-hours') || this.getProperty('brush-cleaner2:brush-left-time');
   }
 
   sideBrushLifeLevelProp() {
-    return this.getProperty('sweep:side-brush-life');
+    return this.getProperty('sweep:side-brush-life') || this.getProperty('brush-cleaner2:brush-life-level');
+  }
+
+  mopLeftTimeProp() {
+    return this.getProperty('mop:mop-left-time');
+  }
+
+  mopLifeLevelProp() {
+    return this.getProperty('mop:mop-life-level');
   }
 
   cleanTimeProp() {
@@ -208,6 +275,18 @@ class RobotCleanerDevice extends BaseDevice {
     return this.getProperty('clean-logs:total-clean-area');
   }
 
+  roomIdsProp() {
+    return this.getProperty('viomi-vacuum:clean-room-ids') || this.getProperty('sweep:clean-room-ids') || this.getProperty('vacuum:room-ids');
+  }
+
+  zonePointsProp() {
+    return this.getProperty('point-zone:zone-points');
+  }
+
+  roomListProp() {
+    return this.getProperty('map:room-id-name-list') || this.getProperty('map:mijia-room-list');
+  }
+
 
   /*----------========== ACTIONS ==========----------*/
 
@@ -227,6 +306,47 @@ class RobotCleanerDevice extends BaseDevice {
     return this.getAction('battery:start-charge') || this.getAction('vacuum:start-charge');
   }
 
+  roomCleanAction() {
+    return this.getAction('viomi-vacuum:set-room-clean') || this.getAction('sweep:set-room-clean');
+  }
+
+  startZoneCleanAction() {
+    return this.getAction('point-zone:start-zone-clean');
+  }
+
+  resetMainBrushLifeAction() {
+    return this.getAction('brush-cleaner:reset-brush-life');
+  }
+
+  resetSideBrushLifeAction() {
+    return this.getAction('brush-cleaner2:reset-brush-life');
+  }
+
+  resetFilterLifeAction() {
+    return this.getAction('filter:reset-filter-life');
+  }
+
+  resetMopLifeAction() {
+    return this.getAction('mop:reset-mop-life');
+  }
+
+  resetConsumableAction() {
+    return this.getAction('viomi-vacuum:reset-consumable') || this.getAction('sweep:reset-consumable');
+  }
+
+
+  /*----------========== METHODS ==========----------*/
+
+  // returns the rooms as [[segmentId, roomId, ...], ...]
+  roomMappingMethod() {
+    return null;
+  }
+
+  // expects the zones as [[x1, y1, x2, y2, repeats], ...]
+  zoneCleanMethod() {
+    return null;
+  }
+
 
   /*----------========== FEATURES ==========----------*/
 
@@ -248,6 +368,32 @@ class RobotCleanerDevice extends BaseDevice {
     return !!this.sideBrushLifeLevelProp();
   }
 
+  // mop
+  supportsMopLeftTimeReporting() {
+    return !!this.mopLeftTimeProp();
+  }
+
+  supportsMopLifeLevelReporting() {
+    return !!this.mopLifeLevelProp();
+  }
+
+  // consumable reset
+  supportsMainBrushLifeResetAction() {
+    return this._supportsConsumableReset(this.resetMainBrushLifeAction(), this.mainBrushConsumableValue());
+  }
+
+  supportsSideBrushLifeResetAction() {
+    return this._supportsConsumableReset(this.resetSideBrushLifeAction(), this.sideBrushConsumableValue());
+  }
+
+  supportsFilterLifeResetAction() {
+    return this._supportsConsumableReset(this.resetFilterLifeAction(), this.filterConsumableValue());
+  }
+
+  supportsMopLifeResetAction() {
+    return this._supportsConsumableReset(this.resetMopLifeAction(), this.mopConsumableValue());
+  }
+
   //last clean
   supportsLastCleanTime() {
     return !!this.cleanTimeProp();
@@ -275,6 +421,19 @@ class RobotCleanerDevice extends BaseDevice {
     return !!this.totalCleanAreaProp();
   }
 
+  // rooms and zones
+  supportsRoomCleaning() {
+    return !!this.roomCleanAction() || !!this.startRoomSweepAction();
+  }
+
+  supportsRoomMappingReporting() {
+    return !!this.roomMappingMethod() || (!!this.roomListProp() && this.roomListProp().isReadable());
+  }
+
+  supportsZoneCleaning() {
+    return !!this.zoneCleanMethod() || (!!this.zonePointsProp() && !!this.startZoneCleanAction());
+  }
+
 
   /*----------========== GETTERS ==========----------*/
 
@@ -294,6 +453,14 @@ class RobotCleanerDevice extends BaseDevice {
     return this.getPropertyValue(this.sideBrushLifeLevelProp());
   }
 
+  getMopLeftTime() {
+    return this.getPropertyValue(this.mopLeftTimeProp());
+  }
+
+  getMopLifeLevel() {
+    return this.getPropertyValue(this.mopLifeLevelProp());
+  }
+
   getLastCleanTime() {
     return this.getPropertyValue(this.cleanTimeProp());
   }
@@ -314,13 +481,49 @@ class RobotCleanerDevice extends BaseDevice {
     return this.getPropertyValue(this.totalCleanAreaProp());
   }
 
+  getReportedRooms() {
+    return this.reportedRooms;
+  }
+
+  // the rooms which are currently cleaned, an empty array when the vacuum does not clean specific rooms
+  getCleaningRoomIds() {
+    if (!this.isVacuumWorking()) {
+      return [];
+    }
+    const roomIdsProp = this.roomIdsProp();
+    if (roomIdsProp && roomIdsProp.isReadable()) {
+      const roomIds = this._parseRoomIds(this.getPropertyValue(roomIdsProp));
+      if (roomIds.length > 0) {
+        return roomIds;
+      }
+    }
+    return this.cleaningTarget ? this.cleaningTarget.roomIds : [];
+  }
+
 
   /*----------========== SETTERS ==========----------*/
 
 
   /*----------========== CONVENIENCE ==========----------*/
 
+  resetMainBrushLife() {
+    return this._resetConsumable(this.resetMainBrushLifeAction(), this.mainBrushConsumableValue());
+  }
+
+  resetSideBrushLife() {
+    return this._resetConsumable(this.resetSideBrushLifeAction(), this.sideBrushConsumableValue());
+  }
+
+  resetFilterLife() {
+    return this._resetConsumable(this.resetFilterLifeAction(), this.filterConsumableValue());
+  }
+
+  resetMopLife() {
+    return this._resetConsumable(this.resetMopLifeAction(), this.mopConsumableValue());
+  }
+
   async setSweepActive(active) {
+    this.cleaningTarget = null;
     if (active) {
       return this.fireAction(this.startSweepAction());
     } else {
@@ -333,6 +536,58 @@ class RobotCleanerDevice extends BaseDevice {
     return this.isStatusSweeping() || this.isStatusSweepingAndMopping() || this.isStatusMopping();
   }
 
+  async fetchRooms() {
+    try {
+      if (this.roomMappingMethod()) {
+        const result = await this.executeMethod(this.roomMappingMethod());
+        this.reportedRooms = this._parseRoomMapping(result);
+      } else if (this.roomListProp().isValueSynced()) {
+        this.reportedRooms = this._parseRoomList(this.getPropertyValue(this.roomListProp()));
+      } else {
+        return this.reportedRooms; // the rooms are taken from the property once it was polled
+      }
+      this.logger.info(`Found ${this.reportedRooms.length} rooms: ${this.reportedRooms.map(room => `${room.name} (${room.id})`).join(', ')}`);
+      this.updateAccessoryStatus();
+    } catch (err) {
+      this.logger.warn(`Failed to fetch the rooms! Configure the rooms manually to get room switches!`);
+      this.logger.debug(err);
+    }
+    return this.reportedRooms;
+  }
+
+  async startRoomCleaning(roomIds = []) {
+    if (roomIds.length === 0) {
+      return;
+    }
+    const roomIdsParam = roomIds.join(',');
+    if (this.roomCleanAction()) {
+      await this.fireAction(this.roomCleanAction(), this.roomCleanActionParams(roomIdsParam));
+    } else {
+      await this.fireAction(this.startRoomSweepAction(), [roomIdsParam]);
+    }
+    this._setCleaningTarget(roomIds);
+  }
+
+  // the room clean action expects the clean mode (0 - global) and the operation (1 - start) next to the room ids
+  roomCleanActionParams(roomIdsParam) {
+    return [0, 1, roomIdsParam];
+  }
+
+  // a zone is a rectangle [x1, y1, x2, y2] in the coordinates of the device map
+  async startZoneCleaning(zones = []) {
+    if (zones.length === 0) {
+      return;
+    }
+    this._setCleaningTarget([]);
+    if (this.zoneCleanMethod()) {
+      return this.executeMethod(this.zoneCleanMethod(), zones.map(zone => [...zone.zone, zone.repeats || 1]));
+    }
+    // devices with zone points only accept a single zone specified by its four corners
+    const [x1, y1, x2, y2] = zones[0].zone;
+    await this.setPropertyValue(this.zonePointsProp(), [x1, y1, x2, y1, x2, y2, x1, y2].join(','));
+    return this.fireAction(this.startZoneCleanAction());
+  }
+
 
   /*----------========== VALUE CONVENIENCE  ==========----------*/
 
@@ -375,6 +630,99 @@ class RobotCleanerDevice extends BaseDevice {
 
   /*----------========== HELPERS ==========----------*/
 
+  _supportsConsumableReset(resetAction, consumableValue) {
+    return !!resetAction || (!!this.resetConsumableAction() && consumableValue !== null);
+  }
+
+  // prefer the reset action of the consumable, otherwise reset it by its index
+  _resetConsumable(resetAction, consumableValue) {
+    if (resetAction) {
+      return this.fireAction(resetAction);
+    }
+    return this.fireAction(this.resetConsumableAction(), [consumableValue]);
+  }
+
+  _setCleaningTarget(roomIds) {
+    this.cleaningTarget = {
+      roomIds: roomIds.map(id => String(id)),
+      time: Date.now(),
+      started: false
+    };
+  }
+
+  // the target is kept until the vacuum stops working after it started
+  _updateCleaningTarget() {
+    if (this.cleaningTarget) {
+      if (this.isVacuumWorking()) {
+        this.cleaningTarget.started = true;
+      } else if (this.cleaningTarget.started || Date.now() - this.cleaningTarget.time > CLEANING_TARGET_START_TIMEOUT) {
+        this.cleaningTarget = null;
+      }
+    }
+  }
+
+  _parseRoomIds(value) {
+    if (value == null) {
+      return [];
+    }
+    return String(value).replace(/[\[\]"\s]/g, '').split(',').filter(id => id.length > 0);
+  }
+
+  // the room mapping entries are [segmentId, roomId], the start room sweep action expects the room ids
+  _parseRoomMapping(result) {
+    if (!Array.isArray(result)) {
+      return [];
+    }
+    return result.filter(entry => Array.isArray(entry) && entry.length > 1).map(entry => ({
+      id: String(entry[1]),
+      name: `Room ${entry[1]}`
+    }));
+  }
+
+  // the room list property is a json string with the rooms either as objects with the id and name or as [id, name] entries
+  _parseRoomList(value) {
+    if (value == null || value === '') {
+      return [];
+    }
+    let rooms = value;
+    try {
+      rooms = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (err) {
+      this.logger.debug(`Failed to parse the room list ${value}! Error: ${err}`);
+      return [];
+    }
+    if (rooms && !Array.isArray(rooms) && Array.isArray(rooms.rooms)) {
+      rooms = rooms.rooms;
+    }
+    if (!Array.isArray(rooms)) {
+      return [];
+    }
+    return rooms.map((room) => {
+      if (Array.isArray(room)) {
+        return { id: room[0], name: room[1] };
+      }
+      if (room && typeof room === 'object') {
+        return { id: room.id != null ? room.id : room.roomId, name: room.name != null ? room.name : room.roomName };
+      }
+      return null;
+    }).filter(room => room && room.id != null).map(room => ({
+      id: String(room.id),
+      name: room.name ? String(room.name) : `Room ${room.id}`
+    }));
+  }
+
+  // devices which report the rooms with a property can change them at any time, for example when the map is edited
+  _updateReportedRoomsFromProperty() {
+    if (this.roomMappingMethod() || !this.supportsRoomMappingReporting() || !this.roomListProp().isValueSynced()) {
+      return;
+    }
+    const rooms = this._parseRoomList(this.getPropertyValue(this.roomListProp()));
+    if (JSON.stringify(rooms) !== JSON.stringify(this.reportedRooms)) {
+      this.reportedRooms = rooms;
+      this.logger.info(`Reported rooms changed! Found ${rooms.length} rooms: ${rooms.map(room => `${room.name} (${room.id})`).join(', ')}`);
+    }
+  }
+
   _mergeValueOrArrayIntoArray(targetArr = [], source) {
     if (source != null && source !== -1) { // -1 is returned when the value is not found
       if (!Array.isArray(source)) {
@@ -31,7 +31,7 @@ class IjaiVacuumV2 extends RobotCleanerDevice {
   devicePropertiesToMonitor() {
     return ['vacuum:status', 'vacuum:mode', 'vacuum:fault', 'battery:battery-level',
       'alarm:alarm', 'sweep:main-brush-hourss', 'sweep:main-brush-life', 'sweep:side-brush-life', 'sweep:side-brush-hours',
-      'sweep:hypa-hour', 'sweep:hypa-life', 'sweep:cleaning-time', 'sweep:cleaning-area'
+      'sweep:hypa-hour', 'sweep:hypa-life', 'sweep:mop-hours', 'sweep:mop-life', 'sweep:cleaning-time', 'sweep:cleaning-area'
     ];
   }
 
@@ -225,6 +225,22 @@ class IjaiVacuumV2 extends RobotCleanerDevice {
 
   /*----------========== VALUES OVERRIDES ==========----------*/
 
+  mainBrushConsumableValue() {
+    return 1;
+  }
+
+  sideBrushConsumableValue() {
+    return 2;
+  }
+
+  filterConsumableValue() {
+    return 3;
+  }
+
+  mopConsumableValue() {
+    return 4;
+  }
+
   statusSweepingValue() {
     return 5;
   }
@@ -264,6 +280,14 @@ class IjaiVacuumV2 extends RobotCleanerDevice {
 
   /*----------========== PROPERTY OVERRIDES ==========----------*/
 
+  mopLeftTimeProp() {
+    return this.getProperty('sweep:mop-hours');
+  }
+
+  mopLifeLevelProp() {
+    return this.getProperty('sweep:mop-life');
+  }
+
   mainBrushLeftTimeProp() {
     return this.getProperty('sweep:main-brush-hours');
   }
@@ -302,6 +326,10 @@ class IjaiVacuumV2 extends RobotCleanerDevice {
 
   /*----------========== OVERRIDES ==========----------*/
 
+  roomCleanActionParams(roomIdsParam) {
+    return [roomIdsParam, 0, 1];
+  }
+
 
 }
 
@@ -228,6 +228,22 @@ class IjaiVacuumV3 extends RobotCleanerDevice {
 
   /*----------========== VALUES OVERRIDES ==========----------*/
 
+  mainBrushConsumableValue() {
+    return 1;
+  }
+
+  sideBrushConsumableValue() {
+    return 2;
+  }
+
+  filterConsumableValue() {
+    return 3;
+  }
+
+  mopConsumableValue() {
+    return 4;
+  }
+
   statusSweepingValue() {
     return 5;
   }
@@ -267,6 +283,14 @@ class IjaiVacuumV3 extends RobotCleanerDevice {
 
   /*----------========== PROPERTY OVERRIDES ==========----------*/
 
+  mopLeftTimeProp() {
+    return this.getProperty('sweep:mop-hours');
+  }
+
+  mopLifeLevelProp() {
+    return this.getProperty('sweep:mop-life');
+  }
+
   mainBrushLeftTimeProp() {
     return this.getProperty('sweep:main-brush-hours');
   }
@@ -133,6 +133,17 @@ class RoborockVacuumA15 extends RobotCleanerDevice {
   /*----------========== ACTION OVERRIDES ==========----------*/
 
 
+  /*----------========== METHOD OVERRIDES ==========----------*/
+
+  roomMappingMethod() {
+    return 'get_room_mapping';
+  }
+
+  zoneCleanMethod() {
+    return 'app_zoned_clean';
+  }
+
+
   /*----------========== OVERRIDES ==========----------*/
 
 
@@ -134,6 +134,17 @@ class RoborockVacuumA27 extends RobotCleanerDevice {
   /*----------========== ACTION OVERRIDES ==========----------*/
 
 
+  /*----------========== METHOD OVERRIDES ==========----------*/
+
+  roomMappingMethod() {
+    return 'get_room_mapping';
+  }
+
+  zoneCleanMethod() {
+    return 'app_zoned_clean';
+  }
+
+
   /*----------========== OVERRIDES ==========----------*/
 
   isVacuumWorking() {
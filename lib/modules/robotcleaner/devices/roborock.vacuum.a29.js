@@ -140,6 +140,17 @@ class RoborockVacuumA29 extends RobotCleanerDevice {
   /*----------========== ACTION OVERRIDES ==========----------*/
 
 
+  /*----------========== METHOD OVERRIDES ==========----------*/
+
+  roomMappingMethod() {
+    return 'get_room_mapping';
+  }
+
+  zoneCleanMethod() {
+    return 'app_zoned_clean';
+  }
+
+
   /*----------========== OVERRIDES ==========----------*/
 
   isVacuumWorking() {
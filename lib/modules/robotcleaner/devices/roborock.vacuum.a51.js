@@ -136,6 +136,17 @@ class RoborockVacuumA51 extends RobotCleanerDevice {
   /*----------========== ACTION OVERRIDES ==========----------*/
 
 
+  /*----------========== METHOD OVERRIDES ==========----------*/
+
+  roomMappingMethod() {
+    return 'get_room_mapping';
+  }
+
+  zoneCleanMethod() {
+    return 'app_zoned_clean';
+  }
+
+
   /*----------========== OVERRIDES ==========----------*/
 
 
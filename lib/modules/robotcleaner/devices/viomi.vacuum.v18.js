@@ -31,7 +31,7 @@ class ViomiVacuumV18 extends RobotCleanerDevice {
   devicePropertiesToMonitor() {
     return ['vacuum:status', 'vacuum:mode', 'vacuum:fault', 'battery:battery-level',
       'viomi-vacuum:main-brush-hours', 'viomi-vacuum:main-brush-life', 'viomi-vacuum:side-brush-hours', 'viomi-vacuum:side-brush-life',
-      'viomi-vacuum:hypa-hours', 'viomi-vacuum:hypa-life', 'viomi-vacuum:clean-use-time', 'viomi-vacuum:clean-area'
+      'viomi-vacuum:hypa-hours', 'viomi-vacuum:hypa-life', 'viomi-vacuum:mop-hours', 'viomi-vacuum:mop-life', 'viomi-vacuum:clean-use-time', 'viomi-vacuum:clean-area'
     ];
   }
 
@@ -193,6 +193,22 @@ class ViomiVacuumV18 extends RobotCleanerDevice {
 
   /*----------========== VALUES OVERRIDES ==========----------*/
 
+  mainBrushConsumableValue() {
+    return 1;
+  }
+
+  sideBrushConsumableValue() {
+    return 0;
+  }
+
+  filterConsumableValue() {
+    return 2;
+  }
+
+  mopConsumableValue() {
+    return 3;
+  }
+
   statusSweepingValue() {
     return 5;
   }
@@ -228,6 +244,14 @@ class ViomiVacuumV18 extends RobotCleanerDevice {
 
   /*----------========== PROPERTY OVERRIDES ==========----------*/
 
+  mopLeftTimeProp() {
+    return this.getProperty('viomi-vacuum:mop-hours');
+  }
+
+  mopLifeLevelProp() {
+    return this.getProperty('viomi-vacuum:mop-life');
+  }
+
   mainBrushLeftTimeProp() {
     return this.getProperty('viomi-vacuum:main-brush-hours');
   }
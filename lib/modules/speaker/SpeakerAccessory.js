@@ -105,7 +105,7 @@ class SpeakerAccessory extends BaseAccessory {
   }
 
   getVolume() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       let value = this.getDevice().getVolumeValue();
       value = Math.max(value, this.getDevice().volumeRange()[0]);
       return value;
@@ -115,7 +115,7 @@ class SpeakerAccessory extends BaseAccessory {
 
   setVolume(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setVolumeValue(value);
+      return this.getDevice().setVolumeValue(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -123,7 +123,7 @@ class SpeakerAccessory extends BaseAccessory {
 
   setPlay(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().playMedia();
+      return this.getDevice().playMedia();
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -131,7 +131,7 @@ class SpeakerAccessory extends BaseAccessory {
 
   setPause(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().pauseMedia();
+      return this.getDevice().pauseMedia();
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -139,7 +139,7 @@ class SpeakerAccessory extends BaseAccessory {
 
   setNext(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().nextMedia();
+      return this.getDevice().nextMedia();
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -147,7 +147,7 @@ class SpeakerAccessory extends BaseAccessory {
 
   setPrevious(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().previousMedia();
+      return this.getDevice().previousMedia();
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -63,7 +63,7 @@ class SubmersionSensorAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getLeakDetectedState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isSubmersionStateOn() ? Characteristic.LeakDetected.LEAK_DETECTED : Characteristic.LeakDetected.LEAK_NOT_DETECTED;
     }
     return Characteristic.LeakDetected.LEAK_NOT_DETECTED;
@@ -84,7 +84,7 @@ class SwitchAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   isSwitchOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isOn();
     }
     return false;
@@ -92,7 +92,7 @@ class SwitchAccessory extends BaseAccessory {
 
   setSwitchOn(value) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setOn(value);
+      return this.getDevice().setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
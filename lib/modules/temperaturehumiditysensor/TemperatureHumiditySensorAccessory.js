@@ -2,6 +2,7 @@ let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
 const BaseAccessory = require('../../base/BaseAccessory.js');
 const Constants = require('../../constants/Constants.js');
 const DevTypes = require('../../constants/DevTypes.js');
+const HistoryType = require('../../constants/HistoryType.js');
 
 
 class TemperatureHumiditySensorAccessory extends BaseAccessory {
@@ -73,6 +74,20 @@ class TemperatureHumiditySensorAccessory extends BaseAccessory {
   /*----------========== GETTERS ==========----------*/
 
 
+  /*----------========== HISTORY ==========----------*/
+
+  getHistoryType() {
+    return HistoryType.WEATHER;
+  }
+
+  getHistorySample() {
+    return {
+      temp: this.getDevice().getTemperature(),
+      humidity: this.getDevice().getRelativeHumidity()
+    };
+  }
+
+
   /*----------========== PROPERTY WRAPPERS ==========----------*/
 
 
@@ -2,6 +2,7 @@ let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
 const BaseAccessory = require('../../base/BaseAccessory.js');
 const Constants = require('../../constants/Constants.js');
 const DevTypes = require('../../constants/DevTypes.js');
+const HistoryType = require('../../constants/HistoryType.js');
 
 
 class ThermostatAccessory extends BaseAccessory {
@@ -96,7 +97,7 @@ class ThermostatAccessory extends BaseAccessory {
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getCurrentHeatingCoolingState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isOn()) {
         if (this.getDevice().isStatusHeating()) {
           return Characteristic.CurrentHeatingCoolingState.HEAT;
@@ -111,7 +112,7 @@ class ThermostatAccessory extends BaseAccessory {
   }
 
   getTargetHeatingCoolingState() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       if (this.getDevice().isOn()) {
         if (this.getDevice().isStatusHeating()) {
           return Characteristic.TargetHeatingCoolingState.HEAT;
@@ -128,13 +129,11 @@ class ThermostatAccessory extends BaseAccessory {
   setTargetHeatingCoolingState(state) {
     if (this.isMiotDeviceConnected()) {
       if (state === Characteristic.TargetHeatingCoolingState.HEAT) {
-        this.getDevice().turnOnIfNecessary();
-        this.getDevice().startHeating(); // start heating
+        return this.getDevice().startHeating(); // turns on the device and starts heating
       } else if (state === Characteristic.TargetHeatingCoolingState.COOL) {
-        this.getDevice().turnOnIfNecessary();
-        this.getDevice().startCooling(); // start heating
+        return this.getDevice().startCooling(); // turns on the device and starts cooling
       } else if (state === Characteristic.TargetHeatingCoolingState.OFF) {
-        this.getDevice().setOn(false);
+        return this.getDevice().setOn(false);
       } else {
         throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
       }
@@ -142,7 +141,7 @@ class ThermostatAccessory extends BaseAccessory {
   }
 
   getTargetTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().getTargetTemperatureSafe();
     }
     return this.getDevice().targetTemperatureRange()[0]; // return minimum value
@@ -150,7 +149,7 @@ class ThermostatAccessory extends BaseAccessory {
 
   setTargetTemperature(temp) {
     if (this.isMiotDeviceConnected()) {
-      this.getDevice().setTargetTemperature(temp);
+      return this.getDevice().setTargetTemperature(temp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -177,6 +176,22 @@ class ThermostatAccessory extends BaseAccessory {
   /*----------========== GETTERS ==========----------*/
 
 
+  /*----------========== HISTORY ==========----------*/
+
+  getHistoryType() {
+    return HistoryType.THERMO;
+  }
+
+  // thermostats do not report a valve position, so it is fully open while heating
+  getHistorySample() {
+    return {
+      currentTemp: this.getDevice().getTemperature(),
+      setTemp: this.getDevice().getTargetTemperature(),
+      valvePosition: this.getCurrentHeatingCoolingState() === Characteristic.CurrentHeatingCoolingState.HEAT ? 100 : 0
+    };
+  }
+
+
   /*----------========== PROPERTY WRAPPERS ==========----------*/
 
 
@@ -103,11 +103,15 @@ class ThermostatDevice extends BaseDevice {
   }
 
   startHeating() {
-    return this.setTargetTemperature(this.targetTemperatureRange()[1]); // target temp to max
+    return this.turnOnWithPropertyValues(new Map([
+      [this.targetTemperatureProp(), this.targetTemperatureRange()[1]] // target temp to max
+    ]));
   }
 
   startCooling() {
-    return this.setTargetTemperature(this.targetTemperatureRange()[0]); // target temp to min
+    return this.turnOnWithPropertyValues(new Map([
+      [this.targetTemperatureProp(), this.targetTemperatureRange()[0]] // target temp to min
+    ]));
   }
 
 
@@ -2,6 +2,7 @@ let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
 const BaseAccessory = require('../../base/BaseAccessory.js');
 const Constants = require('../../constants/Constants.js');
 const DevTypes = require('../../constants/DevTypes.js');
+const Events = require('../../constants/Events.js');
 
 
 class VideoDoorbellAccessory extends BaseAccessory {
@@ -50,6 +51,8 @@ class VideoDoorbellAccessory extends BaseAccessory {
       .onGet(this.getStatusActive.bind(this));
 
     this.addAccessoryService(this.motionSensorService);
+
+    this.prepareDoorbell();
   }
 
   setupAdditionalAccessoryServices() {
@@ -59,11 +62,46 @@ class VideoDoorbellAccessory extends BaseAccessory {
 
   /*----------========== CREATE ADDITIONAL SERVICES ==========----------*/
 
+  prepareDoorbell() {
+    // when a camera source is specified then the doorbell controller also adds the doorbell service, else just add the doorbell service
+    this.cameraStreamingDelegate = this.createCameraStreamingDelegate();
+    if (this.cameraStreamingDelegate) {
+      this.doorbellController = this.cameraStreamingDelegate.createDoorbellController();
+      this.getAccessory().configureController(this.doorbellController);
+    } else {
+      this.doorbellService = new Service.Doorbell(this.getName(), 'doorbellService');
+      this.doorbellService
+        .getCharacteristic(Characteristic.ProgrammableSwitchEvent)
+        .setProps({
+          validValues: [Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS]
+        });
+      this.addAccessoryService(this.doorbellService);
+    }
+
+    // ring the doorbell when the device reports a press, devices without a ring event report a busy status while ringing
+    if (this.getDevice().supportsDoorbellRingEvent()) {
+      const doorbellRingEvent = this.getDevice().doorbellRingEvent();
+      this.getDevice().addEventToMonitor(doorbellRingEvent);
+      doorbellRingEvent.on(Events.EVENT_OCCURRED, () => {
+        this.ringDoorbell();
+      });
+    } else if (this.getDevice().statusProp()) {
+      this.wasStatusBusy = false;
+      this.getDevice().statusProp().on(Events.PROP_VALUE_CHANGED, () => {
+        const isStatusBusy = this.getDevice().isStatusBusy();
+        if (isStatusBusy && !this.wasStatusBusy) {
+          this.ringDoorbell();
+        }
+        this.wasStatusBusy = isStatusBusy;
+      });
+    }
+  }
+
 
   /*----------========== HOMEBRIDGE STATE SETTERS/GETTERS ==========----------*/
 
   getMotionDetected() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getDevice().isMotionDetection();
     }
     return false;
@@ -76,6 +114,15 @@ class VideoDoorbellAccessory extends BaseAccessory {
     return false;
   }
 
+  ringDoorbell() {
+    this.getLogger().info(`Doorbell pressed!`);
+    if (this.doorbellController) {
+      this.doorbellController.ringDoorbell();
+    } else if (this.doorbellService) {
+      this.doorbellService.getCharacteristic(Characteristic.ProgrammableSwitchEvent).updateValue(Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS);
+    }
+  }
+
   // ----- additional services
 
 
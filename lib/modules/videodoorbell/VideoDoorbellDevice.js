@@ -63,6 +63,13 @@ class VideoDoorbellDevice extends BaseDevice {
   /*----------========== ACTIONS ==========----------*/
 
 
+  /*----------========== EVENTS ==========----------*/
+
+  doorbellRingEvent() {
+    return this.findEventByType('doorbell-ring') || null;
+  }
+
+
   /*----------========== FEATURES ==========----------*/
 
   // current position
@@ -70,6 +77,10 @@ class VideoDoorbellDevice extends BaseDevice {
     return !!this.motionDetectionProp();
   }
 
+  supportsDoorbellRingEvent() {
+    return !!this.doorbellRingEvent();
+  }
+
 
   /*----------========== GETTERS ==========----------*/
 
@@ -196,6 +196,20 @@ class MiCloud {
     return data.result;
   }
 
+  // retrieves the history of a device event, the key is the event spec id in the siid.eiid format and the time is in seconds
+  async getUserDeviceData(deviceId, key, type, timeStart, timeEnd, limit = 10) {
+    const req = {
+      did: String(deviceId),
+      key,
+      type,
+      time_start: timeStart,
+      time_end: timeEnd,
+      limit
+    };
+    const data = await this.request(`/user/get_user_device_data`, req);
+    return data.result || [];
+  }
+
   // private stuff
   async _requestUnencrypted(path, data) {
     if (!this.isLoggedIn()) {
@@ -234,12 +248,20 @@ class MiCloud {
       body: querystring.stringify(body),
     });
 
+    if (res.status === 401) {
+      throw new Errors.MiCloudAuthError(`Request error with status ${res.status} ${res.statusText}`);
+    }
+
     if (!res.ok) {
       throw new Error(`Request error with status ${res.status} ${res.statusText}`);
     }
 
     const json = await res.json();
 
+    if (json && json.message === 'auth err') {
+      throw new Errors.MiCloudAuthError(json.message);
+    }
+
     if (json && !json.result && json.message && json.message.length > 0) {
       this.logger.debug(`(MiCloud) No result in response from MiCloud! Message: ${json.message}`);
     }
@@ -281,6 +303,10 @@ class MiCloud {
       body: querystring.stringify(body)
     });
 
+    if (res.status === 401) {
+      throw new Errors.MiCloudAuthError(`Request error with status ${res.status} ${res.statusText}`);
+    }
+
     if (!res.ok) {
       throw new Error(`Request error with status ${res.status} ${res.statusText}`);
     }
@@ -289,6 +315,10 @@ class MiCloud {
     const decryptedText = this._decryptRc4(signedNonce, responseText);
     const json = JSON.parse(decryptedText);
 
+    if (json && json.message === 'auth err') {
+      throw new Errors.MiCloudAuthError(json.message);
+    }
+
     if (json && !json.result && json.message && json.message.length > 0) {
       this.logger.debug(`(MiCloud) No result in response from MiCloud! Message: ${json.message}`);
     }
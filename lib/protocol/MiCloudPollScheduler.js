@@ -0,0 +1,129 @@
+const SCHEDULER_TICK_INTERVAL = 1000; // in milliseconds
+const REQUEST_MERGE_DELAY = 50; // in milliseconds, property requests which are queued within that time are sent together
+const MAX_PROPS_PER_REQUEST = 100;
+
+
+// polls the cloud devices of a MiCloud session together
+// the polls of all devices are aligned to a common schedule, so that devices with the same polling interval are due at the same time
+// the property requests of all due devices are merged into chunked multi device /miotspec/prop/get requests
+class MiCloudPollScheduler {
+  constructor(session, logger) {
+    this.session = session;
+    this.logger = logger;
+
+    this.startTime = Date.now();
+    this.scheduledPolls = new Set();
+    this.tickInterval = null;
+    this.requestQueue = [];
+    this.flushTimeout = null;
+  }
+
+
+  /*----------========== POLLING ==========----------*/
+
+  schedulePoll(pollFn, pollingInterval) {
+    const scheduledPoll = {
+      pollFn,
+      pollingInterval,
+      nextPollTime: this._getNextAlignedPollTime(pollingInterval)
+    };
+    this.scheduledPolls.add(scheduledPoll);
+
+    if (!this.tickInterval) {
+      this.tickInterval = setInterval(() => {
+        this._tick();
+      }, SCHEDULER_TICK_INTERVAL);
+    }
+    return scheduledPoll;
+  }
+
+  cancelPoll(scheduledPoll) {
+    this.scheduledPolls.delete(scheduledPoll);
+    if (this.scheduledPolls.size === 0) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+
+  /*----------========== REQUESTS ==========----------*/
+
+  // queues the property request, the response array has the same order as the params
+  requestProperties(params = []) {
+    return new Promise((resolve, reject) => {
+      this.requestQueue.push({
+        params,
+        resolve,
+        reject
+      });
+      if (!this.flushTimeout) {
+        this.flushTimeout = setTimeout(() => {
+          this._flushRequestQueue();
+        }, REQUEST_MERGE_DELAY);
+      }
+    });
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _tick() {
+    const now = Date.now();
+    this.scheduledPolls.forEach((scheduledPoll) => {
+      if (now >= scheduledPoll.nextPollTime) {
+        scheduledPoll.nextPollTime = this._getNextAlignedPollTime(scheduledPoll.pollingInterval);
+        scheduledPoll.pollFn();
+      }
+    });
+  }
+
+  _getNextAlignedPollTime(pollingInterval) {
+    const elapsed = Date.now() - this.startTime;
+    return this.startTime + (Math.floor(elapsed / pollingInterval) + 1) * pollingInterval;
+  }
+
+  async _flushRequestQueue() {
+    const queue = this.requestQueue;
+    this.requestQueue = [];
+    this.flushTimeout = null;
+
+    const allParams = queue.reduce((params, item) => params.concat(item.params), []);
+    const chunkCount = Math.ceil(allParams.length / MAX_PROPS_PER_REQUEST);
+    this.logger.deepDebug(`Cloud poll: merged ${queue.length} property requests with ${allParams.length} properties into ${chunkCount} MiCloud requests!`);
+
+    const responses = new Map();
+    const failures = new Map();
+    for (let i = 0; i < allParams.length; i += MAX_PROPS_PER_REQUEST) {
+      const chunk = allParams.slice(i, i + MAX_PROPS_PER_REQUEST);
+      try {
+        const result = await this.session.miotGetProps(chunk);
+        (result || []).forEach((response) => {
+          responses.set(this._getParamKey(response), response);
+        });
+      } catch (err) {
+        chunk.forEach((param) => {
+          failures.set(this._getParamKey(param), err);
+        });
+      }
+    }
+
+    // fan out the responses to the requesting devices
+    queue.forEach((item) => {
+      const failedParam = item.params.find(param => failures.has(this._getParamKey(param)));
+      if (failedParam) {
+        item.reject(failures.get(this._getParamKey(failedParam)));
+      } else if (item.params.some(param => responses.has(this._getParamKey(param)))) {
+        item.resolve(item.params.map(param => responses.get(this._getParamKey(param))));
+      } else {
+        item.resolve([]);
+      }
+    });
+  }
+
+  _getParamKey(param) {
+    return `${param.did}.${param.siid}.${param.piid}`;
+  }
+
+}
+
+module.exports = MiCloudPollScheduler;
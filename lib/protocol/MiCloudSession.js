@@ -0,0 +1,112 @@
+const MiCloud = require('./MiCloud.js');
+const MiCloudPollScheduler = require('./MiCloudPollScheduler.js');
+const Errors = require("../utils/Errors.js");
+
+
+// a MiCloud connection to a specific country server which is shared by all devices of an account
+// the service token is provided by the session manager, when a request fails with an auth error the token is refreshed once and the request is retried
+class MiCloudSession {
+  constructor(sessionManager, logger, username, country, options = {}) {
+    this.sessionManager = sessionManager;
+    this.logger = logger;
+    this.username = username;
+    this.country = country;
+
+    this.miCloud = new MiCloud(logger);
+    this.miCloud.setCountry(country);
+    this.miCloud.setUseUnencryptedRequests(options.useUnencryptedRequests);
+    this.requestTimeout = 0;
+    this.setRequestTimeout(options.requestTimeout);
+    this.pollScheduler = null;
+  }
+
+
+  /*----------========== SESSION ==========----------*/
+
+  isLoggedIn() {
+    return this.miCloud.isLoggedIn();
+  }
+
+  async login() {
+    if (!this.isLoggedIn()) {
+      const serviceToken = await this.sessionManager.getServiceToken(this.username, this.logger);
+      this.miCloud.setServiceToken(serviceToken);
+    }
+  }
+
+  getUsername() {
+    return this.username;
+  }
+
+  getCountry() {
+    return this.country;
+  }
+
+  getPollScheduler() {
+    if (!this.pollScheduler) {
+      this.pollScheduler = new MiCloudPollScheduler(this, this.logger);
+    }
+    return this.pollScheduler;
+  }
+
+  // the session is shared, so use the longest requested timeout
+  setRequestTimeout(requestTimeout) {
+    if (requestTimeout && requestTimeout > this.requestTimeout) {
+      this.requestTimeout = requestTimeout;
+      this.miCloud.setRequestTimeout(requestTimeout);
+    }
+  }
+
+
+  /*----------========== REQUESTS ==========----------*/
+
+  async getDevices(deviceIds) {
+    return this._request(miCloud => miCloud.getDevices(deviceIds));
+  }
+
+  async getDevice(deviceId) {
+    return this._request(miCloud => miCloud.getDevice(deviceId));
+  }
+
+  async miioCall(deviceId, method, params) {
+    return this._request(miCloud => miCloud.miioCall(deviceId, method, params));
+  }
+
+  async miotGetProps(params) {
+    return this._request(miCloud => miCloud.miotGetProps(params));
+  }
+
+  async miotSetProps(params) {
+    return this._request(miCloud => miCloud.miotSetProps(params));
+  }
+
+  async miotAction(params) {
+    return this._request(miCloud => miCloud.miotAction(params));
+  }
+
+  async getUserDeviceData(deviceId, key, type, timeStart, timeEnd, limit) {
+    return this._request(miCloud => miCloud.getUserDeviceData(deviceId, key, type, timeStart, timeEnd, limit));
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  async _request(requestFn) {
+    await this.login();
+    const usedServiceToken = this.miCloud.getServiceToken();
+    try {
+      return await requestFn(this.miCloud);
+    } catch (err) {
+      if (err instanceof Errors.MiCloudAuthError) {
+        this.logger.debug(`MiCloud service token of ${this.username} rejected! Refreshing the service token and retrying the request!`);
+        const serviceToken = await this.sessionManager.refreshServiceToken(this.username, usedServiceToken, this.logger);
+        this.miCloud.setServiceToken(serviceToken);
+        return await requestFn(this.miCloud);
+      }
+      throw err;
+    }
+  }
+
+}
+
+module.exports = MiCloudSession;
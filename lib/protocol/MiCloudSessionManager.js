@@ -0,0 +1,138 @@
+const path = require('path');
+const fs = require('fs');
+const MiCloud = require('./MiCloud.js');
+const MiCloudSession = require('./MiCloudSession.js');
+
+const SESSIONS_FILE_NAME = 'micloud_sessions.json';
+const LOGIN_RETRY_DELAY = 60 * 1000; // in milliseconds, prevents that a failed login (for example 2fa required) is immediately retried by every device
+
+
+// account scoped registry of MiCloud sessions which are shared by all devices
+// logins are serialized per account and the service tokens are persisted, so that a restart does not require a new login
+class MiCloudSessionManager {
+  constructor() {
+    this.sessionsFile = null;
+    this.storedServiceTokens = {};
+    this.accounts = new Map(); // username -> { password, serviceToken, loginPromise, lastLoginError, lastLoginErrorTime }
+    this.sessions = new Map(); // username|country|encryption -> MiCloudSession
+  }
+
+
+  /*----------========== SETUP ==========----------*/
+
+  setStorageDir(storageDir) {
+    this.sessionsFile = storageDir ? path.join(storageDir, SESSIONS_FILE_NAME) : null;
+    try {
+      this.storedServiceTokens = JSON.parse(fs.readFileSync(this.sessionsFile, 'utf8')) || {};
+    } catch (err) {
+      this.storedServiceTokens = {};
+    }
+  }
+
+
+  /*----------========== SESSIONS ==========----------*/
+
+  getSession(logger, username, password, country = 'cn', options = {}) {
+    const account = this._getAccount(username);
+    account.password = password;
+
+    const sessionKey = `${username}|${country}|${options.useUnencryptedRequests ? 'unencrypted' : 'encrypted'}`;
+    let session = this.sessions.get(sessionKey);
+    if (!session) {
+      session = new MiCloudSession(this, logger, username, country, options);
+      this.sessions.set(sessionKey, session);
+    } else {
+      session.setRequestTimeout(options.requestTimeout);
+    }
+    return session;
+  }
+
+  async getServiceToken(username, logger) {
+    const account = this._getAccount(username);
+    if (account.serviceToken) {
+      return account.serviceToken;
+    }
+
+    // only one login at a time, all other requests wait for the result
+    if (!account.loginPromise) {
+      account.loginPromise = this._login(username, account, logger).finally(() => {
+        account.loginPromise = null;
+      });
+    }
+    return account.loginPromise;
+  }
+
+  async refreshServiceToken(username, expiredServiceToken, logger) {
+    const account = this._getAccount(username);
+    // the token might have been already refreshed by another request in the meantime
+    if (account.serviceToken && expiredServiceToken && account.serviceToken.serviceToken === expiredServiceToken.serviceToken) {
+      account.serviceToken = null;
+      this._storeServiceToken(username, null);
+    }
+    return this.getServiceToken(username, logger);
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _getAccount(username) {
+    let account = this.accounts.get(username);
+    if (!account) {
+      account = {
+        password: null,
+        serviceToken: this.storedServiceTokens[username] || null,
+        loginPromise: null,
+        lastLoginError: null,
+        lastLoginErrorTime: 0
+      };
+      this.accounts.set(username, account);
+    }
+    return account;
+  }
+
+  async _login(username, account, logger) {
+    if (account.lastLoginError && Date.now() - account.lastLoginErrorTime < LOGIN_RETRY_DELAY) {
+      throw account.lastLoginError;
+    }
+
+    const miCloud = new MiCloud(logger);
+    try {
+      logger.info(`Log in to MiCloud with username ${username}!`);
+      await miCloud.login(username, account.password);
+    } catch (err) {
+      account.lastLoginError = err;
+      account.lastLoginErrorTime = Date.now();
+      throw err;
+    }
+
+    account.lastLoginError = null;
+    account.serviceToken = miCloud.getServiceToken();
+    this._storeServiceToken(username, account.serviceToken);
+    return account.serviceToken;
+  }
+
+  _storeServiceToken(username, serviceToken) {
+    if (serviceToken) {
+      this.storedServiceTokens[username] = serviceToken;
+    } else {
+      delete this.storedServiceTokens[username];
+    }
+
+    if (this.sessionsFile) {
+      try {
+        fs.mkdirSync(path.dirname(this.sessionsFile), {
+          recursive: true
+        });
+        fs.writeFileSync(this.sessionsFile, JSON.stringify(this.storedServiceTokens), {
+          encoding: 'utf8',
+          mode: 0o600
+        });
+      } catch (err) {
+        // not critical, a new login is required after a restart
+      }
+    }
+  }
+
+}
+
+module.exports = new MiCloudSessionManager();
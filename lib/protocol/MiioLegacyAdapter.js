@@ -0,0 +1,181 @@
+const PropFormat = require('../constants/PropFormat.js');
+
+const LEGACY_COMMAND_GET = 'get_prop';
+const RESPONSE_CODE_OK = 0;
+const RESPONSE_CODE_FAILED = -1;
+const RESPONSE_CODE_NOT_READABLE = -4001;
+const RESPONSE_CODE_NOT_WRITABLE = -4002;
+
+
+// translates miot property and action requests to legacy miio commands for devices which do not support the miot protocol
+// the mapping is declared by the device class, example:
+// {
+//   properties: {
+//     'switch:on': { name: 'power', setter: 'set_power', values: { true: 'on', false: 'off' } },
+//     'switch:temperature': { name: 'temp_dec', fromMiio: value => value / 10 }
+//   },
+//   actions: {
+//     'filter:reset-filter-life': { method: 'reset_filter1', params: [] }
+//   }
+// }
+// name - the miio property name used in get_prop
+// setter - [optional] the miio method used to set the property, the converted value is send as the only param
+// values - [optional] maps miot values to miio values
+// fromMiio/toMiio - [optional] functions for more complex value conversions, applied after/before the values mapping
+class MiioLegacyAdapter {
+  constructor(miotDevice, mapping, logger) {
+    this.miotDevice = miotDevice;
+    this.logger = logger;
+
+    this.propertyMappings = new Map(); // siid.piid -> { prop, ...mapping }
+    this.actionMappings = new Map(); // siid.aiid -> { action, ...mapping }
+    this._resolveMapping(mapping || {});
+  }
+
+
+  /*----------========== PROTOCOL ==========----------*/
+
+  async getProperties(params = []) {
+    const mappings = params.map(param => this.propertyMappings.get(this._getKey(param.siid, param.piid)));
+    const miioNames = mappings.filter(mapping => !!mapping).map(mapping => mapping.name);
+
+    let miioValues = [];
+    if (miioNames.length > 0) {
+      miioValues = await this.miotDevice.miotSend(LEGACY_COMMAND_GET, miioNames) || [];
+    }
+
+    // the legacy response is a plain list of values in the same order as the requested names
+    let valueIndex = 0;
+    return params.map((param, i) => {
+      const mapping = mappings[i];
+      if (!mapping) {
+        return this._createResponse(param, RESPONSE_CODE_NOT_READABLE);
+      }
+      const miioValue = miioValues[valueIndex++];
+      if (miioValue === undefined || miioValue === null || miioValue === '') {
+        return this._createResponse(param, RESPONSE_CODE_FAILED);
+      }
+      return this._createResponse(param, RESPONSE_CODE_OK, this._convertFromMiio(mapping, miioValue));
+    });
+  }
+
+  async setProperties(params = []) {
+    const responses = [];
+    // legacy setters only accept a single property, so send them one after another
+    for (const param of params) {
+      const mapping = this.propertyMappings.get(this._getKey(param.siid, param.piid));
+      if (!mapping || !mapping.setter) {
+        responses.push(this._createResponse(param, RESPONSE_CODE_NOT_WRITABLE));
+        continue;
+      }
+      const result = await this.miotDevice.miotSend(mapping.setter, [this._convertToMiio(mapping, param.value)]);
+      responses.push(this._createResponse(param, this._isResultOk(result) ? RESPONSE_CODE_OK : RESPONSE_CODE_FAILED));
+    }
+    return responses;
+  }
+
+  async executeAction(param = {}) {
+    const mapping = this.actionMappings.get(this._getKey(param.siid, param.aiid));
+    if (!mapping) {
+      throw new Error(`Action ${param.siid}.${param.aiid} is not supported by the legacy miio device!`);
+    }
+    const params = mapping.params || (param.in || []).map(inParam => inParam && inParam.value !== undefined ? inParam.value : inParam);
+    const result = await this.miotDevice.miotSend(mapping.method, params);
+    return {
+      did: param.did,
+      siid: param.siid,
+      aiid: param.aiid,
+      code: this._isResultOk(result) ? RESPONSE_CODE_OK : RESPONSE_CODE_FAILED,
+      out: []
+    };
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _resolveMapping(mapping) {
+    Object.keys(mapping.properties || {}).forEach((propName) => {
+      const prop = this.miotDevice.getProperty(propName);
+      if (prop) {
+        this.propertyMappings.set(this._getKey(prop.getServiceId(), prop.getId()), {
+          prop,
+          ...mapping.properties[propName]
+        });
+      } else {
+        this.logger.debug(`Legacy miio mapping: property ${propName} does not exist! Skipping!`);
+      }
+    });
+
+    Object.keys(mapping.actions || {}).forEach((actionName) => {
+      const action = this.miotDevice.getAction(actionName);
+      if (action) {
+        this.actionMappings.set(this._getKey(action.getServiceId(), action.getId()), {
+          action,
+          ...mapping.actions[actionName]
+        });
+      } else {
+        this.logger.debug(`Legacy miio mapping: action ${actionName} does not exist! Skipping!`);
+      }
+    });
+  }
+
+  _convertFromMiio(mapping, miioValue) {
+    let value = miioValue;
+    if (mapping.values) {
+      const miotValue = Object.keys(mapping.values).find(key => mapping.values[key] === miioValue);
+      if (miotValue !== undefined) {
+        value = this._parseMappingKey(mapping.prop, miotValue);
+      }
+    }
+    if (mapping.fromMiio) {
+      value = mapping.fromMiio(value);
+    }
+    return value;
+  }
+
+  _convertToMiio(mapping, value) {
+    let miioValue = value;
+    if (mapping.toMiio) {
+      miioValue = mapping.toMiio(miioValue);
+    }
+    if (mapping.values && mapping.values[String(miioValue)] !== undefined) {
+      miioValue = mapping.values[String(miioValue)];
+    }
+    return miioValue;
+  }
+
+  // the keys of the values mapping are always strings, convert them back to the property format
+  _parseMappingKey(prop, key) {
+    const format = prop.getFormat();
+    if (format === PropFormat.BOOL) {
+      return key === 'true';
+    } else if (format === PropFormat.STRING) {
+      return key;
+    }
+    return Number(key);
+  }
+
+  _isResultOk(result) {
+    return Array.isArray(result) ? result[0] === 'ok' : result === 'ok';
+  }
+
+  _createResponse(param, code, value) {
+    const response = {
+      did: param.did,
+      siid: param.siid,
+      piid: param.piid,
+      code: code
+    };
+    if (value !== undefined) {
+      response.value = value;
+    }
+    return response;
+  }
+
+  _getKey(siid, id) {
+    return `${siid}.${id}`;
+  }
+
+}
+
+module.exports = MiioLegacyAdapter;
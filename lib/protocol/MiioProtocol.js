@@ -1,9 +1,13 @@
 const EventEmitter = require('events');
 const crypto = require('crypto');
 const dgram = require('dgram');
+const Events = require('../constants/Events.js');
 
 const PORT = 54321;
+const BROADCAST_ADDRESS = '255.255.255.255';
 const HANDSHAKE_TIMEOUT = 5000;
+const DISCOVERY_TIMEOUT = 3000;
+const DISCOVERY_BROADCAST_COUNT = 3;
 const DEFAULT_TIMEOUT = 4000;
 const DEFAULT_RETRIES = 2;
 const RECOVERABLE_ERRORS = [-30001, -9999];
@@ -14,6 +18,7 @@ class MiioProtocol extends EventEmitter {
     this.logger = logger;
 
     this._devices = new Map();
+    this.setMaxListeners(0); // the protocol can be shared by the sub devices of a gateway
 
     this.init();
   }
@@ -30,9 +35,9 @@ class MiioProtocol extends EventEmitter {
     this._socket = dgram.createSocket('udp4');
 
     // Bind the socket and when it is ready mark it for broadcasting
-    // this._socket.bind();
+    this._socket.bind();
     this._socket.on('listening', () => {
-      // this._socket.setBroadcast(true);
+      this._socket.setBroadcast(true);
 
       const address = this._socket.address();
       this.logger.deepDebug(`(Protocol) Server listening ${address.address}:${address.port}`);
@@ -147,8 +152,9 @@ class MiioProtocol extends EventEmitter {
         device.did = deviceId;
       }
 
+      // some devices reveal their token in the handshake reply
       if (!checksum.toString('hex').match(/^[fF0]+$/)) {
-        // const token = checksum;
+        device.revealedToken = checksum.toString('hex');
       }
 
       // no data in a handshake
@@ -228,6 +234,12 @@ class MiioProtocol extends EventEmitter {
     if (device._handshakeResolve) {
       device._handshakeResolve();
     }
+    this.emit(Events.MIIO_DEVICE_DISCOVERED, {
+      address,
+      did: device.did,
+      stamp: device._serverStamp,
+      token: device.revealedToken
+    });
   }
 
   _onData(address, msg) {
@@ -248,7 +260,13 @@ class MiioProtocol extends EventEmitter {
       const device = this.getDevice(address);
       device.lastExecTime = data.exe_time; // keep track how much did the execeution take
       const p = device._promises.get(data.id);
-      if (!p) return;
+      if (!p) {
+        // not a response to one of our requests, check if the device pushed an event
+        if (data.method === 'event_occured') {
+          this._onEventOccurred(address, data);
+        }
+        return;
+      }
       if (typeof data.result !== 'undefined') {
         p.resolve(data.result);
       } else {
@@ -259,6 +277,25 @@ class MiioProtocol extends EventEmitter {
     }
   }
 
+  _onEventOccurred(address, data) {
+    // acknowledge the event so that the device does not resend it
+    try {
+      this._send(address, {
+        id: data.id,
+        result: ['ok']
+      }).catch(err => this.logger.debug(`(Protocol) ${address} <- Could not acknowledge event: ${err}`));
+    } catch (err) {
+      this.logger.debug(`(Protocol) ${address} <- Could not acknowledge event: ${err}`);
+    }
+    const events = Array.isArray(data.params) ? data.params : [data.params];
+    events.filter(event => !!event).forEach(event => {
+      this.emit(Events.MIIO_DEVICE_EVENT_OCCURRED, {
+        address,
+        ...event
+      });
+    });
+  }
+
   _socketSend(msg, address, port = PORT) {
     return new Promise((resolve, reject) => {
       this._socket.send(msg, 0, msg.length, port, address, err => {
@@ -328,6 +365,31 @@ class MiioProtocol extends EventEmitter {
     return device._handshakePromise;
   }
 
+  async discover(timeout = DISCOVERY_TIMEOUT) {
+    const discoveredDevices = new Map();
+    const onDeviceDiscovered = (discoveredDevice) => {
+      if (!discoveredDevices.has(discoveredDevice.address)) {
+        this.logger.deepDebug(`(Protocol) Discovered device ${discoveredDevice.did} at ${discoveredDevice.address}`);
+      }
+      discoveredDevices.set(discoveredDevice.address, discoveredDevice);
+    };
+
+    this.on(Events.MIIO_DEVICE_DISCOVERED, onDeviceDiscovered);
+    try {
+      // udp is not reliable, so broadcast the hello packet a few times during the discovery window
+      const broadcastInterval = Math.floor(timeout / DISCOVERY_BROADCAST_COUNT);
+      for (let i = 0; i < DISCOVERY_BROADCAST_COUNT; i++) {
+        this.logger.deepDebug(`(Protocol) Broadcasting discovery handshake (${i + 1}/${DISCOVERY_BROADCAST_COUNT})`);
+        await this._handshake(BROADCAST_ADDRESS);
+        await new Promise(resolve => setTimeout(resolve, broadcastInterval));
+      }
+    } finally {
+      this.removeListener(Events.MIIO_DEVICE_DISCOVERED, onDeviceDiscovered);
+    }
+
+    return Array.from(discoveredDevices.values());
+  }
+
   async send(address, method, params = [], options = {}) {
     this.logger.deepDebug(`(Protocol) Call ${address}: ${method} - ${JSON.stringify(params)} - ${JSON.stringify(options)}`);
     const request = {
@@ -34,6 +34,14 @@ class MiotAction extends EventEmitter {
     return this.aiid;
   }
 
+  getServiceId() {
+    return this.siid;
+  }
+
+  getSpecId() {
+    return `${this.siid}.${this.aiid}`;
+  }
+
   getRawType() {
     return this.type;
   }
@@ -46,6 +54,10 @@ class MiotAction extends EventEmitter {
     return this.description;
   }
 
+  getInDef() {
+    return this.inDef;
+  }
+
   setOut(out = []) {
     this.out = out;
   }
@@ -6,11 +6,15 @@ const MiotService = require('./MiotService.js');
 const MiotProperty = require('./MiotProperty.js');
 const MiotAction = require('./MiotAction.js');
 const MiotEvent = require('./MiotEvent.js');
-const MiCloud = require('./MiCloud.js');
+const MiCloudSessionManager = require('./MiCloudSessionManager.js');
+const MiioLegacyAdapter = require('./MiioLegacyAdapter.js');
+const MiotWriteQueue = require('./MiotWriteQueue.js');
+const MiotDeviceDiagnostics = require('./MiotDeviceDiagnostics.js');
 const DevTypes = require('../constants/DevTypes.js');
 const PropFormat = require('../constants/PropFormat.js');
 const PropUnit = require('../constants/PropUnit.js');
 const PropAccess = require('../constants/PropAccess.js');
+const PollingClass = require('../constants/PollingClass.js');
 const Constants = require('../constants/Constants.js');
 const Events = require('../constants/Events.js');
 const Errors = require("../utils/Errors.js");
@@ -23,21 +27,18 @@ const COMMAND_SET = 'set_properties';
 const COMMAND_ACTION = 'action';
 const ALL_PROP_REQUEST_DEFAULT_CHUNK_SIZE = 14;
 const MAX_POLL_RETRIES = 4;
+const MIN_POLLING_INTERVAL = 1000; // in milliseconds
+const POLLING_BURST_DURATION = 10000; // in milliseconds, after a write the normal properties are polled with the fast interval
+const DEFAULT_POLLING_REQUEST_BUDGET = 40; // property requests per minute
+const POLLING_REQUEST_BUDGET_WINDOW = 60000; // in milliseconds
+const POLLED_CLASSES = [PollingClass.FAST, PollingClass.NORMAL, PollingClass.SLOW]; // in the order of priority, on demand properties are never polled
+const LOCAL_PROBE_INTERVAL = 60000; // in milliseconds, how often the local connection is checked during a MiCloud failover
 
 // DEVICES: http://miot-spec.org/miot-spec-v2/instances?status=all
 // device types: http://miot-spec.org/miot-spec-v2/spec/devices
 // service types: http://miot-spec.org/miot-spec-v2/spec/services
 
-// Miot subcommand response codes
-// | 0 | Success |
-// | 1 | Request received, but the operation has not been completed yet |
-// | -4001 | Unreadable attribute |
-// | -4002 | Attribute is not writable |
-// | -4003 | Properties, methods, events do not exist |
-// | -4004 | Other internal errors |
-// | -4005 | Attribute value error |
-// | -4006 | Method in parameter error |
-// | -4007 | did error
+// Miot subcommand response codes, see MiotProtocolUtils.getResponseCodeDescription
 
 
 class MiotDevice extends EventEmitter {
@@ -52,7 +53,7 @@ class MiotDevice extends EventEmitter {
     this.name = name;
     this.logger = logger;
 
-    if (!this.ip) {
+    if (!this.ip && !this.deviceId) {
       this.logger.error(`ip required!`);
     }
 
@@ -67,10 +68,20 @@ class MiotDevice extends EventEmitter {
     this.miCloud = undefined;
     this.miCloudConfig = {};
     this.isMiCloudRequired = false;
+    this.cloudFailoverActive = false;
+    this.localFailureCount = 0;
+    this.localProbeTimeout = null;
     this.miCloudDeviceInfo = {};
+    this.isShutDown = false;
+
+    // sub devices (for example zigbee devices) are controlled through the connection of the parent device (gateway)
+    this.parentDeviceId = null;
 
     //config
     this.parseActionParams = true;
+    this.legacyMiioAdapter = null;
+    this.writeQueue = new MiotWriteQueue(this.logger);
+    this.diagnostics = new MiotDeviceDiagnostics();
 
     // prepare the variables
     this.localConnected = false;
@@ -80,17 +91,23 @@ class MiotDevice extends EventEmitter {
     this.allActionsMap = {};
     this.allEventsMap = {};
     this.updateDevicePropertiesInterval = undefined;
+    this.cloudPollScheduler = null;
+    this.scheduledCloudPoll = null;
+    this.pollingClassOverrides = {};
+    this.pollingRequestBudget = DEFAULT_POLLING_REQUEST_BUDGET;
+    this.pollingRequestTimes = [];
+    this.nextPollTimes = {};
+    this.pollingBurstEndTime = 0;
     this.pollRetries = 0;
     this.allPropRequestChunkSize = ALL_PROP_REQUEST_DEFAULT_CHUNK_SIZE;
     this.propertiesToMonitor = [];
+    this.eventsToMonitor = [];
+    this.lastCloudEventsCheckTime = null;
 
     this.reducedPollingInterval = null;
     this.reconnectTimeoutTime = Math.max(this.pollingInterval * 4, 30000); // 4 times alive polling interval, at least 30 seconds
 
-    this.miioProtocol = new MiioProtocol(this.logger);
-    this.miioProtocol.updateDevice(this.ip, {
-      token: this.token
-    })
+    this._setupMiioProtocol(new MiioProtocol(this.logger));
   }
 
 
@@ -107,13 +124,23 @@ class MiotDevice extends EventEmitter {
   }
 
   startPropertyPolling() {
-    if (this.isConnected()) {
+    if (this._isPollingActive()) {
+      this.logger.debug(`Property polling is already running!`);
+    } else if (this.isConnected()) {
       this._startPropertyPolling();
     } else {
       this._connectToDeviceAndPoll();
     }
   }
 
+  // stops the polling and all scheduled reconnects and local connection probes
+  shutdown() {
+    this.isShutDown = true;
+    this._clearTimeoutAndInterval();
+    this._clearLocalProbe();
+    this.writeQueue.clear('Device shut down!');
+  }
+
 
   /*----------========== SETTINGS ==========----------*/
 
@@ -121,12 +148,55 @@ class MiotDevice extends EventEmitter {
     this.miCloudConfig = newMiCloudConfig;
   }
 
+  getMiioProtocol() {
+    return this.miioProtocol;
+  }
+
+  // share the local connection with another device, for example sub devices use the connection of the gateway
+  setMiioProtocol(miioProtocol) {
+    if (miioProtocol && miioProtocol !== this.miioProtocol) {
+      this.miioProtocol.destroy();
+      this._setupMiioProtocol(miioProtocol);
+    }
+  }
+
+  getParentDeviceId() {
+    return this.parentDeviceId;
+  }
+
+  setParentDeviceId(parentDeviceId) {
+    this.parentDeviceId = parentDeviceId ? String(parentDeviceId) : null;
+  }
+
+  isSubDevice() {
+    return !!this.parentDeviceId;
+  }
+
   setPollingInterval(newPollingInterval = Constants.DEFAULT_POLLING_INTERVAL) {
-    if (newPollingInterval >= 1000) {
+    if (newPollingInterval >= MIN_POLLING_INTERVAL) {
       this.pollingInterval = newPollingInterval;
     }
   }
 
+  // user specified polling classes, override the polling classes set by the device class
+  // accepts an array of { property, pollingClass } items or an object of property -> polling class
+  setPollingClassOverrides(overrides) {
+    this.pollingClassOverrides = {};
+    if (Array.isArray(overrides)) {
+      overrides.filter(item => item && item.property).forEach((item) => {
+        this.pollingClassOverrides[item.property] = item.pollingClass;
+      });
+    } else if (overrides) {
+      this.pollingClassOverrides = { ...overrides };
+    }
+  }
+
+  // the maximum number of property requests per minute which the polling is allowed to send
+  setPollingRequestBudget(budget) {
+    const parsedBudget = parseInt(budget);
+    this.pollingRequestBudget = parsedBudget > 0 ? parsedBudget : DEFAULT_POLLING_REQUEST_BUDGET;
+  }
+
   requiresMiCloud() {
     return this.isMiCloudRequired;
   }
@@ -155,6 +225,17 @@ class MiotDevice extends EventEmitter {
     }
   }
 
+  getEventsToMonitor() {
+    return this.eventsToMonitor || [];
+  }
+
+  addEventToMonitor(miotEvent) {
+    const eventToMonitor = this.getEvent(miotEvent);
+    if (eventToMonitor && !this.eventsToMonitor.includes(eventToMonitor.getName())) {
+      this.eventsToMonitor.push(eventToMonitor.getName());
+    }
+  }
+
   getAllPropRequestChunkSize() {
     return this.allPropRequestChunkSize || ALL_PROP_REQUEST_DEFAULT_CHUNK_SIZE;
   }
@@ -176,6 +257,15 @@ class MiotDevice extends EventEmitter {
     }
   }
 
+  isLegacyMiioDevice() {
+    return !!this.legacyMiioAdapter;
+  }
+
+  // legacy devices do not support the miot protocol, the mapping translates the miot properties and actions to miio commands
+  setLegacyMiioMapping(mapping) {
+    this.legacyMiioAdapter = mapping ? new MiioLegacyAdapter(this, mapping, this.logger) : null;
+  }
+
   isParseActionParams() {
     return this.parseActionParams;
   }
@@ -184,6 +274,11 @@ class MiotDevice extends EventEmitter {
     this.parseActionParams = parseEnabled;
   }
 
+  // how often property writes and actions which failed with a transient error should be retried, 0 disables the retries
+  setWriteRetries(writeRetries) {
+    this.writeQueue.setMaxRetries(writeRetries);
+  }
+
 
   /*----------========== DEVICE CONTROL ==========----------*/
   async pollProperties() {
@@ -191,6 +286,7 @@ class MiotDevice extends EventEmitter {
       await this.requestAllProperties();
       this.emit(Events.MIOT_DEVICE_ALL_PROPERTIES_UPDATED, this);
       this.logger.deepDebug(`Device properties updated: \n${this.getBeautifiedAllPropNameValues()}`);
+      await this.requestCloudEvents();
     } else {
       throw new Error('Device not connected');
     }
@@ -215,6 +311,42 @@ class MiotDevice extends EventEmitter {
   }
 
 
+  // the MiCloud does not push events, so we check the event history of the monitored events since the last check
+  async requestCloudEvents() {
+    if (!this.isConnectedToCloud() || this.getEventsToMonitor().length === 0) {
+      return;
+    }
+    const timeEnd = Math.floor(Date.now() / 1000);
+    const timeStart = this.lastCloudEventsCheckTime || timeEnd;
+    this.lastCloudEventsCheckTime = timeEnd;
+    if (timeStart >= timeEnd) {
+      return;
+    }
+    for (const eventName of this.getEventsToMonitor()) {
+      const miotEvent = this.getEventByName(eventName);
+      try {
+        const result = await this.miCloud.getUserDeviceData(this.getDeviceId(), miotEvent.getSpecId(), 'event', timeStart, timeEnd);
+        this.logger.deepDebug(`Got ${eventName} event history from MiCloud! RAW: ${JSON.stringify(result)}`);
+        result.filter(entry => entry.time >= timeStart && entry.time < timeEnd)
+          .sort((a, b) => a.time - b.time)
+          .forEach(entry => this._eventOccurred(miotEvent.getServiceId(), miotEvent.getId(), this._parseCloudEventValue(entry.value), entry.time * 1000));
+      } catch (err) {
+        this.logger.debug(`Failed to request ${eventName} event history from MiCloud! ${err}`);
+      }
+    }
+  }
+
+
+  // sub devices are listed in the MiCloud device list with the deviceId of the parent device
+  async fetchSubDevices() {
+    if (!this.getDeviceId()) {
+      throw new Errors.MissingDeviceId(this.name);
+    }
+    const devices = await this._requestFromMiCloud(miCloud => miCloud.getDevices());
+    return (devices || []).filter(device => device.parent_id && String(device.parent_id) === String(this.getDeviceId()));
+  }
+
+
   /*----------========== INFO ==========----------*/
 
   // general
@@ -229,7 +361,7 @@ class MiotDevice extends EventEmitter {
     if (this.isConnectedToCloud()) {
       return this.getCloudDeviceInfo().model;
     }
-    if (this.isConnectedToLocalDevice()) {
+    if (this.isConnectedToLocalDevice() && !this.isSubDevice()) { // the local device info of sub devices is the info of the gateway
       return this.getDeviceInfo().model;
     }
     return this.model;
@@ -239,13 +371,17 @@ class MiotDevice extends EventEmitter {
     return this.deviceId;
   }
 
+  getIp() {
+    return this.ip;
+  }
+
   getFirmwareRevision() {
     if (this.isConnectedToCloud()) {
       if (this.getCloudDeviceInfo().extra) {
         return this.getCloudDeviceInfo().extra.fw_version;
       }
     }
-    if (this.isConnectedToLocalDevice()) {
+    if (this.isConnectedToLocalDevice() && !this.isSubDevice()) {
       return this.getDeviceInfo().fw_ver;
     }
     return "unknown";
@@ -262,7 +398,12 @@ class MiotDevice extends EventEmitter {
 
   // micloud
   shouldUseMiCloud() {
-    return this.requiresMiCloud() || this._getMiCloudForce() === true;
+    return this._isMiCloudPreferred() || this.isCloudFailoverActive();
+  }
+
+  // while the local device does not answer the MiCloud is used temporarily
+  isCloudFailoverActive() {
+    return this.cloudFailoverActive;
   }
 
   isConnectedToCloud() {
@@ -320,6 +461,13 @@ class MiotDevice extends EventEmitter {
       }
       this._startPropertyPolling();
     } catch (err) {
+      if (!this.shouldUseMiCloud() && this._isCloudFailoverEnabled()) {
+        this.localFailureCount++;
+        if (this.localFailureCount >= this._getMiCloudFailoverAfter()) {
+          this._startCloudFailover(err);
+          return;
+        }
+      }
       this._handleConnectionError(err, 'connection', this._connectToDeviceAndPoll.bind(this));
     }
   }
@@ -327,14 +475,16 @@ class MiotDevice extends EventEmitter {
   _disconnect() {
     this.localConnected = false;
     this._clearTimeoutAndInterval();
-
-    // if required, also refresh the micloud connection
-    if (this.shouldUseMiCloud()) {
-      if (this.isLoggedIntoMiCloud()) {
-        this.miCloud.logout();
-      }
+    // during the failover the local connection is probed until it answers again, also while the MiCloud reconnects
+    if (!this.cloudFailoverActive) {
+      this._clearLocalProbe();
     }
+    this.writeQueue.clear('Device disconnected!');
+
+    // the MiCloud session is shared with other devices, so only drop it here, the device info is fetched again on reconnect
+    this.miCloud = undefined;
 
+    this.diagnostics.recordDisconnected();
     this.logger.debug('Device diconnected!');
     this.emit(Events.MIOT_DEVICE_DISCONNECTED, this);
   }
@@ -342,14 +492,31 @@ class MiotDevice extends EventEmitter {
 
   /*----------========== LOCAL DEVICE ==========----------*/
 
+  _setupMiioProtocol(miioProtocol) {
+    this.miioProtocol = miioProtocol;
+    if (this.ip) {
+      this.miioProtocol.updateDevice(this.ip, {
+        token: this.token
+      });
+    }
+
+    // events pushed by the device over the local connection, a gateway also pushes the events of its sub devices
+    this.miioProtocol.on(Events.MIIO_DEVICE_EVENT_OCCURRED, (data) => {
+      if (data.address === this.ip && (!data.did || String(data.did) === String(this.getDeviceId()))) {
+        this._eventOccurred(data.siid, data.eiid, data.arguments);
+      }
+    });
+  }
+
   async _connectToLocalDevice() {
     if (!this.isConnectedToLocalDevice()) {
-      await this.miioProtocol.handshake(this.ip);
-      const result = await this.miioProtocol.getInfo(this.ip);
+      const result = await this._getLocalDeviceInfo();
       this.localConnected = true;
       this.logger.info(`Device found! Setting up miot device from local connection!`);
       await this._localDeviceSetup();
       this.logger.info(`Connected to device: ${result.model}`);
+      this.localFailureCount = 0;
+      this.diagnostics.recordConnected('local');
       this.emit(Events.MIOT_DEVICE_CONNECTED, this);
     }
   }
@@ -374,6 +541,67 @@ class MiotDevice extends EventEmitter {
     this._validateModel();
   }
 
+  async _getLocalDeviceInfo() {
+    try {
+      if (!this.ip) {
+        throw new Errors.MissingDeviceIp(this.name);
+      }
+      await this.miioProtocol.handshake(this.ip);
+      return await this.miioProtocol.getInfo(this.ip);
+    } catch (err) {
+      // the device might have got a new ip address, when we know the deviceId then try to locate the device
+      if ((err.code === 'timeout' || err instanceof Errors.MissingDeviceIp) && this.getDeviceId() && !this.isSubDevice()) {
+        this.logger.debug(`Could not reach the device at ${this.ip}! Trying to locate the device with deviceId ${this.getDeviceId()}!`);
+        const newIp = await this._locateDeviceIp();
+        if (newIp && newIp !== this.ip) {
+          this.updateIp(newIp);
+          await this.miioProtocol.handshake(this.ip);
+          return await this.miioProtocol.getInfo(this.ip);
+        }
+      }
+      throw err;
+    }
+  }
+
+  async _locateDeviceIp() {
+    // first try to find the device in the local network
+    try {
+      const discoveredDevices = await this.miioProtocol.discover();
+      const foundDevice = discoveredDevices.find(device => String(device.did) === String(this.getDeviceId()));
+      if (foundDevice) {
+        this.logger.debug(`Located the device in the local network at ${foundDevice.address}!`);
+        return foundDevice.address;
+      }
+    } catch (err) {
+      this.logger.debug(`Local network discovery failed! ${err}`);
+    }
+
+    // if not found then ask the MiCloud for the local ip of the device
+    if (this._canUseMiCloud()) {
+      try {
+        const cloudDeviceInfo = await this._requestFromMiCloud(miCloud => miCloud.getDevice(this.getDeviceId()));
+        if (cloudDeviceInfo && cloudDeviceInfo.localip) {
+          this.logger.debug(`Got the local ip ${cloudDeviceInfo.localip} of the device from MiCloud!`);
+          return cloudDeviceInfo.localip;
+        }
+      } catch (err) {
+        this.logger.debug(`Could not get the local ip of the device from MiCloud! ${err}`);
+      }
+    }
+
+    this.logger.debug(`Could not locate the device with deviceId ${this.getDeviceId()}!`);
+    return null;
+  }
+
+  updateIp(newIp) {
+    this.logger.info(`Device ip changed from ${this.ip} to ${newIp}!`);
+    this.ip = newIp;
+    this.miioProtocol.updateDevice(this.ip, {
+      token: this.token
+    });
+    this.emit(Events.MIOT_DEVICE_IP_CHANGED, this);
+  }
+
   async _identifyLocalDevice() {
     await this._connectToLocalDevice();
     let foundDeviceModel = this.getDeviceInfo().model;
@@ -387,25 +615,15 @@ class MiotDevice extends EventEmitter {
     if (!this.isConnectedToCloud()) {
       if (this._canUseMiCloud()) {
         if (!this.miCloud) {
-          this.miCloud = new MiCloud(this.logger);
-          //set timeout
-          let requestTimeout = parseInt(this._getMiCloudTimeout());
-          if (requestTimeout) {
-            requestTimeout = requestTimeout > this.pollingInterval ? this.pollingInterval : requestTimeout; // make sure we do not exceed polling interval
-            this.miCloud.setRequestTimeout(requestTimeout);
-          }
-
-          // set request encryption
-          this.miCloud.setUseUnencryptedRequests(this._getMiCloudUseUnencryptedRequests());
+          this.miCloud = this._getMiCloudSession();
         }
         try {
-          this.logger.info(`Log in to MiCloud!`);
-          await this.miCloud.login(this._getMiCloudUsername(), this._getMiCloudPassword());
+          await this.miCloud.login();
           this.logger.debug(`Using server country: ${this._getMiCloudCountry()}`);
-          this.miCloud.setCountry(this._getMiCloudCountry());
           this.logger.info(`Successfully connected to MiCloud! Setting up miot device from MiCloud connection!`);
           await this._cloudDeviceSetup();
           this.logger.info(`Connected to device: ${this.getModel()}`);
+          this.diagnostics.recordConnected('cloud');
           this.emit(Events.MIOT_DEVICE_CONNECTED, this);
         } catch (err) {
           this.logger.debug(`Connection to MiCloud device failed!`);
@@ -418,6 +636,31 @@ class MiotDevice extends EventEmitter {
     }
   }
 
+  // uses the existing MiCloud session, if there is none then the shared session of the account is used just for the request
+  async _requestFromMiCloud(requestFn) {
+    if (this.isLoggedIntoMiCloud()) {
+      return requestFn(this.miCloud);
+    }
+    if (!this._canUseMiCloud()) {
+      throw new Errors.MissingMiCloudCredentials();
+    }
+    return requestFn(this._getMiCloudSession());
+  }
+
+  // the MiCloud sessions are shared by all devices of the same account and country
+  _getMiCloudSession() {
+    //set timeout
+    let requestTimeout = parseInt(this._getMiCloudTimeout());
+    if (requestTimeout) {
+      requestTimeout = requestTimeout > this.pollingInterval ? this.pollingInterval : requestTimeout; // make sure we do not exceed polling interval
+    }
+
+    return MiCloudSessionManager.getSession(this.logger, this._getMiCloudUsername(), this._getMiCloudPassword(), this._getMiCloudCountry(), {
+      requestTimeout: requestTimeout,
+      useUnencryptedRequests: this._getMiCloudUseUnencryptedRequests()
+    });
+  }
+
   async _cloudDeviceSetup() {
     // when no device id specified try to retrieve the deviceId from the device
     if (!this.getDeviceId()) {
@@ -458,6 +701,31 @@ class MiotDevice extends EventEmitter {
   }
 
 
+  /*----------========== EVENTS ==========----------*/
+
+  _eventOccurred(siid, eiid, eventArguments = [], time = Date.now()) {
+    const miotEvent = Object.values(this.getAllEvents()).find(tmpEvent => tmpEvent.getServiceId() == siid && tmpEvent.getId() == eiid);
+    if (miotEvent) {
+      this.logger.debug(`Event ${miotEvent.getName()} occurred! Arguments: ${JSON.stringify(eventArguments)}`);
+      miotEvent.setLastOccurrence(eventArguments, time);
+      this.emit(Events.MIOT_DEVICE_EVENT_OCCURRED, miotEvent);
+    } else {
+      this.logger.deepDebug(`Received unknown event ${siid}.${eiid}! Ignoring!`);
+    }
+  }
+
+  _parseCloudEventValue(value) {
+    // the event arguments are returned as a json string
+    try {
+      const parsedValue = typeof value === 'string' ? JSON.parse(value) : value;
+      return Array.isArray(parsedValue) ? parsedValue : [];
+    } catch (err) {
+      this.logger.debug(`Could not parse event arguments: ${value}`);
+      return [];
+    }
+  }
+
+
   /*----------========== INTERNAL HELPERS ==========----------*/
 
   _getReconnectTimeoutSeconds() {
@@ -475,6 +743,10 @@ class MiotDevice extends EventEmitter {
     this.currentRunningTimeout = undefined;
     clearInterval(this.updateDevicePropertiesInterval);
     this.updateDevicePropertiesInterval = undefined;
+    if (this.scheduledCloudPoll) {
+      this.cloudPollScheduler.cancelPoll(this.scheduledCloudPoll);
+      this.scheduledCloudPoll = null;
+    }
   }
 
   _prepareNewConnection() {
@@ -488,6 +760,7 @@ class MiotDevice extends EventEmitter {
     } else {
       this.logger.debug(err);
       this.logger.debug(`Error during ${ actionName }! Retrying in ${ this._getReconnectTimeoutSeconds() } seconds!`);
+      this.diagnostics.recordConnectionFailure(err);
       if (this.isConnected()) {
         this._disconnect();
       }
@@ -535,7 +808,7 @@ class MiotDevice extends EventEmitter {
   /*----------========== DEVICE LIFECYCLE ==========----------*/
 
   async _startPropertyPolling() {
-    if (!this.updateDevicePropertiesInterval) {
+    if (!this._isPollingActive()) {
 
       // initial properties fetch
       await this._doInitialPropertiesFetch();
@@ -561,30 +834,146 @@ class MiotDevice extends EventEmitter {
   }
 
   _pollDeviceProperties() {
+    // polling could have been started by another call or the device shut down during the initial property fetch
+    if (this._isPollingActive() || this.isShutDown) {
+      return;
+    }
     this.logger.info(`Starting property polling.`);
-    this.updateDevicePropertiesInterval = setInterval(async () => {
-      try {
-        await this.pollProperties();
+    this._applyPollingClassOverrides();
+    this._resetNextPollTimes();
+
+    // the polling ticks with the fast interval, on every tick only the due polling classes are requested
+    const tickInterval = this._getPollingClassInterval(PollingClass.FAST);
+    if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
+      // cloud devices of the same account are polled together by the scheduler of the MiCloud session
+      this.cloudPollScheduler = this.miCloud.getPollScheduler();
+      this.scheduledCloudPoll = this.cloudPollScheduler.schedulePoll(this._pollOnce.bind(this), tickInterval);
+    } else {
+      this.updateDevicePropertiesInterval = setInterval(this._pollOnce.bind(this), tickInterval);
+    }
+  }
+
+  async _pollOnce() {
+    try {
+      await this._pollDueProperties();
+      this.pollRetries = 0;
+    } catch (err) {
+      this.pollRetries++;
+      this.logger.debug(`Poll failed ${this.pollRetries} times!`);
+      if (this._isPollingActive() && this.pollRetries >= MAX_POLL_RETRIES) {
+        let warnMsg = `Poll failed ${this.pollRetries} times in a row! Stopping polling and trying to reconnect! Reason: ${err}`;
         this.pollRetries = 0;
-      } catch (err) {
-        this.pollRetries++;
-        this.logger.debug(`Poll failed ${this.pollRetries} times!`);
-        if (this.updateDevicePropertiesInterval && this.pollRetries >= MAX_POLL_RETRIES) {
-          let warnMsg = `Poll failed ${this.pollRetries} times in a row! Stopping polling and trying to reconnect! Reason: ${err}`;
-          this.pollRetries = 0;
-          if (err instanceof Errors.DeviceNotOnline) { // no need to disconnect when device is not online, just retry after some time
-            this.logger.debug(warnMsg); // hide the device offline message behind debug as this is expected!
-            this._restartPolling();
-          } else {
-            this.logger.warn(warnMsg);
-            this._reconnectAndRestartPolling();
-          }
+        if (err instanceof Errors.DeviceNotOnline) { // no need to disconnect when device is not online, just retry after some time
+          this.logger.debug(warnMsg); // hide the device offline message behind debug as this is expected!
+          this._restartPolling();
         } else {
-          this.logger.debug(`Poll failed! ${err}`);
-          this._checkIfPollingIntervalReductionIsNecessary(err);
+          this.logger.warn(warnMsg);
+          this._reconnectAndRestartPolling();
         }
+      } else {
+        this.logger.debug(`Poll failed! ${err}`);
+        this._checkIfPollingIntervalReductionIsNecessary(err);
       }
-    }, this.pollingInterval);
+    }
+  }
+
+  _isPollingActive() {
+    return !!this.updateDevicePropertiesInterval || !!this.scheduledCloudPoll;
+  }
+
+  // polls the properties of the due polling classes, when the request budget does not allow all requests then the lower priority properties are deferred to the next tick
+  async _pollDueProperties() {
+    if (!this.isConnected()) {
+      throw new Error('Device not connected');
+    }
+
+    const now = Date.now();
+    const dueClasses = POLLED_CLASSES.filter(pollingClass => this._isPollingClassDue(pollingClass, now));
+    const readableProps = Object.values(this._getReadablePropsToMonitor());
+    const duePropNames = [];
+    dueClasses.forEach((pollingClass) => {
+      readableProps.filter(prop => prop.getPollingClass() === pollingClass).forEach(prop => duePropNames.push(prop.getName()));
+    });
+
+    const maxPropCount = this._getRemainingRequestBudget(now) * this.getAllPropRequestChunkSize();
+    const propNamesToPoll = duePropNames.slice(0, maxPropCount);
+    if (propNamesToPoll.length < duePropNames.length) {
+      this.logger.debug(`Polling request budget of ${this.pollingRequestBudget} requests per minute reached! Deferring ${duePropNames.length - propNamesToPoll.length} properties to the next poll!`);
+    }
+
+    // deferred polling classes stay due, all other are scheduled for their next poll
+    const polledClasses = dueClasses.filter(pollingClass => readableProps.every(prop => prop.getPollingClass() !== pollingClass || propNamesToPoll.includes(prop.getName())));
+
+    try {
+      if (propNamesToPoll.length > 0) {
+        await this._requestPropertiesInChunks(propNamesToPoll);
+        // a poll cycle is complete with the normal properties, the fast polls in between only update a part of the properties
+        if (polledClasses.includes(PollingClass.NORMAL)) {
+          this.emit(Events.MIOT_DEVICE_ALL_PROPERTIES_UPDATED, this);
+        } else {
+          this.emit(Events.MIOT_DEVICE_PROPERTIES_UPDATED, this, propNamesToPoll);
+        }
+        this.logger.deepDebug(`Device properties updated (${dueClasses.join(', ')}): \n${this.getBeautifiedAllPropNameValues()}`);
+      }
+      if (dueClasses.includes(PollingClass.NORMAL)) {
+        await this.requestCloudEvents();
+      }
+    } finally {
+      polledClasses.forEach((pollingClass) => {
+        this.nextPollTimes[pollingClass] = now + this._getPollingClassInterval(pollingClass);
+      });
+    }
+  }
+
+  _isPollingClassDue(pollingClass, now) {
+    // during a burst the normal properties are polled on every tick
+    if (pollingClass === PollingClass.NORMAL && now < this.pollingBurstEndTime) {
+      return true;
+    }
+    // allow some tolerance since the ticks are not exactly on time
+    const tolerance = this._getPollingClassInterval(PollingClass.FAST) / 2;
+    return now + tolerance >= (this.nextPollTimes[pollingClass] || 0);
+  }
+
+  _getPollingClassInterval(pollingClass) {
+    if (pollingClass === PollingClass.FAST) {
+      return Math.max(Math.round(this.pollingInterval / 3), MIN_POLLING_INTERVAL);
+    } else if (pollingClass === PollingClass.SLOW) {
+      return this.pollingInterval * 10;
+    } else if (pollingClass === PollingClass.ON_DEMAND) {
+      return Infinity;
+    }
+    return this.pollingInterval;
+  }
+
+  _resetNextPollTimes() {
+    // the initial property fetch was just done, so the first poll of every class is due after its interval
+    const now = Date.now();
+    POLLED_CLASSES.forEach((pollingClass) => {
+      this.nextPollTimes[pollingClass] = now + this._getPollingClassInterval(pollingClass);
+    });
+  }
+
+  _applyPollingClassOverrides() {
+    Object.keys(this.pollingClassOverrides).forEach((propKey) => {
+      const prop = this.getProperty(propKey);
+      const pollingClass = this.pollingClassOverrides[propKey];
+      if (prop && Object.values(PollingClass).includes(pollingClass)) {
+        prop.setPollingClass(pollingClass);
+      } else {
+        this.logger.debug(`Invalid polling class ${pollingClass} for property ${propKey}! Skipping!`);
+      }
+    });
+  }
+
+  _getRemainingRequestBudget(now) {
+    this.pollingRequestTimes = this.pollingRequestTimes.filter(time => now - time < POLLING_REQUEST_BUDGET_WINDOW);
+    return Math.max(this.pollingRequestBudget - this.pollingRequestTimes.length, 0);
+  }
+
+  // after a write the device state usually changes (for example a mode change also changes the fan level), so poll more often for a short time
+  _startPollingBurst() {
+    this.pollingBurstEndTime = Date.now() + POLLING_BURST_DURATION;
   }
 
   _checkIfPollingIntervalReductionIsNecessary(err) {
@@ -602,12 +991,104 @@ class MiotDevice extends EventEmitter {
   }
 
   _reconnectAndRestartPolling() {
+    this.diagnostics.recordReconnect();
     this._disconnect();
     this.logger.debug(`Reconnecting and restarting polling in ${ this._getReconnectTimeoutSeconds() } seconds...`);
     this._runTimeoutAction(this._connectToDeviceAndPoll.bind(this));
   }
 
 
+  /*----------========== DIAGNOSTICS ==========----------*/
+
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
+  // the diagnostics report extended with the current connection and polling state
+  getDiagnosticsReport() {
+    const report = this.diagnostics.getReport();
+    report.connected = this.isConnected();
+    report.preferredConnectionType = this._isMiCloudPreferred() ? 'cloud' : 'local';
+    report.failoverActive = this.isCloudFailoverActive();
+    report.localFailures = this.localFailureCount;
+    report.pollingInterval = this.pollingInterval;
+    report.reducedPollingInterval = this.reducedPollingInterval;
+    report.pollRetries = this.pollRetries;
+    report.lastExecTime = null;
+    if (this.isConnectedToLocalDevice() && this.miioProtocol.hasDevice(this.ip)) {
+      report.lastExecTime = this.miioProtocol.getDevice(this.ip).lastExecTime || null; // reported by the device, how long it took to execute the last command
+    }
+    return report;
+  }
+
+  isConnectionHealthy() {
+    return this.isConnected() && this.diagnostics.isHealthy();
+  }
+
+
+  /*----------========== MICLOUD FAILOVER ==========----------*/
+
+  // the local device stopped answering, use the MiCloud and keep checking the local connection in the background
+  _startCloudFailover(err) {
+    this.logger.warn(`Local connection failed ${this.localFailureCount} times in a row! Switching to MiCloud! Reason: ${err}`);
+    this.cloudFailoverActive = true;
+    this.localFailureCount = 0;
+    this.diagnostics.recordTransportSwitch('cloud');
+    this._scheduleLocalProbe();
+    this._connectToDeviceAndPoll();
+  }
+
+  _stopCloudFailover() {
+    this.logger.info(`Device answers on the local connection again! Switching from MiCloud back to the local connection!`);
+    this._clearLocalProbe();
+    this.cloudFailoverActive = false;
+    this.diagnostics.recordTransportSwitch('local');
+    this._disconnect();
+    this._connectToDeviceAndPoll();
+  }
+
+  _scheduleLocalProbe() {
+    this._clearLocalProbe();
+    if (this.isShutDown) {
+      return;
+    }
+    this.localProbeTimeout = setTimeout(() => {
+      this._probeLocalConnection();
+    }, LOCAL_PROBE_INTERVAL);
+  }
+
+  _clearLocalProbe() {
+    clearTimeout(this.localProbeTimeout);
+    this.localProbeTimeout = null;
+  }
+
+  async _probeLocalConnection() {
+    try {
+      // the handshake is cached for some time, so also request the device info
+      await this.miioProtocol.handshake(this.ip);
+      await this.miioProtocol.getInfo(this.ip);
+      if (this.isShutDown || !this.cloudFailoverActive) {
+        return;
+      }
+      this._stopCloudFailover();
+    } catch (err) {
+      this.logger.deepDebug(`Local connection probe failed! Staying on MiCloud! ${err}`);
+      if (this.cloudFailoverActive) {
+        this._scheduleLocalProbe();
+      }
+    }
+  }
+
+  // the failover requires the deviceId and MiCloud credentials, devices which always use the MiCloud do not need it
+  _isCloudFailoverEnabled() {
+    return this._getMiCloudFailoverAfter() > 0 && !this._isMiCloudPreferred() && !!this._canUseMiCloud() && !!this.getDeviceId();
+  }
+
+  _isMiCloudPreferred() {
+    return this.requiresMiCloud() || this._getMiCloudForce() === true;
+  }
+
+
   /*----------========== MICLOUD CONFIG ==========----------*/
 
   _getMiCloudConfigProp(key) {
@@ -649,6 +1130,10 @@ class MiotDevice extends EventEmitter {
     return this._getMiCloudConfigProp('unencryptedRequests');
   }
 
+  _getMiCloudFailoverAfter() {
+    return parseInt(this._getMiCloudConfigProp('failoverAfter')) || 0;
+  }
+
 
   /*----------========== MIOT SPEC ==========----------*/
 
@@ -884,6 +1369,40 @@ class MiotDevice extends EventEmitter {
     return Object.keys(this.allPropertiesMap);
   }
 
+  // returns the confirmed values of all readable properties, used to restore the device state after a restart
+  getPropertyValuesSnapshot() {
+    const values = {};
+    Object.values(this.getAllProperties()).forEach((prop) => {
+      if (prop.isReadable() && prop.isValueSynced() && !prop.isStale()) {
+        values[prop.getName()] = prop.getValue();
+      }
+    });
+    return values;
+  }
+
+  // seeds the property values from the last session, the values stay stale until the first successful poll
+  restorePropertyValues(values) {
+    if (!values || this.isConnected()) {
+      return;
+    }
+    let restoredCount = 0;
+    Object.keys(values).forEach((propName) => {
+      const prop = this.getPropertyByName(propName);
+      if (prop && prop.isReadable() && prop.isValueSynced() === false) {
+        prop.restoreValue(values[propName]);
+        restoredCount++;
+      }
+    });
+    if (restoredCount > 0) {
+      this.logger.debug(`Restored ${restoredCount} property values from the last session!`);
+    }
+  }
+
+  // properties which are not polled stay stale, so they are not taken into account
+  hasStalePropertyValues() {
+    return Object.values(this._getReadablePropsToMonitor()).some(prop => prop.isStale());
+  }
+
   getBeautifiedAllPropNameValues() {
     // only readable properties
     let readablePropNames = this.getAllPropertyNames().filter(name => this.getPropertyByName(name).isReadable());
@@ -1117,20 +1636,25 @@ class MiotDevice extends EventEmitter {
   // for this reason we are going to split all props into chunks and do sepearte requests for each chunk
   async requestAllProperties() {
     if (this.isConnected()) {
-      let propRequestPromises = [];
-      let propNameChunks = this._getAllReadablePropNameChunks();
-      this.logger.debug(`Preparing property poll!`);
-      this.logger.debug(`Splitting properties into chunks. Number of chunks: ${propNameChunks.length}. Chunk size: ${this.getAllPropRequestChunkSize()}`);
-      this.logger.deepDebug(`Chunks:  ${JSON.stringify(propNameChunks, null, 1)}`);
-      propNameChunks.forEach((propChunk) => {
-        propRequestPromises.push(this.requestPropertyChunk(propChunk));
-      });
-      return Promise.all(propRequestPromises);
+      return this._requestPropertiesInChunks(Object.keys(this._getReadablePropsToMonitor()));
     } else {
       return this._createErrorPromise(`Cannot poll all properties! Device not connected!`);
     }
   }
 
+  async _requestPropertiesInChunks(propNames) {
+    let propRequestPromises = [];
+    let propNameChunks = this._getPropNameChunks(propNames);
+    this.logger.debug(`Preparing property poll!`);
+    this.logger.debug(`Splitting properties into chunks. Number of chunks: ${propNameChunks.length}. Chunk size: ${this.getAllPropRequestChunkSize()}`);
+    this.logger.deepDebug(`Chunks:  ${JSON.stringify(propNameChunks, null, 1)}`);
+    propNameChunks.forEach((propChunk) => {
+      this.pollingRequestTimes.push(Date.now()); // every chunk is a separate request which counts towards the request budget
+      propRequestPromises.push(this.requestPropertyChunk(propChunk));
+    });
+    return Promise.all(propRequestPromises);
+  }
+
   async requestPropertyChunk(propKeys) {
     if (!propKeys) {
       return this._createErrorPromise(`Cannot request property chunk values! No property keys specified!`);
@@ -1150,6 +1674,8 @@ class MiotDevice extends EventEmitter {
     for (let i = 0; i < result.length; i++) {
       this._updatePropertyValueFromDevice(obj, propKeys[i], result[i]);
     }
+    // the device answered, so the restored values are not reported anymore, also for properties which answered with an error code
+    propKeys.forEach(key => this.getPropertyByName(key).clearStale());
     return obj;
   }
 
@@ -1174,7 +1700,6 @@ class MiotDevice extends EventEmitter {
       this.logger.debug(`Successfully updated property ${prop} value! Result: ${JSON.stringify(result)}`);
       const obj = {};
       this._updatePropertyValueFromDevice(obj, prop.getName(), result[0]);
-      this.emit(Events.MIOT_DEVICE_PROPERTY_VALUE_UPDATED, prop);
       return obj;
     } catch (err) {
       this.logger.debug(err);
@@ -1187,23 +1712,110 @@ class MiotDevice extends EventEmitter {
       if (!prop) {
         throw new Error(`Missing property! Cannot set the value!`);
       }
-      if (!this.isConnected()) {
-        throw new Error(`Cannot set property ${prop.getName()} to value ${value}! Device not connected!`);
+      // writes of the same property which wait for a retry are replaced by the newer value
+      return await this.writeQueue.run(prop.getName(), () => this._sendSetProperty(prop, value));
+    } catch (err) {
+      this.logger.debug(err);
+      throw err;
+    }
+  }
+
+  async _sendSetProperty(prop, value) {
+    if (!this.isConnected()) {
+      throw new Error(`Cannot set property ${prop.getName()} to value ${value}! Device not connected!`);
+    }
+    let propDef = prop.getWriteProtocolObjForDid(this.getDeviceId(), value);
+    this.logger.deepDebug(`Set ${prop.getName()} property request! RAW: ${JSON.stringify(propDef)}`);
+    const result = await this.setMiotProperties([propDef]);
+    if (this._isResponseValid(result[0])) {
+      this.logger.debug(`Successfully set property ${prop.getName()} to value ${value}! Response: ${JSON.stringify(result)}`);
+      prop.updateInternalValue(value); // do not wait for poll, update the local prop and notifiy listeners after successful set
+      this.emit(Events.MIOT_DEVICE_PROPERTY_VALUE_SET, prop);
+      this._startPollingBurst();
+      return result;
+    } else {
+      throw this._createResponseError(`Error while setting property ${prop.getName()} to value ${value}! Invalid response. Response: ${JSON.stringify(result)}`, result[0]);
+    }
+  }
+
+  // set multiple properties, packs the writes into chunked set_properties requests instead of one request per property
+  // accepts a Map or an object of property (name, id or object) -> value, returns one result per property
+  async setProperties(propValues) {
+    const entries = propValues instanceof Map ? [...propValues.entries()] : Object.entries(propValues || {});
+    const propsToSet = entries.map(([propKey, value]) => {
+      const prop = this.getProperty(propKey);
+      if (!prop) {
+        throw new Error(`Property ${propKey} not found! Cannot set the values!`);
       }
-      let propDef = prop.getWriteProtocolObjForDid(this.getDeviceId(), value);
-      this.logger.deepDebug(`Set ${prop.getName()} property request! RAW: ${JSON.stringify(propDef)}`);
-      const result = await this.setMiotProperties([propDef]);
-      if (this._isResponseValid(result[0])) {
-        this.logger.debug(`Successfully set property ${prop.getName()} to value ${value}! Response: ${JSON.stringify(result)}`);
-        prop.updateInternalValue(value); // do not wait for poll, update the local prop and notifiy listeners after successful set
-        this.emit(Events.MIOT_DEVICE_PROPERTY_VALUE_SET, prop);
-        return result;
-      } else {
-        throw new Error(`Error while setting property ${prop.getName()} to value ${value}! Invalid response. Response: ${JSON.stringify(result)}`);
+      return {
+        prop,
+        value
+      };
+    });
+
+    const results = [];
+    for (let i = 0; i < propsToSet.length; i += this.getAllPropRequestChunkSize()) {
+      const chunk = propsToSet.slice(i, i + this.getAllPropRequestChunkSize());
+      const propDefs = chunk.map(item => item.prop.getWriteProtocolObjForDid(this.getDeviceId(), item.value));
+      let response = [];
+      let requestError = null;
+      try {
+        // the whole chunk is retried on a transient error, writing the same values again is harmless
+        response = await this.writeQueue.run(null, () => this._sendSetProperties(propDefs));
+      } catch (err) {
+        requestError = err;
+        response = err.response || [];
       }
+      chunk.forEach((item, index) => {
+        results.push(this._createSetPropertyResult(item, response, index, requestError));
+      });
+    }
+    this.logger.debug(`Set properties done! Results: ${JSON.stringify(results)}`);
+    return results;
+  }
+
+  async _sendSetProperties(propDefs) {
+    if (!this.isConnected()) {
+      throw new Error(`Cannot set properties! Device not connected!`);
+    }
+    this.logger.deepDebug(`Set properties request! RAW: ${JSON.stringify(propDefs)}`);
+    const response = await this.setMiotProperties(propDefs) || [];
+    const failedResponse = response.find(res => res && res.code != null && res.code !== 0);
+    if (failedResponse) {
+      const err = this._createResponseError(`Error while setting properties! Response: ${JSON.stringify(response)}`, failedResponse);
+      err.response = response; // the other writes of the chunk might have succeeded
+      if (this.writeQueue.isTransientError(err)) {
+        throw err;
+      }
+    }
+    return response;
+  }
+
+  _createSetPropertyResult(item, response, index, requestError) {
+    // match the response by the ids, some devices do not keep the order
+    const itemResponse = response.find(res => res && res.siid === item.prop.getServiceId() && res.piid === item.prop.getId()) || response[index];
+    const result = {
+      name: item.prop.getName(),
+      value: item.value,
+      code: itemResponse ? itemResponse.code : null,
+      success: false
+    };
+    try {
+      result.success = !!itemResponse && this._isResponseValid(itemResponse);
     } catch (err) {
-      this.logger.debug(err);
+      result.error = err.message;
+    }
+    if (result.success) {
+      item.prop.updateInternalValue(item.value); // do not wait for poll, update the local prop and notifiy listeners after successful set
+      this.emit(Events.MIOT_DEVICE_PROPERTY_VALUE_SET, item.prop);
+      this._startPollingBurst();
+    } else {
+      if (!result.error) {
+        result.error = itemResponse || !requestError ? MiotProtocolUtils.getResponseCodeDescription(result.code) : requestError.message;
+      }
+      this.logger.debug(`Error while setting property ${item.prop.getName()} to value ${item.value}! ${result.error}`);
     }
+    return result;
   }
 
   // actions
@@ -1212,22 +1824,29 @@ class MiotDevice extends EventEmitter {
       if (!action) {
         throw new Error(`Missing action! Cannot execute action request!`);
       }
-      if (!this.isConnected()) {
-        throw new Error(`Cannot execute action ${action.getName()} with params ${JSON.stringify(paramValues)}! Device not connected!`);
-      }
-      let actionDef = action.getProtocolAction(this.getDeviceId(), paramValues, this.isParseActionParams());
-      this.logger.deepDebug(`Send action! RAW: ${JSON.stringify(actionDef)}`);
-      const result = await this.miotAction(actionDef);
-      action.setLastResult(result);
-      if (this._isResponseValid(result)) {
-        this.logger.debug(`Successfully executed action ${action.getName()} with params ${paramValues}! Result: ${JSON.stringify(result)}`);
-        this.emit(Events.MIOT_DEVICE_ACTION_EXECUTED, action);
-        return result;
-      } else {
-        throw new Error(`Error while executing action ${action.getName()} with params ${paramValues}! Invalid response from device. Response: ${JSON.stringify(result)}`);
-      }
+      // actions are not coalesced, every action is retried on its own
+      return await this.writeQueue.run(null, () => this._sendAction(action, paramValues));
     } catch (err) {
       this.logger.debug(err);
+      throw err;
+    }
+  }
+
+  async _sendAction(action, paramValues) {
+    if (!this.isConnected()) {
+      throw new Error(`Cannot execute action ${action.getName()} with params ${JSON.stringify(paramValues)}! Device not connected!`);
+    }
+    let actionDef = action.getProtocolAction(this.getDeviceId(), paramValues, this.isParseActionParams());
+    this.logger.deepDebug(`Send action! RAW: ${JSON.stringify(actionDef)}`);
+    const result = await this.miotAction(actionDef);
+    action.setLastResult(result);
+    if (this._isResponseValid(result)) {
+      this.logger.debug(`Successfully executed action ${action.getName()} with params ${paramValues}! Result: ${JSON.stringify(result)}`);
+      this.emit(Events.MIOT_DEVICE_ACTION_EXECUTED, action);
+      this._startPollingBurst();
+      return result;
+    } else {
+      throw this._createResponseError(`Error while executing action ${action.getName()} with params ${paramValues}! Invalid response from device. Response: ${JSON.stringify(result)}`, result);
     }
   }
 
@@ -1253,30 +1872,36 @@ class MiotDevice extends EventEmitter {
   /*----------========== PROTOCOL CALLS ==========----------*/
 
   async getMiotProperties(params = []) {
-    if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
-      return this.miCloud.miotGetProps(params);
+    if (this.isLegacyMiioDevice()) {
+      return this.legacyMiioAdapter.getProperties(params);
+    } else if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
+      return this._trackRequest(() => this.miCloud.getPollScheduler().requestProperties(params)); // merged with the requests of other devices
     } else if (this.isConnectedToLocalDevice()) {
-      return this.miioProtocol.send(this.ip, COMMAND_GET, params);
+      return this._trackRequest(() => this.miioProtocol.send(this.ip, COMMAND_GET, params));
     } else {
       throw new Error(`Not connected to device!`);
     }
   }
 
   async setMiotProperties(params = []) {
-    if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
-      return this.miCloud.miotSetProps(params);
+    if (this.isLegacyMiioDevice()) {
+      return this.legacyMiioAdapter.setProperties(params);
+    } else if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
+      return this._trackRequest(() => this.miCloud.miotSetProps(params));
     } else if (this.isConnectedToLocalDevice()) {
-      return this.miioProtocol.send(this.ip, COMMAND_SET, params);
+      return this._trackRequest(() => this.miioProtocol.send(this.ip, COMMAND_SET, params));
     } else {
       throw new Error(`Not connected to device!`);
     }
   }
 
   async miotAction(param = {}) {
-    if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
-      return this.miCloud.miotAction(param);
+    if (this.isLegacyMiioDevice()) {
+      return this.legacyMiioAdapter.executeAction(param);
+    } else if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
+      return this._trackRequest(() => this.miCloud.miotAction(param));
     } else if (this.isConnectedToLocalDevice()) {
-      return this.miioProtocol.send(this.ip, COMMAND_ACTION, param);
+      return this._trackRequest(() => this.miioProtocol.send(this.ip, COMMAND_ACTION, param));
     } else {
       throw new Error(`Not connected to device!`);
     }
@@ -1284,9 +1909,9 @@ class MiotDevice extends EventEmitter {
 
   async miotSend(methodName, params = []) {
     if (this.shouldUseMiCloud() && this.isConnectedToCloud()) {
-      return this.miCloud.miioCall(this.getDeviceId(), methodName, params);
+      return this._trackRequest(() => this.miCloud.miioCall(this.getDeviceId(), methodName, params));
     } else if (this.isConnectedToLocalDevice()) {
-      return this.miioProtocol.send(this.ip, methodName, params);
+      return this._trackRequest(() => this.miioProtocol.send(this.ip, methodName, params));
     } else {
       throw new Error(`Not connected to device!`);
     }
@@ -1295,6 +1920,19 @@ class MiotDevice extends EventEmitter {
 
   /*----------========== PROTOCOL HELPERS ==========----------*/
 
+  // measures the latency and records failures of the requests which are sent to the device or the MiCloud
+  async _trackRequest(requestFn) {
+    const startTime = Date.now();
+    try {
+      const result = await requestFn();
+      this.diagnostics.recordRequestSuccess(Date.now() - startTime);
+      return result;
+    } catch (err) {
+      this.diagnostics.recordRequestFailure(err, Date.now() - startTime);
+      throw err;
+    }
+  }
+
   _canMonitorProperty(miotProp) {
     let tmpProp = this.getProperty(miotProp);
     if (tmpProp && tmpProp.isReadable()) {
@@ -1323,13 +1961,11 @@ class MiotDevice extends EventEmitter {
     return tmpReadablePropsToMonitor;
   }
 
-  // split all readable props into smaller chunks
-  _getAllReadablePropNameChunks() {
+  // split the props into smaller chunks
+  _getPropNameChunks(propNames) {
     let propertyChunks = [];
-    const allReadableProps = this._getReadablePropsToMonitor();
-    const readablePropNames = Object.keys(allReadableProps);
-    for (let i = 0; i < readablePropNames.length; i += this.getAllPropRequestChunkSize()) {
-      let propChunk = readablePropNames.slice(i, i + this.getAllPropRequestChunkSize());
+    for (let i = 0; i < propNames.length; i += this.getAllPropRequestChunkSize()) {
+      let propChunk = propNames.slice(i, i + this.getAllPropRequestChunkSize());
       propertyChunks.push(propChunk);
     }
     return propertyChunks;
@@ -1338,8 +1974,13 @@ class MiotDevice extends EventEmitter {
   // updates the property value with the value retrieved from the device
   _updatePropertyValueFromDevice(result, propName, response) {
     if (this._isResponseValid(response)) {
-      this.getPropertyByName(propName).updateInternalValue(response.value);
+      const prop = this.getPropertyByName(propName);
+      const oldValue = prop.getValue();
+      prop.updateInternalValue(response.value);
       result[propName] = response.value;
+      if (prop.getValue() !== oldValue) {
+        this.emit(Events.MIOT_DEVICE_PROPERTY_VALUE_UPDATED, prop);
+      }
     } else {
       this.logger.debug(`Error while parsing response from device for property ${propName}. Response: ${JSON.stringify(response)}`);
     }
@@ -1356,6 +1997,11 @@ class MiotDevice extends EventEmitter {
       return true;
     }
 
+    // keep track of the error codes, for example -4001 when a property is not readable
+    if (response && response.code != null) {
+      this.diagnostics.recordResponseCode(response.code);
+    }
+
     // code -704042011 -> device offline for cloud devices
     if (response && MiCloudUtils.isDeviceOfflineResponseCode(response.code)) {
       throw new Errors.DeviceNotOnline(this.getDeviceId());
@@ -1368,6 +2014,15 @@ class MiotDevice extends EventEmitter {
 
   /*----------========== HELPERS ==========----------*/
 
+  // keep the response code on the error, so that transient failures can be recognized
+  _createResponseError(msg, response) {
+    const err = new Error(msg);
+    if (response && response.code != null) {
+      err.code = response.code;
+    }
+    return err;
+  }
+
   _createErrorPromise(msg) {
     return new Promise((resolve, reject) => {
       reject(new Error(msg));
@@ -0,0 +1,205 @@
+const MiotProtocolUtils = require('../utils/MiotProtocolUtils.js');
+
+const LATENCY_SAMPLE_SIZE = 50; // number of requests used for the rolling latency
+const RESULT_SAMPLE_SIZE = 20; // number of requests used for the rolling error rate
+const MAX_HEALTHY_ERROR_RATE = 0.5;
+const ERROR_CODE_TIMEOUT = 'timeout';
+const ERROR_CODE_OTHER = 'other';
+// errors which are not miot response codes, see MiotProtocolUtils.getResponseCodeDescription for the miot response codes (-4001...-4007)
+const ERROR_CODE_DESCRIPTIONS = {
+  '-9999': 'Device busy',
+  [ERROR_CODE_TIMEOUT]: 'Request timed out',
+  [ERROR_CODE_OTHER]: 'Other errors'
+};
+
+// keeps track of the connection health of a device, request latency, error codes and connection changes
+// the report is serializable, so it can be persisted and shown by the cli and the Homebridge UI
+class MiotDeviceDiagnostics {
+  constructor() {
+    this.startTime = Date.now();
+    this.latencies = [];
+    this.recentResults = [];
+    this.errorCounts = {}; // error code -> count
+    this.requestCount = 0;
+    this.failedRequestCount = 0;
+    this.connectCount = 0;
+    this.reconnectCount = 0;
+    this.connectionFailureCount = 0;
+    this.transportSwitchCount = 0;
+    this.connectionType = null;
+    this.lastConnectedTime = null;
+    this.lastDisconnectedTime = null;
+    this.lastError = null;
+    this.lastTransportSwitch = null;
+  }
+
+
+  /*----------========== RECORDING ==========----------*/
+
+  recordRequestSuccess(latency) {
+    this.requestCount++;
+    this._addLatency(latency);
+    this._addResult(true);
+  }
+
+  recordRequestFailure(err, latency) {
+    this.requestCount++;
+    this.failedRequestCount++;
+    // timeouts would distort the latency, so only count them as errors
+    const code = this._getErrorCode(err);
+    if (code !== ERROR_CODE_TIMEOUT) {
+      this._addLatency(latency);
+    }
+    this._addResult(false);
+    this._countError(code);
+    this.lastError = {
+      code: code,
+      message: err ? err.message : null,
+      time: Date.now()
+    };
+  }
+
+  // error codes of single properties or actions, the request itself succeeded
+  recordResponseCode(code) {
+    this._countError(code);
+  }
+
+  recordConnected(connectionType) {
+    this.connectCount++;
+    this.connectionType = connectionType;
+    this.lastConnectedTime = Date.now();
+  }
+
+  recordDisconnected() {
+    this.connectionType = null;
+    this.lastDisconnectedTime = Date.now();
+  }
+
+  recordReconnect() {
+    this.reconnectCount++;
+  }
+
+  // switches between the local connection and the MiCloud failover
+  recordTransportSwitch(connectionType) {
+    this.transportSwitchCount++;
+    this.lastTransportSwitch = {
+      connectionType: connectionType,
+      time: Date.now()
+    };
+  }
+
+  recordConnectionFailure(err) {
+    this.connectionFailureCount++;
+    this.lastError = {
+      code: this._getErrorCode(err),
+      message: err ? err.message : null,
+      time: Date.now()
+    };
+  }
+
+
+  /*----------========== REPORT ==========----------*/
+
+  getConnectionType() {
+    return this.connectionType;
+  }
+
+  getLatencyStats() {
+    if (this.latencies.length === 0) {
+      return null;
+    }
+    const sum = this.latencies.reduce((total, latency) => total + latency, 0);
+    return {
+      last: this.latencies[this.latencies.length - 1],
+      avg: Math.round(sum / this.latencies.length),
+      min: Math.min(...this.latencies),
+      max: Math.max(...this.latencies),
+      samples: this.latencies.length
+    };
+  }
+
+  // the error rate of the last requests, between 0 and 1
+  getErrorRate() {
+    if (this.recentResults.length === 0) {
+      return 0;
+    }
+    const failedCount = this.recentResults.filter(success => !success).length;
+    return failedCount / this.recentResults.length;
+  }
+
+  isHealthy() {
+    return this.getErrorRate() < MAX_HEALTHY_ERROR_RATE;
+  }
+
+  getErrorHistogram() {
+    return Object.keys(this.errorCounts).map((code) => {
+      return {
+        code: code,
+        description: MiotDeviceDiagnostics.getErrorCodeDescription(code),
+        count: this.errorCounts[code]
+      };
+    }).sort((a, b) => b.count - a.count);
+  }
+
+  getReport() {
+    return {
+      since: this.startTime,
+      healthy: this.isHealthy(),
+      connectionType: this.connectionType,
+      latency: this.getLatencyStats(),
+      errorRate: Math.round(this.getErrorRate() * 100) / 100,
+      requests: this.requestCount,
+      failedRequests: this.failedRequestCount,
+      errors: this.getErrorHistogram(),
+      lastError: this.lastError,
+      connects: this.connectCount,
+      reconnects: this.reconnectCount,
+      connectionFailures: this.connectionFailureCount,
+      transportSwitches: this.transportSwitchCount,
+      lastTransportSwitch: this.lastTransportSwitch,
+      lastConnected: this.lastConnectedTime,
+      lastDisconnected: this.lastDisconnectedTime
+    };
+  }
+
+  static getErrorCodeDescription(code) {
+    return ERROR_CODE_DESCRIPTIONS[String(code)] || MiotProtocolUtils.getResponseCodeDescription(code);
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _addLatency(latency) {
+    if (latency >= 0) {
+      this.latencies.push(latency);
+      if (this.latencies.length > LATENCY_SAMPLE_SIZE) {
+        this.latencies.shift();
+      }
+    }
+  }
+
+  _addResult(success) {
+    this.recentResults.push(success);
+    if (this.recentResults.length > RESULT_SAMPLE_SIZE) {
+      this.recentResults.shift();
+    }
+  }
+
+  _countError(code) {
+    const key = String(code);
+    this.errorCounts[key] = (this.errorCounts[key] || 0) + 1;
+  }
+
+  _getErrorCode(err) {
+    if (err && err.code != null) {
+      return err.code;
+    }
+    if (err && err.message && err.message.includes('timed out')) {
+      return ERROR_CODE_TIMEOUT;
+    }
+    return ERROR_CODE_OTHER;
+  }
+
+}
+
+module.exports = MiotDeviceDiagnostics;
@@ -15,6 +15,8 @@ class MiotEvent extends EventEmitter {
     this.type = type || '';
     this.description = description || '';
     this.argumentsDef = argumentsDef || [];
+    this.lastArguments = [];
+    this.lastOccurrenceTime = null;
 
     if (this.siid === null || this.eiid === null) {
       throw new Error(`Failed to create miot event! Invalid or missing service id and/or event id! siid: ${siid} eiid: ${eiid}`);
@@ -32,6 +34,14 @@ class MiotEvent extends EventEmitter {
     return this.eiid;
   }
 
+  getServiceId() {
+    return this.siid;
+  }
+
+  getSpecId() {
+    return `${this.siid}.${this.eiid}`;
+  }
+
   getRawType() {
     return this.type;
   }
@@ -44,6 +54,25 @@ class MiotEvent extends EventEmitter {
     return this.description;
   }
 
+  setLastOccurrence(eventArguments = [], time = Date.now()) {
+    this.lastArguments = Array.isArray(eventArguments) ? eventArguments : [];
+    this.lastOccurrenceTime = time;
+    this.emit(Events.EVENT_OCCURRED, this);
+  }
+
+  getLastArguments() {
+    return this.lastArguments;
+  }
+
+  getLastArgumentValue(piid) {
+    const argument = this.lastArguments.find(arg => arg.piid == piid);
+    return argument ? argument.value : undefined;
+  }
+
+  getLastOccurrenceTime() {
+    return this.lastOccurrenceTime;
+  }
+
 
   /*----------========== PROTOCOL ==========----------*/
 
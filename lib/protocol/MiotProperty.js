@@ -4,6 +4,7 @@ const Constants = require('../constants/Constants.js');
 const PropFormat = require('../constants/PropFormat.js');
 const PropUnit = require('../constants/PropUnit.js');
 const PropAccess = require('../constants/PropAccess.js');
+const PollingClass = require('../constants/PollingClass.js');
 const MiotProtocolUtils = require('../utils/MiotProtocolUtils.js');
 
 // property types: http://miot-spec.org/miot-spec-v2/spec/properties
@@ -25,6 +26,8 @@ class MiotProperty extends EventEmitter {
 
     this.value = this._getInitialFormattedValue();
     this.isValueInitial = true;
+    this.isValueStale = false; // value restored from the last session, not yet confirmed by the device
+    this.pollingClass = PollingClass.NORMAL;
 
     if (this.siid === null || this.piid === null) {
       throw new Error(`Failed to create miot property! Invalid or missing service id and/or property id! siid: ${siid} piid: ${piid}`);
@@ -42,6 +45,14 @@ class MiotProperty extends EventEmitter {
     return this.piid;
   }
 
+  getServiceId() {
+    return this.siid;
+  }
+
+  getSpecId() {
+    return `${this.siid}.${this.piid}`;
+  }
+
   getRawType() {
     return this.type;
   }
@@ -56,12 +67,19 @@ class MiotProperty extends EventEmitter {
 
   updateInternalValue(newVal) {
     this.isValueInitial = false;
+    this.isValueStale = false;
     if (this.getValue() !== newVal && this.isWriteOnly() === false) {
       this.value = newVal;
       this.emit(Events.PROP_VALUE_CHANGED, this);
     }
   }
 
+  // seeds the last known value, the value is marked as stale until the device reports a fresh value
+  restoreValue(value) {
+    this.updateInternalValue(value);
+    this.isValueStale = true;
+  }
+
   getValue() {
     if (this.isWriteOnly()) {
       return undefined;
@@ -91,6 +109,16 @@ class MiotProperty extends EventEmitter {
     this.valueList = valueList;
   }
 
+  getPollingClass() {
+    return this.pollingClass;
+  }
+
+  setPollingClass(pollingClass) {
+    if (Object.values(PollingClass).includes(pollingClass)) {
+      this.pollingClass = pollingClass;
+    }
+  }
+
   getValueList() {
     return this.valueList;
   }
@@ -140,10 +168,24 @@ class MiotProperty extends EventEmitter {
     let nameValStr = this.name + ': ' + this.value;
     if (this.isValueInitial) {
       nameValStr = nameValStr + ' | (not synced)'
+    } else if (this.isValueStale) {
+      nameValStr = nameValStr + ' | (restored)'
     }
     return nameValStr;
   }
 
+  isValueSynced() {
+    return this.isValueInitial === false;
+  }
+
+  isStale() {
+    return this.isValueStale;
+  }
+
+  clearStale() {
+    this.isValueStale = false;
+  }
+
   isReadable() {
     return this.access.length > 0 && this.access.includes('read');
   }
@@ -199,6 +241,25 @@ class MiotProperty extends EventEmitter {
   }
 
 
+  // converts a value from the user config, for example a string saved by the homebridge ui, to the format of the property
+  convertValueToFormat(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.convertValueToFormat(item));
+    }
+    if (value == null || typeof value !== 'string') {
+      return value;
+    }
+    let valueFormat = this.getFormat();
+    if (valueFormat === PropFormat.BOOL) {
+      return ['true', '1'].includes(value.trim().toLowerCase());
+    } else if (valueFormat === PropFormat.STRING || valueFormat === PropFormat.UNKNOWN) {
+      return value;
+    }
+    let numberValue = Number(value);
+    return value.trim().length > 0 && !isNaN(numberValue) ? numberValue : value;
+  }
+
+
   /*----------========== INTERNAL HELPERS ==========----------*/
 
   _getInitialFormattedValue() {
@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const util = require('util');
+
+const gunzip = util.promisify(zlib.gunzip);
+const gzip = util.promisify(zlib.gzip);
+
+const CATALOG_VERSION = 1;
+const INDEX_FILE_NAME = 'catalog.json';
+const SPECS_DIR_NAME = 'specs';
+
+// local copy of the miot spec instance index and the spec files, so that devices can be identified without access to miot-spec.org
+// layout:
+//   <catalogDir>/catalog.json          -> { version, updatedAt, source, instances: [{ model, type, version, status }] }
+//   <catalogDir>/specs/<type>.json     -> (url encoded type) raw spec as returned by https://miot-spec.org/miot-spec-v2/instance?type=<type>
+// archives are single (optionally gzipped) json files: { version, createdAt, instances, specs: { <type>: <raw spec> } }
+class MiotSpecCatalog {
+  constructor(catalogDir) {
+    this.catalogDir = catalogDir;
+    this.index = null;
+  }
+
+
+  /*----------========== INDEX ==========----------*/
+
+  getCatalogDir() {
+    return this.catalogDir;
+  }
+
+  async loadIndex() {
+    if (!this.index) {
+      try {
+        const index = JSON.parse(await fs.readFile(this._getIndexFile(), 'utf8'));
+        if (index && index.version === CATALOG_VERSION && Array.isArray(index.instances)) {
+          this.index = index;
+        }
+      } catch (err) {
+        // no catalog yet
+      }
+    }
+    return this.index;
+  }
+
+  async saveIndex(instances, source) {
+    this.index = {
+      version: CATALOG_VERSION,
+      updatedAt: Date.now(),
+      source: source,
+      instances: instances.map(({
+        model,
+        type,
+        version,
+        status
+      }) => {
+        return {
+          model,
+          type,
+          version,
+          status
+        };
+      })
+    };
+    await fs.mkdir(this.catalogDir, {
+      recursive: true
+    });
+    await fs.writeFile(this._getIndexFile(), JSON.stringify(this.index), 'utf8');
+  }
+
+  async hasIndex() {
+    return !!(await this.loadIndex());
+  }
+
+  async isIndexExpired(ttl) {
+    const index = await this.loadIndex();
+    return !index || !ttl || Date.now() - index.updatedAt > ttl;
+  }
+
+  async findInstanceByModel(model) {
+    const index = await this.loadIndex();
+    if (index) {
+      // the instances are sorted by version, the last one is the newest
+      const lastFoundSpecIndex = index.instances.map(instance => instance.model === model).lastIndexOf(true);
+      return index.instances[lastFoundSpecIndex] || null;
+    }
+    return null;
+  }
+
+
+  /*----------========== SPECS ==========----------*/
+
+  async getSpec(type) {
+    try {
+      return JSON.parse(await fs.readFile(this._getSpecFile(type), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async saveSpec(type, spec) {
+    await fs.mkdir(path.join(this.catalogDir, SPECS_DIR_NAME), {
+      recursive: true
+    });
+    await fs.writeFile(this._getSpecFile(type), JSON.stringify(spec), 'utf8');
+  }
+
+  async getSpecTypes() {
+    try {
+      const files = await fs.readdir(path.join(this.catalogDir, SPECS_DIR_NAME));
+      return files.filter(file => file.endsWith('.json')).map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    } catch (err) {
+      return [];
+    }
+  }
+
+
+  /*----------========== ARCHIVE ==========----------*/
+
+  async exportArchive(archiveFile) {
+    const index = await this.loadIndex();
+    if (!index) {
+      throw new Error(`The spec catalog in ${this.catalogDir} is empty! Nothing to export!`);
+    }
+    const specs = {};
+    for (const type of await this.getSpecTypes()) {
+      specs[type] = await this.getSpec(type);
+    }
+    const archive = JSON.stringify({
+      version: CATALOG_VERSION,
+      createdAt: Date.now(),
+      instances: index.instances,
+      specs: specs
+    });
+    await fs.writeFile(archiveFile, archiveFile.endsWith('.gz') ? await gzip(archive) : archive);
+    return {
+      instances: index.instances.length,
+      specs: Object.keys(specs).length
+    };
+  }
+
+  async importArchive(archiveFile) {
+    let data = await fs.readFile(archiveFile);
+    if (data[0] === 0x1f && data[1] === 0x8b) { // gzip magic number
+      data = await gunzip(data);
+    }
+
+    const archive = JSON.parse(data.toString('utf8'));
+    if (!archive || archive.version !== CATALOG_VERSION || !Array.isArray(archive.instances)) {
+      throw new Error(`Unsupported spec catalog archive! Expected version ${CATALOG_VERSION}!`);
+    }
+
+    await this.saveIndex(archive.instances, `import:${path.basename(archiveFile)}`);
+    const specs = archive.specs || {};
+    for (const type of Object.keys(specs)) {
+      await this.saveSpec(type, specs[type]);
+    }
+    return {
+      instances: archive.instances.length,
+      specs: Object.keys(specs).length
+    };
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _getIndexFile() {
+    return path.join(this.catalogDir, INDEX_FILE_NAME);
+  }
+
+  _getSpecFile(type) {
+    return path.join(this.catalogDir, SPECS_DIR_NAME, encodeURIComponent(type) + '.json');
+  }
+
+}
+
+module.exports = MiotSpecCatalog;
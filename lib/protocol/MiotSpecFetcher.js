@@ -1,4 +1,5 @@
 const fetch = require('node-fetch');
+const MiotSpecCatalog = require('./MiotSpecCatalog.js');
 
 // DEVICES: http://miot-spec.org/miot-spec-v2/instances?status=all
 // device types: http://miot-spec.org/miot-spec-v2/spec/devices
@@ -6,10 +7,64 @@ const fetch = require('node-fetch');
 
 const ALL_DEVICES_URL = "https://miot-spec.org/miot-spec-v2/instances?status=all";
 const INSTANCE_URL = "https://miot-spec.org/miot-spec-v2/instance?type=";
+const DEFAULT_CATALOG_TTL = 7 * 24 * 60 * 60 * 1000; // one week in milliseconds
 
 
 class MiotSpecFetcher {
-  constructor() {}
+  constructor() {
+    this.catalog = null;
+    this.catalogTtl = DEFAULT_CATALOG_TTL;
+  }
+
+
+  /*----------========== CATALOG ==========----------*/
+
+  // when a catalog is set, specs are resolved against the catalog first and miot-spec.org is only used to refresh it
+  setCatalog(catalogDir, catalogTtl) {
+    this.catalog = catalogDir ? new MiotSpecCatalog(catalogDir) : null;
+    if (catalogTtl !== undefined && catalogTtl !== null) {
+      this.catalogTtl = catalogTtl;
+    }
+  }
+
+  getCatalog() {
+    return this.catalog;
+  }
+
+  async syncCatalog(models = [], syncAllSpecs = false) {
+    if (!this.catalog) {
+      throw new Error(`No spec catalog set! Cannot sync!`);
+    }
+    const instances = await this._fetchAllInstances();
+    await this.catalog.saveIndex(instances, ALL_DEVICES_URL);
+
+    // download the specs, by default only the newest spec of the specified models
+    let typesToSync = [];
+    if (syncAllSpecs) {
+      typesToSync = instances.map(instance => instance.type);
+    } else {
+      for (const model of models) {
+        const instance = await this.catalog.findInstanceByModel(model);
+        if (!instance) {
+          throw new Error(`Could not find miot spec for model ${model}`);
+        }
+        typesToSync.push(instance.type);
+      }
+    }
+
+    let syncedSpecs = 0;
+    for (const type of [...new Set(typesToSync)]) {
+      if (!(await this.catalog.getSpec(type))) {
+        await this.catalog.saveSpec(type, await this._fetchSpec(INSTANCE_URL + type));
+        syncedSpecs++;
+      }
+    }
+
+    return {
+      instances: instances.length,
+      specs: syncedSpecs
+    };
+  }
 
 
   /*----------========== PUBLIC ==========----------*/
@@ -17,11 +72,16 @@ class MiotSpecFetcher {
   async fetchMiotSpecFromUrl(specUrl, skipDevInfoService = false) {
     if (specUrl) {
       //const url = `https://miot-spec.org/miot-spec-v2/instance?type=${spec}`;
-      const res = await fetch(specUrl);
-      if (!res.ok) {
-        throw new Error(`Get spec error with status ${res.statusText}`);
+      const type = this._getTypeFromUrl(specUrl);
+      let spec = this.catalog && type ? await this.catalog.getSpec(type) : null;
+      if (!spec) {
+        spec = await this._fetchSpec(specUrl);
+        if (this.catalog && type) {
+          // spec types are versioned, so a downloaded spec never changes
+          await this.catalog.saveSpec(type, spec).catch(() => {});
+        }
       }
-      const result = await this._processMiotFetchResult(res, skipDevInfoService);
+      const result = this._processMiotSpec(spec, skipDevInfoService);
       result.specUrl = specUrl;
       return result;
     } else {
@@ -38,14 +98,15 @@ class MiotSpecFetcher {
 
   async findDeviceMiotSpecUrlByModel(model) {
     if (model) {
-      const res = await fetch(ALL_DEVICES_URL);
-      if (!res.ok) {
-        throw new Error(`Get all spec error with status ${res.statusText}`);
+      if (this.catalog) {
+        const instance = await this._findCatalogInstanceByModel(model);
+        if (instance && instance.type) {
+          return INSTANCE_URL + instance.type;
+        }
+        throw new Error(`Could not find miot spec for model ${model}`);
       }
-      const {
-        instances
-      } = await res.json();
 
+      const instances = await this._fetchAllInstances();
       const lastFoundSpecIndex = instances.map(spec => spec.model === model).lastIndexOf(true);
       let foundSpec = instances[lastFoundSpecIndex];
       if (foundSpec && foundSpec.type) {
@@ -62,12 +123,49 @@ class MiotSpecFetcher {
 
   /*----------========== PRIVATE ==========----------*/
 
-  async _processMiotFetchResult(data, skipDevInfoService = false) {
+  async _findCatalogInstanceByModel(model) {
+    // refresh the index when expired or when the model is not known yet, on failure continue with the current index
+    if (await this.catalog.isIndexExpired(this.catalogTtl) || !(await this.catalog.findInstanceByModel(model))) {
+      try {
+        await this.catalog.saveIndex(await this._fetchAllInstances(), ALL_DEVICES_URL);
+      } catch (err) {
+        if (!(await this.catalog.hasIndex())) {
+          throw err;
+        }
+      }
+    }
+    return this.catalog.findInstanceByModel(model);
+  }
+
+  async _fetchAllInstances() {
+    const res = await fetch(ALL_DEVICES_URL);
+    if (!res.ok) {
+      throw new Error(`Get all spec error with status ${res.statusText}`);
+    }
+    const {
+      instances
+    } = await res.json();
+    return instances;
+  }
+
+  async _fetchSpec(specUrl) {
+    const res = await fetch(specUrl);
+    if (!res.ok) {
+      throw new Error(`Get spec error with status ${res.statusText}`);
+    }
+    return res.json();
+  }
+
+  _getTypeFromUrl(specUrl) {
+    return specUrl.startsWith(INSTANCE_URL) ? decodeURIComponent(specUrl.substring(INSTANCE_URL.length)) : null;
+  }
+
+  _processMiotSpec(spec, skipDevInfoService = false) {
     const {
       type,
       description,
       services
-    } = await data.json();
+    } = spec;
     const result = {};
     result.type = type;
     result.description = description;
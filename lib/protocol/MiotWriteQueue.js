@@ -0,0 +1,140 @@
+const RETRY_BASE_DELAY = 500; // in milliseconds, doubled with every retry
+const MAX_QUEUED_WRITES = 20;
+const TRANSIENT_ERROR_CODES = [-9999, 'timeout'];
+const TRANSIENT_ERROR_MESSAGES = ['user ack timeout'];
+
+
+// retries property writes and actions which failed with a transient error (device busy, ack timeout) with an exponential backoff
+// while a property write waits for a retry, newer writes of the same property replace the queued value instead of being queued separately
+class MiotWriteQueue {
+  constructor(logger) {
+    this.logger = logger;
+
+    this.maxRetries = 0;
+    this.queuedWrites = new Set();
+    this.pendingPropertyWrites = new Map(); // key -> queued write
+  }
+
+
+  /*----------========== SETUP ==========----------*/
+
+  setMaxRetries(maxRetries) {
+    this.maxRetries = Math.max(parseInt(maxRetries) || 0, 0);
+  }
+
+
+  /*----------========== QUEUE ==========----------*/
+
+  // runs the write, when a key is specified then writes with the same key are coalesced
+  async run(key, writeFn) {
+    const pendingWrite = key ? this.pendingPropertyWrites.get(key) : null;
+    if (pendingWrite) {
+      this.logger.debug(`Write ${key} is already queued for a retry! Replacing the queued write!`);
+      pendingWrite.writeFn = writeFn;
+      return pendingWrite.promise;
+    }
+
+    try {
+      return await writeFn();
+    } catch (err) {
+      if (!this._shouldRetry(err, 0)) {
+        throw err;
+      }
+      if (this.queuedWrites.size >= MAX_QUEUED_WRITES) {
+        this.logger.debug(`Write queue is full! Not retrying ${key || 'the write'}!`);
+        throw err;
+      }
+      return this._enqueue(key, writeFn);
+    }
+  }
+
+  isTransientError(err) {
+    return this._isTransientError(err);
+  }
+
+  // rejects all queued writes, for example when the device disconnects
+  clear(reason = 'Write queue cleared!') {
+    this.queuedWrites.forEach((queuedWrite) => {
+      clearTimeout(queuedWrite.timeout);
+      queuedWrite.reject(new Error(reason));
+    });
+    this.queuedWrites.clear();
+    this.pendingPropertyWrites.clear();
+  }
+
+
+  /*----------========== HELPERS ==========----------*/
+
+  _enqueue(key, writeFn) {
+    const queuedWrite = {
+      key,
+      writeFn,
+      retry: 0,
+      timeout: null
+    };
+    queuedWrite.promise = new Promise((resolve, reject) => {
+      queuedWrite.resolve = resolve;
+      queuedWrite.reject = reject;
+    });
+    this.queuedWrites.add(queuedWrite);
+    if (key) {
+      this.pendingPropertyWrites.set(key, queuedWrite);
+    }
+    this._scheduleRetry(queuedWrite);
+    return queuedWrite.promise;
+  }
+
+  _scheduleRetry(queuedWrite) {
+    const delay = RETRY_BASE_DELAY * Math.pow(2, queuedWrite.retry);
+    queuedWrite.retry++;
+    this.logger.debug(`Transient write failure! Retrying ${queuedWrite.key || 'the write'} in ${delay}ms (${queuedWrite.retry}/${this.maxRetries})!`);
+    queuedWrite.timeout = setTimeout(() => {
+      this._runQueuedWrite(queuedWrite);
+    }, delay);
+  }
+
+  async _runQueuedWrite(queuedWrite) {
+    const writeFn = queuedWrite.writeFn;
+    try {
+      const result = await writeFn();
+      if (queuedWrite.writeFn !== writeFn) {
+        // replaced by a newer write in the meantime, send the newer value right away
+        this._runQueuedWrite(queuedWrite);
+        return;
+      }
+      this._remove(queuedWrite);
+      queuedWrite.resolve(result);
+    } catch (err) {
+      if (this._shouldRetry(err, queuedWrite.retry)) {
+        this._scheduleRetry(queuedWrite);
+      } else {
+        this._remove(queuedWrite);
+        queuedWrite.reject(err);
+      }
+    }
+  }
+
+  _remove(queuedWrite) {
+    this.queuedWrites.delete(queuedWrite);
+    if (queuedWrite.key && this.pendingPropertyWrites.get(queuedWrite.key) === queuedWrite) {
+      this.pendingPropertyWrites.delete(queuedWrite.key);
+    }
+  }
+
+  _shouldRetry(err, retry) {
+    return retry < this.maxRetries && this._isTransientError(err);
+  }
+
+  _isTransientError(err) {
+    if (!err) {
+      return false;
+    }
+    if (TRANSIENT_ERROR_CODES.includes(err.code)) {
+      return true;
+    }
+    return !!err.message && TRANSIENT_ERROR_MESSAGES.some(msg => err.message.includes(msg));
+  }
+
+}
+
+module.exports = MiotWriteQueue;
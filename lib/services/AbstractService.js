@@ -157,6 +157,10 @@ class AbstractService {
     return this.getDevice().isConnected();
   }
 
+  isMiotDeviceStateAvailable() {
+    return this.isMiotDeviceConnected() || this.getDevice().hasStalePropertyValues();
+  }
+
   getPropertyValue(propObj) {
     return this.getDevice().getPropertyValue(propObj);
   }
@@ -7,6 +7,9 @@ const PropUnit = require('../constants/PropUnit.js');
 const PropAccess = require('../constants/PropAccess.js');
 const colorConvert = require('color-convert');
 
+const ADAPTIVE_LIGHTING_TOLERANCE = 3; // in mired, devices round the color temperature to their own steps
+const ADAPTIVE_LIGHTING_GRACE_PERIOD = 5000; // in milliseconds, a poll which was sent before a color temperature change might still return the old value
+
 
 class OutletService extends AbstractService {
   constructor(serviceId, serviceName, miotService, device, accessory, api, logger) {
@@ -18,6 +21,11 @@ class OutletService extends AbstractService {
     HAPStatus = api.hap.HAPStatus;
 
     super(serviceId, serviceName, miotService, device, accessory, api, logger);
+
+    this.adaptiveLightingEnabled = false;
+    this.adaptiveLightingController = null;
+    this.lastColorTempMiredSet = null;
+    this.lastColorTempSetTime = 0;
   }
 
 
@@ -30,6 +38,10 @@ class OutletService extends AbstractService {
 
   /*----------========== SETUP SERVICE ==========----------*/
 
+  setAdaptiveLightingEnabled(enabled) {
+    this.adaptiveLightingEnabled = !!enabled;
+  }
+
   prepareService() {
     if (!this._onProp()) {
       throw new Error(`The specified service has no 'on' property! Cannot create light service!`);
@@ -65,6 +77,9 @@ class OutletService extends AbstractService {
     // add the service
     this.addAccessoryService(this.lightService);
 
+    // adaptive lighting, requires the service to be added to the accessory
+    this.setupAdaptiveLightingIfSupported();
+
     return true;
   }
 
@@ -97,6 +112,7 @@ class OutletService extends AbstractService {
       this.addPropertyToMonitor(this._colorTemperatureProp());
 
       this._colorTemperatureProp().on(Events.PROP_VALUE_CHANGED, (prop) => {
+        this.disableAdaptiveLightingOnManualChange();
         this.updateServiceStatus();
       });
     }
@@ -122,11 +138,22 @@ class OutletService extends AbstractService {
     }
   }
 
+  setupAdaptiveLightingIfSupported() {
+    if (this.adaptiveLightingEnabled && this.supportsAdaptiveLighting()) {
+      // the controller takes the supported range from the color temperature characteristic props
+      this.adaptiveLightingController = new this.api.hap.AdaptiveLightingController(this.lightService, {
+        controllerMode: this.api.hap.AdaptiveLightingControllerMode.AUTOMATIC
+      });
+      this.getAccessory().configureController(this.adaptiveLightingController);
+      this.getLogger().debug(`[LightService] Adaptive lighting enabled for ${this.getServiceName()}! Color temperature range: ${this.getMinColorTempValue()}-${this.getMaxColorTempValue()} mired`);
+    }
+  }
+
 
   /*----------========== STATE SETTERS/GETTERS ==========----------*/
 
   isLightOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.isOn();
     }
     return false;
@@ -134,14 +161,14 @@ class OutletService extends AbstractService {
 
   setLightOn(value) {
     if (this.isMiotDeviceConnected()) {
-      this.setOn(value);
+      return this.setOn(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getLightBrightness() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getBrightness();
     }
     return 0;
@@ -150,14 +177,14 @@ class OutletService extends AbstractService {
   setLightBrightness(brightness) {
     if (this.isMiotDeviceConnected()) {
       if (this.brightnessTimeout) clearTimeout(this.brightnessTimeout);
-      this.brightnessTimeout = setTimeout(() => this.setBrightness(brightness), Constants.SLIDER_DEBOUNCE);
+      this.brightnessTimeout = setTimeout(() => this.setBrightness(brightness).catch(() => {}), Constants.SLIDER_DEBOUNCE); // failure is logged by the device
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getLightColorTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getColorTempMired();
     }
     return this.getMinColorTempValue();
@@ -165,14 +192,14 @@ class OutletService extends AbstractService {
 
   setLightColorTemperature(colorTemp) {
     if (this.isMiotDeviceConnected()) {
-      this.setColorTempMired(colorTemp);
+      return this.setColorTempMired(colorTemp);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getLightColorHue() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getHue();
     }
     return 0;
@@ -180,14 +207,14 @@ class OutletService extends AbstractService {
 
   setLightColorHue(hue) {
     if (this.isMiotDeviceConnected()) {
-      this.setHue(hue);
+      return this.setHue(hue);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getLightColorSaturation() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getSaturation();
     }
     return 0;
@@ -195,7 +222,7 @@ class OutletService extends AbstractService {
 
   setLightColorSaturation(saturation) {
     if (this.isMiotDeviceConnected()) {
-      this.setSaturation(saturation);
+      return this.setSaturation(saturation);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -262,6 +289,10 @@ class OutletService extends AbstractService {
     return !!this._colorProp();
   }
 
+  supportsAdaptiveLighting() {
+    return this.supportsBrightness() && this.supportsColorTemperature() && !!this.api.hap.AdaptiveLightingController;
+  }
+
 
   /*----------========== CONVENIENCE ==========----------*/
 
@@ -275,9 +306,27 @@ class OutletService extends AbstractService {
 
   async setColorTempMired(miredVal) {
     if (miredVal > 0) {
+      miredVal = Math.min(Math.max(miredVal, this.getMinColorTempValue()), this.getMaxColorTempValue());
+      this.lastColorTempMiredSet = miredVal;
+      this.lastColorTempSetTime = Date.now();
       let kelvinVal = 1000000 / miredVal;
       kelvinVal = Math.floor(kelvinVal);
-      this.setColorTemperature(kelvinVal);
+      return this.setColorTemperature(kelvinVal);
+    }
+  }
+
+  isAdaptiveLightingActive() {
+    return !!this.adaptiveLightingController && this.adaptiveLightingController.isAdaptiveLightingActive();
+  }
+
+  // homekit only turns adaptive lighting off for changes made in homekit, changes made on the device itself are only seen by polling
+  disableAdaptiveLightingOnManualChange() {
+    if (this.isAdaptiveLightingActive() && this.lastColorTempMiredSet !== null && Date.now() - this.lastColorTempSetTime > ADAPTIVE_LIGHTING_GRACE_PERIOD) {
+      const currentColorTempMired = this.getColorTempMired();
+      if (Math.abs(currentColorTempMired - this.lastColorTempMiredSet) > ADAPTIVE_LIGHTING_TOLERANCE) {
+        this.getLogger().info(`[LightService] Color temperature of ${this.getServiceName()} was changed on the device! Disabling adaptive lighting!`);
+        this.adaptiveLightingController.disableAdaptiveLighting();
+      }
     }
   }
 
@@ -291,12 +340,12 @@ class OutletService extends AbstractService {
 
   setHue(hue) {
     this.getLogger().debug(`[LightService] Setting hue to ${hue}`);
-    this.setSaturationHue(undefined, hue);
+    return this.setSaturationHue(undefined, hue);
   }
 
   setSaturation(saturation) {
     this.getLogger().debug(`[LightService] Setting saturation to ${saturation}`);
-    this.setSaturationHue(saturation, undefined);
+    return this.setSaturationHue(saturation, undefined);
   }
 
 
@@ -363,7 +412,7 @@ class OutletService extends AbstractService {
       let colorRgb = this.getColorRgb(this.saturationHueToSet.hue, this.saturationHueToSet.saturation, this.getBrightness());
       this.getLogger().debug(`[LightService] Got hue and saturation! Sending rgb ${colorRgb} value to device!`);
       this.saturationHueToSet = null;
-      this.setColor(colorRgb);
+      return this.setColor(colorRgb);
     }
   }
 
@@ -63,7 +63,7 @@ class OutletService extends AbstractService {
   /*----------========== STATE SETTERS/GETTERS ==========----------*/
 
   isOutletOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.isOn();
     }
     return false;
@@ -71,14 +71,14 @@ class OutletService extends AbstractService {
 
   setOutletOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.setOn(state);
+      return this.setOn(state);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   isOutletInUse() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.isOn();
     }
     return false;
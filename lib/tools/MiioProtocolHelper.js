@@ -64,6 +64,11 @@ class MiioProtocolHelper {
     });
   }
 
+  async discover(timeout = 3000, debug = false) {
+    this.logger.setDeepDebugLogEnabled(debug);
+    return this.miioProtocol.discover(timeout);
+  }
+
   /*----------========== STORAGE ==========----------*/
 
   //token
@@ -16,6 +16,18 @@ class MissingDeviceId extends Error {
   }
 }
 
+class MissingDeviceIp extends Error {
+  constructor(name) {
+    super(`Missing ip for ${name}! Could not locate the device in the local network!`);
+  }
+}
+
+class MiCloudAuthError extends Error {
+  constructor(message) {
+    super(`MiCloud authentication failed! The service token is invalid or expired! Reason: ${message}`);
+  }
+}
+
 class MissingMiCloudCredentials extends Error {
   constructor() {
     super(`Missing information required to connect to the MiCloud! Please specify a MiCloud username and password!`);
@@ -35,12 +47,30 @@ class UnknownDeviceModel extends Error {
   }
 }
 
+class InvalidDeviceDefinition extends Error {
+  constructor(fileName, problems) {
+    super(`Invalid device definition ${fileName}! ${problems.join('! ')}!`);
+    this.problems = problems;
+  }
+}
+
+class InvalidDeviceClass extends Error {
+  constructor(fileName, problems) {
+    super(`Invalid device class ${fileName}! ${problems.join('! ')}!`);
+    this.problems = problems;
+  }
+}
+
 
 module.exports = {
   DeviceNotFound: DeviceNotFound,
   DeviceNotOnline: DeviceNotOnline,
   MissingDeviceId: MissingDeviceId,
+  MissingDeviceIp: MissingDeviceIp,
+  MiCloudAuthError: MiCloudAuthError,
   MissingMiCloudCredentials: MissingMiCloudCredentials,
   TwoFactorRequired: TwoFactorRequired,
-  UnknownDeviceModel: UnknownDeviceModel
+  UnknownDeviceModel: UnknownDeviceModel,
+  InvalidDeviceDefinition: InvalidDeviceDefinition,
+  InvalidDeviceClass: InvalidDeviceClass
 }
@@ -1,3 +1,16 @@
+// Miot subcommand response codes
+const RESPONSE_CODES = {
+  0: 'Success',
+  1: 'Request received, but the operation has not been completed yet',
+  '-4001': 'Unreadable attribute',
+  '-4002': 'Attribute is not writable',
+  '-4003': 'Properties, methods, events do not exist',
+  '-4004': 'Other internal errors',
+  '-4005': 'Attribute value error',
+  '-4006': 'Method in parameter error',
+  '-4007': 'did error'
+};
+
 class MiotProtocolUtils {
 
   static isValidMiotId(value) {
@@ -29,6 +42,13 @@ class MiotProtocolUtils {
     return false;
   }
 
+  static getResponseCodeDescription(code) {
+    if (code === undefined || code === null) {
+      return 'No response';
+    }
+    return `${RESPONSE_CODES[code] || 'Unknown error'} (code: ${code})`;
+  }
+
 
 }
 
@@ -194,10 +194,10 @@ class AbstractPropertyWrapper {
       .getCharacteristic(Characteristic.On)
       .onGet(this.isStatelessSwitchOn.bind(this))
       .onSet((value) => {
-        setterFn.bind(this)(value);
         setTimeout(() => {
           if (newStatelessSwitch) newStatelessSwitch.getCharacteristic(Characteristic.On).updateValue(false);
         }, Constants.BUTTON_RESET_TIMEOUT);
+        return setterFn.bind(this)(value);
       });
 
     return newStatelessSwitch;
@@ -240,7 +240,7 @@ class AbstractPropertyWrapper {
   }
 
   setPropValue(value) {
-    this.getDevice().setPropertyValue(this.getProp(), value);
+    return this.getDevice().setPropertyValue(this.getProp(), value);
   }
 
   getPropValue() {
@@ -324,7 +324,7 @@ class AbstractPropertyWrapper {
 
     // enable the linked prop if it was disabled
     if (this.getLinkedProp().getValue() === false) {
-      this.getDevice().setPropertyValue(this.getLinkedProp(), true);
+      return this.getDevice().setPropertyValue(this.getLinkedProp(), true);
     }
   }
 
@@ -335,7 +335,7 @@ class AbstractPropertyWrapper {
 
     // disable the linked prop if it was enabled
     if (this.getLinkedProp().getValue() === true) {
-      this.getDevice().setPropertyValue(this.getLinkedProp(), false);
+      return this.getDevice().setPropertyValue(this.getLinkedProp(), false);
     }
   }
 
@@ -357,6 +357,10 @@ class AbstractPropertyWrapper {
     return this.getDevice().isConnected();
   }
 
+  isMiotDeviceStateAvailable() {
+    return this.isMiotDeviceConnected() || this.getDevice().hasStalePropertyValues();
+  }
+
 
 }
 
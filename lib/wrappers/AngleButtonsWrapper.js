@@ -55,7 +55,7 @@ class AngleButtonsWrapper extends AbstractPropertyWrapper {
             return this.isSwingAngleSwitchOn(swingAngleVal);
           })
           .onSet((value) => {
-            this.setSwingAngleSwitchOn(value, swingAngleVal);
+            return this.setSwingAngleSwitchOn(value, swingAngleVal);
           });
 
         this.addAccessoryService(tmpSwingAngleSwitch);
@@ -70,7 +70,7 @@ class AngleButtonsWrapper extends AbstractPropertyWrapper {
   /*----------========== STATE SETTERS/GETTERS ==========----------*/
 
   isSwingAngleSwitchOn(angle) {
-    if (this.isMiotDeviceConnected() && this.getDevice().isDeviceOn()) { //TODO needs to be done more generic
+    if (this.isMiotDeviceStateAvailable() && this.getDevice().isDeviceOn()) { //TODO needs to be done more generic
       if (this.checkLinkedPropStatus()) {
         return this.getProp().getValue() === angle;
       }
@@ -78,14 +78,14 @@ class AngleButtonsWrapper extends AbstractPropertyWrapper {
     return false;
   }
 
-  setSwingAngleSwitchOn(state, angle) {
+  async setSwingAngleSwitchOn(state, angle) {
     if (this.isMiotDeviceConnected()) {
       if (state) {
-        this.enableLinkedPropIfNecessary();
-        this.getDevice().setPropertyValue(this.getProp(), angle);
+        await this.enableLinkedPropIfNecessary();
+        await this.getDevice().setPropertyValue(this.getProp(), angle);
         this.updateSwingAngleSwitches(angle);
       } else {
-        this.disableLinkedPropIfNecessary();
+        return this.disableLinkedPropIfNecessary();
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -87,7 +87,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
 
   // boolean
   isOffDelayBooleanSwitchOn() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.getPropValue();
     }
     return false;
@@ -95,7 +95,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
 
   setOffDelayBooleanSwitchOn(value) {
     if (this.isMiotDeviceConnected()) {
-      this.setPropValue(value);
+      return this.setPropValue(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -103,7 +103,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
 
   // value range
   isOffDelayLightbulbOn() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.getOffDelayInMinutes() > 0;
     }
     return false;
@@ -112,7 +112,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
   setOffDelayLightbulbOn(value) {
     if (this.isMiotDeviceConnected()) {
       if (value === false) { // only if disabling, enabling will automatically set it to 100%
-        this.setOffDelayInMinutes(0);
+        return this.setOffDelayInMinutes(0);
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -120,7 +120,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
   }
 
   getOffDelayBrightness() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return Math.min(this.getOffDelayInMinutes(), 100);
     }
     return 0;
@@ -129,7 +129,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
   setOffDelayBrightness(value) {
     if (this.isMiotDeviceConnected()) {
       if (this.offDelayTimeout) clearTimeout(this.offDelayTimeout);
-      this.offDelayTimeout = setTimeout(() => this.setOffDelayInMinutes(value), Constants.SLIDER_DEBOUNCE);
+      this.offDelayTimeout = setTimeout(() => this.setOffDelayInMinutes(value).catch(() => {}), Constants.SLIDER_DEBOUNCE); // failure is logged by the device
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -164,7 +164,7 @@ class OffDelayWrapper extends AbstractPropertyWrapper {
 
   setOffDelayInMinutes(minutes) {
     let value = this.getDevice().convertMinutesToUnit(minutes, this.getUnit());
-    this.setPropValue(value);
+    return this.setPropValue(value);
   }
 
 
@@ -66,17 +66,17 @@ class PropValueListWrapper extends AbstractPropertyWrapper {
   /*----------========== STATE SETTERS/GETTERS ==========----------*/
 
   isSwitchOn(itemVal) {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.getProp().getValue() === itemVal;
     }
     return false;
   }
 
-  setSwitchOn(state, itemVal) {
+  async setSwitchOn(state, itemVal) {
     if (this.isMiotDeviceConnected()) {
       if (state) {
-        this.enableLinkedPropIfNecessary();
-        this.getDevice().setPropertyValue(this.getProp(), itemVal);
+        await this.enableLinkedPropIfNecessary();
+        await this.getDevice().setPropertyValue(this.getProp(), itemVal);
         this.updateValueListSwitches(itemVal);
       } else {
         // if user tries to turn off active switch, then reset the state of all switches
@@ -91,10 +91,10 @@ class PropValueListWrapper extends AbstractPropertyWrapper {
 
   // write only value list
 
-  setStatlessSwitchOn(state, itemVal) {
+  async setStatlessSwitchOn(state, itemVal) {
     if (this.isMiotDeviceConnected()) {
-      this.enableLinkedPropIfNecessary();
-      this.getDevice().setPropertyValue(this.getProp(), itemVal);
+      await this.enableLinkedPropIfNecessary();
+      return this.getDevice().setPropertyValue(this.getProp(), itemVal);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -146,7 +146,7 @@ class PropValueListWrapper extends AbstractPropertyWrapper {
         return this.isSwitchOn(itemVal);
       })
       .onSet((value) => {
-        this.setSwitchOn(value, itemVal);
+        return this.setSwitchOn(value, itemVal);
       });
 
     return tmpStatefulSwitch;
@@ -161,10 +161,10 @@ class PropValueListWrapper extends AbstractPropertyWrapper {
         return this.isStatelessSwitchOn();
       })
       .onSet((value) => {
-        this.setStatlessSwitchOn(value, itemVal);
         setTimeout(() => {
           if (tmpStatlessSwitch) tmpStatlessSwitch.getCharacteristic(Characteristic.On).updateValue(false);
         }, Constants.BUTTON_RESET_TIMEOUT);
+        return this.setStatlessSwitchOn(value, itemVal);
       });
 
     return tmpStatlessSwitch;
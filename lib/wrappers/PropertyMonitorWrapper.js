@@ -143,7 +143,7 @@ class PropertyMonitorWrapper extends AbstractPropertyWrapper {
 
   //light
   getCurrentAmbientLightLevel() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.getConvertedPropValue();
     }
     return this.getDefaultValue();
@@ -151,7 +151,7 @@ class PropertyMonitorWrapper extends AbstractPropertyWrapper {
 
   //occupancy
   getOccupancyDetected() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this._isOccupancyTriggered() ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
     }
     return Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
@@ -159,7 +159,7 @@ class PropertyMonitorWrapper extends AbstractPropertyWrapper {
 
   // temperature
   getCurrentTemperature() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getPropValue();
     }
     return 0;
@@ -226,29 +226,7 @@ class PropertyMonitorWrapper extends AbstractPropertyWrapper {
   }
 
   _isOccupancyTriggered() {
-    const tmpFixedValOperator = this.getFixedValueOperator();
-    if (tmpFixedValOperator === ValueOperator.LESS) {
-      return this.getPropValue() < this.getFixedValue();
-    } else if (tmpFixedValOperator === ValueOperator.GREATER) {
-      return this.getPropValue() > this.getFixedValue();
-    } else if (tmpFixedValOperator === ValueOperator.LESS_OR_EQUAL) {
-      return this.getPropValue() <= this.getFixedValue();
-    } else if (tmpFixedValOperator === ValueOperator.GREATER_OR_EQUAL) {
-      return this.getPropValue() >= this.getFixedValue();
-    } else if (tmpFixedValOperator === ValueOperator.CONTAINS) {
-      return this._checkPropValueContainsOrEqualsValue(this.getPropValue(), this.getFixedValue());
-    }
-
-    //equal operator
-    return this.getPropValue() === this.getFixedValue();
-  }
-
-  _checkPropValueContainsOrEqualsValue(propVal, value) {
-    if (value != null && propVal != null && Array.isArray(value)) {
-      return value.includes(propVal);
-    } else {
-      return propVal === value;
-    }
+    return ValueOperator.checkValue(this.getFixedValueOperator(), this.getPropValue(), this.getFixedValue());
   }
 
 
@@ -152,7 +152,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
       let tmpSwitch = null;
       if (this.isWriteOnly()) {
         tmpSwitch = this.createStatlessSwitch(switchName, switchId, (value) => {
-          this.setStatlessValueListSwitchOn(value, itemVal);
+          return this.setStatlessValueListSwitchOn(value, itemVal);
         });
       } else {
         tmpSwitch = this.createStatefulSwitch(switchName, switchId,
@@ -160,7 +160,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
             return this.isValueListSwitchOn(itemVal);
           },
           (value) => {
-            this.setValueListSwitchOn(value, itemVal);
+            return this.setValueListSwitchOn(value, itemVal);
           });
       }
 
@@ -174,17 +174,17 @@ class PropertyWrapper extends AbstractPropertyWrapper {
 
   //fixed value - stateful
   isStatefulFixedValueSwitchOn() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getProp().getValue() === this.getFixedValue();
     }
     return false;
   }
 
-  setStatefulFixedValueSwitchOn(state) {
+  async setStatefulFixedValueSwitchOn(state) {
     if (this.isMiotDeviceConnected()) {
       if (state) {
-        this.enableLinkedPropIfNecessary();
-        this.setPropValue(this.getFixedValue());
+        await this.enableLinkedPropIfNecessary();
+        await this.setPropValue(this.getFixedValue());
         this.fixedValueStatefulService.getCharacteristic(Characteristic.On).updateValue(true);
       } else {
         // if user tries to turn off an fixed value switch, then re enable it
@@ -198,10 +198,10 @@ class PropertyWrapper extends AbstractPropertyWrapper {
   }
 
   //fixed value - stateless
-  setStatelessFixedValueSwitchOn(state) {
+  async setStatelessFixedValueSwitchOn(state) {
     if (this.isMiotDeviceConnected()) {
-      this.enableLinkedPropIfNecessary();
-      this.setPropValue(this.getFixedValue());
+      await this.enableLinkedPropIfNecessary();
+      return this.setPropValue(this.getFixedValue());
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -209,7 +209,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
 
   // boolean
   isBooleanSwitchOn() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.getProp().getValue();
     }
     return false;
@@ -217,7 +217,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
 
   setBooleanSwitchOn(value) {
     if (this.isMiotDeviceConnected()) {
-      this.setPropValue(value);
+      return this.setPropValue(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -226,7 +226,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
   // value range
   // -- lightbulb
   isPropBrightnessSwitchOn() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.isPropValueRangeEnabled();
     }
     return false;
@@ -237,7 +237,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
       if (!value || this.isPropValueRangeEnabled() === false) {
         //TODO: it gets called twice once the previous value and once 100% find a fix for that?
         // check screen brightness at zhimi.airpurifier.mb4 device which has the issue
-        this.setPropValueRangeEnabled(value);
+        return this.setPropValueRangeEnabled(value);
       }
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
@@ -245,7 +245,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
   }
 
   getPropBrightness() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getPropValueRangePercentage();
     }
     return 0;
@@ -255,7 +255,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
     if (this.isMiotDeviceConnected()) {
       // use debounce to limit the number of calls when the user slides the slider
       if (this.ledBrightnessTimeout) clearTimeout(this.ledBrightnessTimeout);
-      this.ledBrightnessTimeout = setTimeout(() => this.setPropValueRangePercentage(value), Constants.SLIDER_DEBOUNCE);
+      this.ledBrightnessTimeout = setTimeout(() => this.setPropValueRangePercentage(value).catch(() => {}), Constants.SLIDER_DEBOUNCE); // failure is logged by the device
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -263,7 +263,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
 
   // -- fan
   isPropFanSwitchOn() {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return Characteristic.Active.ACTIVE;
     }
     return Characteristic.Active.INACTIVE;
@@ -272,14 +272,14 @@ class PropertyWrapper extends AbstractPropertyWrapper {
   setPropFanSwitchOn(state) {
     if (this.isMiotDeviceConnected()) {
       let value = state === Characteristic.Active.ACTIVE;
-      this.setPropValueRangeEnabled(value);
+      return this.setPropValueRangeEnabled(value);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
   }
 
   getPropRotationSpeed() {
-    if (this.isMiotDeviceConnected()) {
+    if (this.isMiotDeviceStateAvailable()) {
       return this.getPropValueRangePercentage();
     }
     return 0;
@@ -289,7 +289,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
     if (this.isMiotDeviceConnected()) {
       // use debounce to limit the number of calls when the user slides the slider
       if (this.fanRotationSpeedTimeout) clearTimeout(this.fanRotationSpeedTimeout);
-      this.fanRotationSpeedTimeout = setTimeout(() => this.setPropValueRangePercentage(value), Constants.SLIDER_DEBOUNCE);
+      this.fanRotationSpeedTimeout = setTimeout(() => this.setPropValueRangePercentage(value).catch(() => {}), Constants.SLIDER_DEBOUNCE); // failure is logged by the device
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -297,17 +297,17 @@ class PropertyWrapper extends AbstractPropertyWrapper {
 
   // value list - stateful
   isValueListSwitchOn(itemVal) {
-    if (this.isMiotDeviceConnected() && this.checkLinkedPropStatus()) {
+    if (this.isMiotDeviceStateAvailable() && this.checkLinkedPropStatus()) {
       return this.getProp().getValue() === itemVal;
     }
     return false;
   }
 
-  setValueListSwitchOn(state, itemVal) {
+  async setValueListSwitchOn(state, itemVal) {
     if (this.isMiotDeviceConnected()) {
       if (state) {
-        this.enableLinkedPropIfNecessary();
-        this.setPropValue(itemVal);
+        await this.enableLinkedPropIfNecessary();
+        await this.setPropValue(itemVal);
         this.updateStatefulValueListSwitches(itemVal);
       } else {
         // if user tries to turn off active switch, then reset the state of all switches
@@ -321,10 +321,10 @@ class PropertyWrapper extends AbstractPropertyWrapper {
   }
 
   // value list - stateless
-  setStatlessValueListSwitchOn(state, itemVal) {
+  async setStatlessValueListSwitchOn(state, itemVal) {
     if (this.isMiotDeviceConnected()) {
-      this.enableLinkedPropIfNecessary();
-      this.setPropValue(itemVal);
+      await this.enableLinkedPropIfNecessary();
+      return this.setPropValue(itemVal);
     } else {
       throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
     }
@@ -395,7 +395,7 @@ class PropertyWrapper extends AbstractPropertyWrapper {
       let maxLevel = this.valueRange()[1];
       valueToSet = enabled ? maxLevel : minLevel;
     }
-    this.setPropValue(valueToSet);
+    return this.setPropValue(valueToSet);
   }
 
   getPropValueRangePercentage() {
@@ -408,10 +408,10 @@ class PropertyWrapper extends AbstractPropertyWrapper {
 
   setPropValueRangePercentage(percentage) {
     if (this._isValueRangePercentage()) {
-      this.setPropValue(percentage);
+      return this.setPropValue(percentage);
     } else {
       let valPercentage = this.getDevice().convertPercentageToPropValue(percentage, this.getProp());
-      this.setPropValue(valPercentage);
+      return this.setPropValue(valPercentage);
     }
   }
 
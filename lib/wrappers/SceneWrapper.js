@@ -0,0 +1,137 @@
+let Service, Characteristic, Accessory, HapStatusError, HAPStatus;
+const AbstractPropertyWrapper = require('./AbstractPropertyWrapper.js');
+const Constants = require('../constants/Constants.js');
+const ValueOperator = require('../constants/ValueOperator.js');
+
+
+// a switch which applies multiple property values and actions at once
+// the switch is on as long as all the scene property values match the current property values
+class SceneWrapper extends AbstractPropertyWrapper {
+  constructor(wrapperName, prop, device, accessory, api, logger) {
+
+    Service = api.hap.Service;
+    Characteristic = api.hap.Characteristic;
+    Accessory = api.platformAccessory;
+    HapStatusError = api.hap.HapStatusError;
+    HAPStatus = api.hap.HAPStatus;
+
+    super(wrapperName, prop, device, accessory, api, logger);
+
+    //variables
+    this.sceneProperties = [];
+    this.sceneActions = [];
+  }
+
+
+  /*----------========== PROPERTY WRAPPER INFO ==========----------*/
+
+  getWrapperType() {
+    return 'Scene';
+  }
+
+
+  /*----------========== SETUP WRAPPER ==========----------*/
+
+  prepareWrapper() {
+    const notWritableItem = this.sceneProperties.find(item => !item.prop.isWritable());
+    if (notWritableItem) {
+      this.getLogger().warn(`<-W-> Property ${notWritableItem.prop.getName()} is not writable! Cannot create scene wrapper!`);
+      return false;
+    }
+
+    // the wrapper prop is monitored by the init, make sure that all other scene properties are also monitored
+    this.sceneProperties.forEach(item => this.getDevice().addPropertyToMonitor(item.prop));
+
+    let serviceId = this.generateServiceId('Scene' + this.getWrapperName().replace(/\s/g, ''));
+    this.sceneService = this.createStatefulSwitch(this.getWrapperName(), serviceId, this.isSceneSwitchOn, this.setSceneSwitchOn);
+    this.addAccessoryService(this.sceneService);
+    return true;
+  }
+
+
+  /*----------========== STATE SETTERS/GETTERS ==========----------*/
+
+  isSceneSwitchOn() {
+    if (this.isMiotDeviceStateAvailable()) {
+      return this.isSceneActive();
+    }
+    return false;
+  }
+
+  setSceneSwitchOn(state) {
+    if (this.isMiotDeviceConnected()) {
+      if (state) {
+        return this.applyScene();
+      } else {
+        // a scene cannot be turned off, so reset the switch to the actual scene state
+        setTimeout(() => {
+          this.sceneService.getCharacteristic(Characteristic.On).updateValue(this.isSceneSwitchOn());
+        }, Constants.BUTTON_RESET_TIMEOUT);
+      }
+    } else {
+      throw new HapStatusError(HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+
+
+  /*----------========== WRAPPER PROTOCOL ==========----------*/
+
+  updateWrapperStatus() {
+    super.updateWrapperStatus(); // call super implementation
+
+    if (this.sceneService) this.sceneService.getCharacteristic(Characteristic.On).updateValue(this.isSceneSwitchOn());
+  }
+
+
+  /*----------========== SETTERS ==========----------*/
+
+  setSceneProperties(sceneProperties) {
+    this.sceneProperties = sceneProperties || [];
+  }
+
+  setSceneActions(sceneActions) {
+    this.sceneActions = sceneActions || [];
+  }
+
+
+  /*----------========== GETTERS ==========----------*/
+
+  getSceneProperties() {
+    return this.sceneProperties;
+  }
+
+  getSceneActions() {
+    return this.sceneActions;
+  }
+
+
+  /*----------========== CONVENIENCE ==========----------*/
+
+  isSceneActive() {
+    return this.sceneProperties.every(item => ValueOperator.checkValue(item.valueOperator, item.prop.getValue(), item.value));
+  }
+
+  async applyScene() {
+    this.getLogger().debug(`<-W-> Applying ${this.getWrapperName()} scene!`);
+
+    // set all property values with a single request
+    const propValues = new Map();
+    this.sceneProperties.forEach((item) => {
+      // when the property value matches the scene then there is no need to set it
+      if (!ValueOperator.checkValue(item.valueOperator, item.prop.getValue(), item.value)) {
+        propValues.set(item.prop, Array.isArray(item.value) ? item.value[0] : item.value); // for the contains operator set the first value
+      }
+    });
+    await this.getDevice().setPropertyValues(propValues);
+
+    // actions are executed after the properties were set
+    for (const item of this.sceneActions) {
+      await this.getDevice().fireAction(item.action, item.params);
+    }
+  }
+
+
+}
+
+
+module.exports = SceneWrapper;
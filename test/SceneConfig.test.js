@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BaseAccessory = require('../lib/base/BaseAccessory.js');
+const MiotProperty = require('../lib/protocol/MiotProperty.js');
+const MiotAction = require('../lib/protocol/MiotAction.js');
+const PropFormat = require('../lib/constants/PropFormat.js');
+const ValueOperator = require('../lib/constants/ValueOperator.js');
+
+// creates an accessory which only records the created scenes and the warnings
+const createAccessory = () => {
+  const props = {
+    'fan:mode': new MiotProperty('fan:mode', 2, 2, '', '', PropFormat.UINT8),
+    'fan:on': new MiotProperty('fan:on', 2, 1, '', '', PropFormat.BOOL),
+    'fan:name': new MiotProperty('fan:name', 2, 3, '', '', PropFormat.STRING)
+  };
+  const actions = {
+    'fan:toggle': new MiotAction('fan:toggle', 2, 1, '', '', []),
+    'filter:reset': new MiotAction('filter:reset', 3, 1, '', '', [])
+  };
+  const accessory = Object.create(BaseAccessory.prototype);
+  accessory.scenes = [];
+  accessory.warnings = [];
+  accessory.props = props;
+  accessory.actions = actions;
+  accessory.getDevice = () => ({
+    getProperty: (name) => props[name],
+    getAction: (name) => actions[name]
+  });
+  accessory.getLogger = () => ({
+    debug: () => {},
+    deepDebug: () => {},
+    warn: (message) => accessory.warnings.push(message)
+  });
+  accessory.addSceneWrapper = (sceneName, sceneProperties, sceneActions) => {
+    accessory.scenes.push({ sceneName, sceneProperties, sceneActions });
+    return {};
+  };
+  return accessory;
+};
+
+test('scene values are converted to the format of the property', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{
+    name: 'Night',
+    properties: [{ property: 'fan:mode', value: '2' }, { property: 'fan:on', value: 'true' }]
+  }]);
+
+  const [modeItem, onItem] = accessory.scenes[0].sceneProperties;
+  assert.strictEqual(modeItem.prop, accessory.props['fan:mode']);
+  assert.strictEqual(modeItem.value, 2);
+  assert.strictEqual(onItem.value, true);
+});
+
+test('the equal operator is used when no value operator is specified', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ properties: [{ property: 'fan:mode', value: '2' }] }]);
+
+  assert.strictEqual(accessory.scenes[0].sceneProperties[0].valueOperator, ValueOperator.EQUAL);
+});
+
+test('the value operator is looked up by its name', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ properties: [{ property: 'fan:mode', value: '2', valueOperator: '>' }] }]);
+
+  assert.strictEqual(accessory.scenes[0].sceneProperties[0].valueOperator, ValueOperator.GREATER);
+});
+
+test('comma separated contains values are split and converted', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ properties: [{ property: 'fan:mode', value: '1, 3 ,4', valueOperator: 'contains' }] }]);
+
+  assert.deepStrictEqual(accessory.scenes[0].sceneProperties[0].value, [1, 3, 4]);
+});
+
+test('comma separated values are not split for other operators', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ properties: [{ property: 'fan:name', value: 'a,b' }] }]);
+
+  assert.strictEqual(accessory.scenes[0].sceneProperties[0].value, 'a,b');
+});
+
+test('scene actions are resolved from names and from objects with params', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{
+    properties: [{ property: 'fan:mode', value: '2' }],
+    actions: ['fan:toggle', { action: 'filter:reset', params: [1] }]
+  }]);
+
+  assert.deepStrictEqual(accessory.scenes[0].sceneActions, [
+    { action: accessory.actions['fan:toggle'], params: [] },
+    { action: accessory.actions['filter:reset'], params: [1] }
+  ]);
+});
+
+test('scenes without a name get a generated name', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([
+    { name: 'Night', properties: [{ property: 'fan:mode', value: '1' }] },
+    { properties: [{ property: 'fan:mode', value: '2' }] }
+  ]);
+
+  assert.deepStrictEqual(accessory.scenes.map(scene => scene.sceneName), ['Night', 'Scene 2']);
+});
+
+test('a scene with a missing property is skipped', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ properties: [{ property: 'fan:unknown', value: '1' }] }]);
+
+  assert.strictEqual(accessory.scenes.length, 0);
+  assert.match(accessory.warnings[0], /fan:unknown/);
+});
+
+test('a scene with a missing action is skipped', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ properties: [{ property: 'fan:mode', value: '1' }], actions: ['fan:unknown'] }]);
+
+  assert.strictEqual(accessory.scenes.length, 0);
+  assert.match(accessory.warnings[0], /fan:unknown/);
+});
+
+test('a scene without properties is skipped', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([{ name: 'Actions only', actions: ['fan:toggle'] }]);
+
+  assert.strictEqual(accessory.scenes.length, 0);
+  assert.match(accessory.warnings[0], /at least one property/);
+});
+
+test('the other scenes are still created when one scene is skipped', () => {
+  const accessory = createAccessory();
+
+  accessory.prepareSceneServices([
+    { name: 'Broken', properties: [{ property: 'fan:unknown', value: '1' }] },
+    { name: 'Night', properties: [{ property: 'fan:mode', value: '1' }] }
+  ]);
+
+  assert.deepStrictEqual(accessory.scenes.map(scene => scene.sceneName), ['Night']);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MiotProperty = require('../lib/protocol/MiotProperty.js');
+const PropFormat = require('../lib/constants/PropFormat.js');
+const ValueOperator = require('../lib/constants/ValueOperator.js');
+
+// scene values saved by the homebridge ui are strings, they are compared strictly with the property values
+const createProp = (format) => new MiotProperty('test:prop', 2, 1, '', '', format);
+
+test('numeric strings are converted to numbers for numeric props', () => {
+  const prop = createProp(PropFormat.UINT8);
+
+  assert.strictEqual(prop.convertValueToFormat('2'), 2);
+  assert.strictEqual(prop.convertValueToFormat(' 2.5 '), 2.5);
+});
+
+test('numbers stay numbers for numeric props', () => {
+  const prop = createProp(PropFormat.UINT8);
+
+  assert.strictEqual(prop.convertValueToFormat(3), 3);
+});
+
+test('empty and non numeric strings are not converted for numeric props', () => {
+  const prop = createProp(PropFormat.UINT8);
+
+  assert.strictEqual(prop.convertValueToFormat(''), '');
+  assert.strictEqual(prop.convertValueToFormat('abc'), 'abc');
+});
+
+test('every value of an array is converted', () => {
+  const prop = createProp(PropFormat.UINT8);
+
+  assert.deepStrictEqual(prop.convertValueToFormat(['1', '2']), [1, 2]);
+});
+
+test('true and 1 strings are converted to true for bool props', () => {
+  const prop = createProp(PropFormat.BOOL);
+
+  assert.strictEqual(prop.convertValueToFormat('true'), true);
+  assert.strictEqual(prop.convertValueToFormat('TRUE'), true);
+  assert.strictEqual(prop.convertValueToFormat('1'), true);
+});
+
+test('other strings are converted to false for bool props', () => {
+  const prop = createProp(PropFormat.BOOL);
+
+  assert.strictEqual(prop.convertValueToFormat('false'), false);
+  assert.strictEqual(prop.convertValueToFormat('0'), false);
+});
+
+test('booleans stay booleans for bool props', () => {
+  const prop = createProp(PropFormat.BOOL);
+
+  assert.strictEqual(prop.convertValueToFormat(true), true);
+});
+
+test('values stay strings for string props', () => {
+  const prop = createProp(PropFormat.STRING);
+
+  assert.strictEqual(prop.convertValueToFormat('2'), '2');
+  assert.strictEqual(prop.convertValueToFormat(null), null);
+});
+
+test('converted numeric values match with the equal operator', () => {
+  const prop = createProp(PropFormat.UINT8);
+  prop.updateInternalValue(2);
+
+  assert.ok(ValueOperator.checkValue(ValueOperator.EQUAL, prop.getValue(), prop.convertValueToFormat('2')));
+});
+
+test('converted numeric values are compared as numbers with the less operator', () => {
+  const prop = createProp(PropFormat.UINT8);
+  prop.updateInternalValue(2);
+
+  assert.ok(ValueOperator.checkValue(ValueOperator.LESS, prop.getValue(), prop.convertValueToFormat('10')));
+});
+
+test('converted array values match with the contains operator', () => {
+  const prop = createProp(PropFormat.UINT8);
+  prop.updateInternalValue(2);
+
+  assert.ok(ValueOperator.checkValue(ValueOperator.CONTAINS, prop.getValue(), prop.convertValueToFormat(['1', '2'])));
+});
+
+test('converted bool values match with the equal operator', () => {
+  const prop = createProp(PropFormat.BOOL);
+  prop.updateInternalValue(false);
+
+  assert.ok(ValueOperator.checkValue(ValueOperator.EQUAL, prop.getValue(), prop.convertValueToFormat('false')));
+  assert.ok(!ValueOperator.checkValue(ValueOperator.EQUAL, prop.getValue(), prop.convertValueToFormat('true')));
+});
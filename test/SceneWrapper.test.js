@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SceneWrapper = require('../lib/wrappers/SceneWrapper.js');
+const MiotProperty = require('../lib/protocol/MiotProperty.js');
+const MiotAction = require('../lib/protocol/MiotAction.js');
+const PropFormat = require('../lib/constants/PropFormat.js');
+const ValueOperator = require('../lib/constants/ValueOperator.js');
+
+const api = {
+  hap: {
+    Service: {},
+    Characteristic: {},
+    HapStatusError: class extends Error {},
+    HAPStatus: { SERVICE_COMMUNICATION_FAILURE: -70402 }
+  },
+  platformAccessory: {}
+};
+
+const logger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  deepDebug: () => {}
+};
+
+const createProp = (name, format, value) => {
+  const prop = new MiotProperty(name, 2, 1, '', '', format);
+  prop.updateInternalValue(value);
+  return prop;
+};
+
+// records the requests so that the tests can check what the scene sent to the device
+const createDevice = (connected = true) => {
+  const device = {
+    calls: [],
+    isConnected: () => connected,
+    hasStalePropertyValues: () => false,
+    addPropertyToMonitor: () => {},
+    setPropertyValues: async (propValues) => {
+      device.calls.push({ type: 'props', propValues });
+    },
+    fireAction: async (action, params) => {
+      device.calls.push({ type: 'action', action, params });
+    }
+  };
+  return device;
+};
+
+const createScene = (device, sceneProperties, sceneActions) => {
+  const scene = new SceneWrapper('Night', sceneProperties[0].prop, device, {}, api, logger);
+  scene.setSceneProperties(sceneProperties);
+  scene.setSceneActions(sceneActions);
+  return scene;
+};
+
+test('the scene is active when all the property values match', () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 2);
+  const onProp = createProp('fan:on', PropFormat.BOOL, true);
+  const scene = createScene(createDevice(), [
+    { prop: modeProp, value: 2, valueOperator: ValueOperator.EQUAL },
+    { prop: onProp, value: true, valueOperator: ValueOperator.EQUAL }
+  ]);
+
+  assert.strictEqual(scene.isSceneActive(), true);
+});
+
+test('the scene is not active when one property value differs', () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 2);
+  const onProp = createProp('fan:on', PropFormat.BOOL, false);
+  const scene = createScene(createDevice(), [
+    { prop: modeProp, value: 2, valueOperator: ValueOperator.EQUAL },
+    { prop: onProp, value: true, valueOperator: ValueOperator.EQUAL }
+  ]);
+
+  assert.strictEqual(scene.isSceneActive(), false);
+});
+
+test('the scene is active when the property value is one of the contains values', () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 3);
+  const scene = createScene(createDevice(), [
+    { prop: modeProp, value: [2, 3], valueOperator: ValueOperator.CONTAINS }
+  ]);
+
+  assert.strictEqual(scene.isSceneActive(), true);
+});
+
+test('the scene switch is off when the device state is not available', () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 2);
+  const scene = createScene(createDevice(false), [
+    { prop: modeProp, value: 2, valueOperator: ValueOperator.EQUAL }
+  ]);
+
+  assert.strictEqual(scene.isSceneSwitchOn(), false);
+});
+
+test('applying the scene sets only the not matching property values with a single request', async () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 1);
+  const onProp = createProp('fan:on', PropFormat.BOOL, true);
+  const device = createDevice();
+  const scene = createScene(device, [
+    { prop: modeProp, value: 2, valueOperator: ValueOperator.EQUAL },
+    { prop: onProp, value: true, valueOperator: ValueOperator.EQUAL }
+  ]);
+
+  await scene.applyScene();
+
+  assert.strictEqual(device.calls.length, 1);
+  assert.deepStrictEqual([...device.calls[0].propValues], [[modeProp, 2]]);
+});
+
+test('applying the scene sets the first value of the contains values', async () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 1);
+  const device = createDevice();
+  const scene = createScene(device, [
+    { prop: modeProp, value: [2, 3], valueOperator: ValueOperator.CONTAINS }
+  ]);
+
+  await scene.applyScene();
+
+  assert.deepStrictEqual([...device.calls[0].propValues], [[modeProp, 2]]);
+});
+
+test('applying the scene fires the actions with their params after the property values were set', async () => {
+  const modeProp = createProp('fan:mode', PropFormat.UINT8, 1);
+  const toggleAction = new MiotAction('fan:toggle', 2, 1, '', '', []);
+  const resetAction = new MiotAction('filter:reset', 3, 1, '', '', []);
+  const device = createDevice();
+  const scene = createScene(device, [
+    { prop: modeProp, value: 2, valueOperator: ValueOperator.EQUAL }
+  ], [
+    { action: toggleAction, params: [] },
+    { action: resetAction, params: [1] }
+  ]);
+
+  await scene.applyScene();
+
+  assert.deepStrictEqual(device.calls.map(call => call.type), ['props', 'action', 'action']);
+  assert.strictEqual(device.calls[1].action, toggleAction);
+  assert.deepStrictEqual(device.calls[2].params, [1]);
+  assert.strictEqual(device.calls[2].action, resetAction);
+});